@@ -0,0 +1,350 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { v4: uuidv4 } = require('uuid');
+const { getCaller } = require('../shared/auth');
+const { requireAnchorAccess } = require('../shared/sharing');
+const { isExpired } = require('../shared/anchors');
+const { createAssetStorage } = require('../shared/assetStorage');
+const { withMetrics } = require('../shared/metrics');
+const { assertValid, parseJson } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const MAX_ASSET_BYTES = parseInt(process.env.MAX_ASSET_BYTES || String(50 * 1024 * 1024), 10);
+const MAX_ASSETS_PER_ANCHOR = 10;
+const URL_TTL_SECONDS = 15 * 60;
+const ALLOWED_CONTENT_TYPES = [
+  'model/gltf-binary', // .glb
+  'model/gltf+json', // .gltf
+  'model/vnd.usdz+zip', // .usdz
+  'model/obj', // .obj
+];
+
+let assetStorage = createAssetStorage();
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const UPLOAD_SCHEMA = {
+  type: 'object',
+  required: ['fileName', 'contentType', 'size'],
+  properties: {
+    fileName: { type: 'string', minLength: 1, maxLength: 255 },
+    contentType: { enum: ALLOWED_CONTENT_TYPES },
+    size: { type: 'integer', minimum: 1, maximum: MAX_ASSET_BYTES },
+  },
+};
+
+const validateUploadRequest = (data) => {
+  assertValid(UPLOAD_SCHEMA, data);
+
+  return {
+    fileName: data.fileName.replace(/[^A-Za-z0-9._-]/g, '_'),
+    contentType: data.contentType,
+    size: data.size,
+  };
+};
+
+const getActiveAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+  }).promise();
+
+  if (!result.Item || result.Item.status !== 'active' || isExpired(result.Item)) {
+    return null;
+  }
+
+  return result.Item;
+};
+
+const notFound = (message, code) => createResponse(404, {
+  status: 'error',
+  message,
+  code,
+});
+
+const assetConflict = () => createResponse(409, {
+  status: 'error',
+  message: 'The anchor\'s assets changed while the request was running; retry it',
+  code: 'ASSET_CONFLICT',
+});
+
+// Assets are stored as a list on the anchor, so updates address them by index
+// and are conditioned on that index still holding the same asset
+const updateAssetAt = async (anchorId, index, assetId, updateExpression, values = {}, names = {}) => {
+  try {
+    await dynamoDB.update({
+      TableName: TABLE_NAME,
+      Key: { anchorId },
+      UpdateExpression: updateExpression,
+      ConditionExpression: `assets[${index}].assetId = :assetId AND #status = :active`,
+      ExpressionAttributeNames: {
+        ...names,
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ...values,
+        ':assetId': assetId,
+        ':active': 'active',
+      },
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const withDownloadUrl = async (asset) => (asset.status === 'ready'
+  ? { ...asset, downloadUrl: await assetStorage.createDownloadUrl(asset.key, URL_TTL_SECONDS) }
+  : asset);
+
+const createUpload = async (event, anchor, data) => {
+  const request = validateUploadRequest(data);
+  const { caller } = await requireAnchorAccess(event, anchor, 'edit');
+
+  const now = new Date().toISOString();
+  const assetId = uuidv4();
+  // Keys are scoped to the uploader, so S3 access can be audited per user
+  const asset = {
+    assetId,
+    key: `ar-models/${caller.userId}/${anchor.anchorId}/${assetId}/${request.fileName}`,
+    fileName: request.fileName,
+    contentType: request.contentType,
+    size: request.size,
+    status: 'pending',
+    uploadedBy: caller.userId,
+    createdAt: now,
+  };
+
+  try {
+    await dynamoDB.update({
+      TableName: TABLE_NAME,
+      Key: { anchorId: anchor.anchorId },
+      UpdateExpression: 'SET assets = list_append(if_not_exists(assets, :empty), :asset), updatedAt = :now',
+      ConditionExpression: '#status = :active AND (attribute_not_exists(assets) OR size(assets) < :maxAssets)',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':asset': [asset],
+        ':empty': [],
+        ':now': now,
+        ':active': 'active',
+        ':maxAssets': MAX_ASSETS_PER_ANCHOR,
+      },
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(409, {
+        status: 'error',
+        message: `An anchor can have at most ${MAX_ASSETS_PER_ANCHOR} assets`,
+        code: 'TOO_MANY_ASSETS',
+      });
+    }
+    throw error;
+  }
+
+  const upload = await assetStorage.createUploadUrl({
+    key: asset.key,
+    contentType: asset.contentType,
+    maxBytes: asset.size,
+    expiresIn: URL_TTL_SECONDS,
+  });
+
+  return createResponse(201, {
+    status: 'success',
+    message: 'Upload the file to the presigned URL, then complete the asset',
+    data: {
+      asset,
+      upload: {
+        ...upload,
+        expiresIn: URL_TTL_SECONDS,
+      },
+    },
+  });
+};
+
+// Checks the uploaded object against what was requested before the asset is
+// marked ready and becomes downloadable
+const completeUpload = async (event, anchor, index) => {
+  await requireAnchorAccess(event, anchor, 'edit');
+  const asset = anchor.assets[index];
+
+  if (asset.status === 'ready') {
+    return createResponse(200, {
+      status: 'success',
+      data: await withDownloadUrl(asset),
+    });
+  }
+
+  const object = await assetStorage.headObject(asset.key);
+  if (!object) {
+    return createResponse(409, {
+      status: 'error',
+      message: 'The asset has not been uploaded yet',
+      code: 'ASSET_NOT_UPLOADED',
+    });
+  }
+
+  if (object.size > asset.size || object.contentType !== asset.contentType) {
+    await assetStorage.deleteObjects([asset.key]);
+    return createResponse(400, {
+      status: 'error',
+      message: `Uploaded file must be ${asset.contentType} and at most ${asset.size} bytes`,
+      code: 'INVALID_ASSET',
+    });
+  }
+
+  const now = new Date().toISOString();
+  const updated = await updateAssetAt(anchor.anchorId, index, asset.assetId,
+    `SET assets[${index}].#status = :ready, assets[${index}].#size = :size, assets[${index}].completedAt = :now, updatedAt = :now`,
+    {
+      ':ready': 'ready',
+      ':size': object.size,
+      ':now': now,
+    },
+    { '#size': 'size' });
+  if (!updated) {
+    return assetConflict();
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Asset is ready',
+    data: await withDownloadUrl({
+      ...asset,
+      status: 'ready',
+      size: object.size,
+      completedAt: now,
+    }),
+  });
+};
+
+const deleteAsset = async (event, anchor, index) => {
+  await requireAnchorAccess(event, anchor, 'edit');
+  const asset = anchor.assets[index];
+
+  const updated = await updateAssetAt(anchor.anchorId, index, asset.assetId,
+    `REMOVE assets[${index}] SET updatedAt = :now`,
+    { ':now': new Date().toISOString() });
+  if (!updated) {
+    return assetConflict();
+  }
+
+  await assetStorage.deleteObjects([asset.key]);
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Asset deleted',
+    data: {
+      anchorId: anchor.anchorId,
+      assetId: asset.assetId,
+    },
+  });
+};
+
+exports.handler = withMetrics('anchorAssets', async (event, metrics) => {
+  console.log('anchorAssets invoked with event:', JSON.stringify(event));
+
+  try {
+    const { anchorId, assetId } = event.pathParameters || {};
+    if (!anchorId) {
+      return createResponse(400, {
+        status: 'error',
+        message: 'anchorId is required',
+        code: 'MISSING_ANCHOR_ID',
+      });
+    }
+
+    getCaller(event);
+
+    const anchor = await getActiveAnchor(anchorId);
+    if (!anchor) {
+      return notFound(`Anchor ${anchorId} not found`, 'ANCHOR_NOT_FOUND');
+    }
+
+    // /spatial/anchor/{anchorId}/assets
+    if (!assetId) {
+      switch (event.httpMethod) {
+        case 'GET': {
+          await requireAnchorAccess(event, anchor, 'view');
+          const assets = await Promise.all((anchor.assets || []).map(withDownloadUrl));
+          return createResponse(200, {
+            status: 'success',
+            data: {
+              assets,
+              count: assets.length,
+            },
+          });
+        }
+        case 'POST':
+          return await createUpload(event, anchor, parseJson(event.body));
+        default:
+          return createResponse(405, {
+            status: 'error',
+            message: `Method ${event.httpMethod} not allowed`,
+            code: 'METHOD_NOT_ALLOWED',
+          });
+      }
+    }
+
+    // /spatial/anchor/{anchorId}/assets/{assetId}[/complete]
+    const index = (anchor.assets || []).findIndex((asset) => asset.assetId === assetId);
+    if (index === -1) {
+      return notFound(`Asset ${assetId} not found on anchor ${anchorId}`, 'ASSET_NOT_FOUND');
+    }
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        await requireAnchorAccess(event, anchor, 'view');
+        return createResponse(200, {
+          status: 'success',
+          data: await withDownloadUrl(anchor.assets[index]),
+        });
+      }
+      case 'POST':
+        return await completeUpload(event, anchor, index);
+      case 'DELETE':
+        return await deleteAsset(event, anchor, index);
+      default:
+        return createResponse(405, {
+          status: 'error',
+          message: `Method ${event.httpMethod} not allowed`,
+          code: 'METHOD_NOT_ALLOWED',
+        });
+    }
+
+  } catch (error) {
+    console.error('Error handling anchor asset request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'AnchorAssetsError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
+
+// Lets tests and local runs swap in a storage adapter without touching ASSET_STORAGE
+exports.setAssetStorage = (storage) => {
+  assetStorage = storage;
+};
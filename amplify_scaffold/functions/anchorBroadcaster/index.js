@@ -0,0 +1,101 @@
+const AWS = require('aws-sdk');
+const { cellFor, subscribersOf, removeConnection } = require('../shared/subscriptions');
+const { createWebSocketGateway } = require('../shared/websocketGateway');
+
+const { unmarshall } = AWS.DynamoDB.Converter;
+
+let gateway = createWebSocketGateway();
+
+// Users who may see an anchor: its owner and everyone it is shared with
+const audienceOf = (anchor) => (anchor && anchor.status === 'active'
+  ? new Set([anchor.userId, ...(anchor.sharedWith || [])])
+  : new Set());
+
+// The message each user should get for a change. Users who lost sight of the
+// anchor (deleted, expired, unshared) get a delete; everyone who can still
+// see it gets the new state.
+const messagesFor = (oldImage, newImage) => {
+  const before = audienceOf(oldImage);
+  const after = audienceOf(newImage);
+  const messages = new Map();
+
+  after.forEach((userId) => {
+    messages.set(userId, {
+      type: before.has(userId) ? 'anchor.updated' : 'anchor.created',
+      anchor: newImage,
+    });
+  });
+
+  before.forEach((userId) => {
+    if (!after.has(userId)) {
+      const anchor = newImage || oldImage;
+      messages.set(userId, {
+        type: 'anchor.deleted',
+        anchorId: anchor.anchorId,
+        version: anchor.version,
+      });
+    }
+  });
+
+  return messages;
+};
+
+const broadcastRecord = async (record) => {
+  const oldImage = record.dynamodb.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+  const newImage = record.dynamodb.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+
+  const messages = messagesFor(oldImage, newImage);
+  if (messages.size === 0) {
+    return 0;
+  }
+
+  // A moved anchor is announced in both its old and its new area
+  const cells = [...new Set([oldImage, newImage]
+    .filter((image) => image && image.geohash)
+    .map((image) => cellFor(image.geohash)))];
+  if (cells.length === 0) {
+    return 0;
+  }
+
+  const subscribers = await subscribersOf(cells);
+  const connections = new Map(subscribers
+    .filter((subscriber) => messages.has(subscriber.userId))
+    .map((subscriber) => [subscriber.connectionId, subscriber.userId]));
+
+  let sent = 0;
+  await Promise.all([...connections].map(async ([connectionId, userId]) => {
+    if (await gateway.send(connectionId, messages.get(userId))) {
+      sent += 1;
+    } else {
+      await removeConnection(connectionId);
+    }
+  }));
+
+  return sent;
+};
+
+// Runs on SpatialAnchors stream batches, through spatialAnchorsStream.
+// Delivery is best effort: a record that fails is reported back so Lambda
+// retries from it, which can repeat messages for that record, so clients
+// compare versions before applying.
+exports.handler = async (event) => {
+  console.log('anchorBroadcaster invoked with records:', event.Records.length);
+
+  for (const record of event.Records) {
+    try {
+      await broadcastRecord(record);
+    } catch (error) {
+      console.error('Failed to broadcast stream record:', record.eventID, error);
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }],
+      };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
+
+// Lets tests and local runs swap in a gateway without touching WEBSOCKET_GATEWAY
+exports.setWebSocketGateway = (value) => {
+  gateway = value;
+};
@@ -0,0 +1,212 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { v4: uuidv4 } = require('uuid');
+const geohash = require('../shared/geohash');
+const {
+  CANONICAL_TABLE,
+  MEMBERS_TABLE,
+  MAX_CANONICAL_MEMBERS,
+  isEligible,
+  memberOf,
+  matches,
+  summarize,
+  getMembership,
+  getCanonical,
+  findNearbyCanonicals,
+} = require('../shared/consensus');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const MAX_ATTEMPTS = 3;
+// Changes to anything else (sharing, assets, renewals) can't move an anchor
+// between canonical anchors
+const CLUSTER_FIELDS = ['userId', 'location', 'metadata', 'qualityScore', 'status', 'flagged'];
+
+const { unmarshall } = AWS.DynamoDB.Converter;
+
+const clusterFieldsChanged = (oldImage, newImage) => CLUSTER_FIELDS
+  .some((field) => JSON.stringify(oldImage?.[field]) !== JSON.stringify(newImage?.[field]));
+
+const getAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+  }).promise();
+  return result.Item || null;
+};
+
+const withoutMember = (members, anchorId) => Object.fromEntries(Object.entries(members)
+  .filter(([memberId]) => memberId !== anchorId));
+
+// The write that stores `canonical` with `members`: a Delete once it has no
+// members left, otherwise a Put of the recomputed item. Both are conditioned
+// on the version that was read, so concurrent invocations can't lose members.
+const canonicalWrite = (canonical, members, now) => {
+  const isNew = canonical.version === undefined;
+  const condition = isNew
+    ? { ConditionExpression: 'attribute_not_exists(canonicalId)' }
+    : {
+      ConditionExpression: '#version = :version',
+      ExpressionAttributeNames: { '#version': 'version' },
+      ExpressionAttributeValues: { ':version': canonical.version },
+    };
+
+  if (Object.keys(members).length === 0) {
+    return {
+      Delete: {
+        TableName: CANONICAL_TABLE,
+        Key: { canonicalId: canonical.canonicalId },
+        ...condition,
+      },
+    };
+  }
+
+  return {
+    Put: {
+      TableName: CANONICAL_TABLE,
+      Item: {
+        canonicalId: canonical.canonicalId,
+        ...summarize(members),
+        members,
+        nextRank: canonical.nextRank ?? 0,
+        version: isNew ? 1 : canonical.version + 1,
+        createdAt: canonical.createdAt || now,
+        updatedAt: now,
+      },
+      ...condition,
+    },
+  };
+};
+
+// The canonical anchor `member` belongs in: the one it is already in while it
+// still matches (so clusters don't flap between neighbours), else the nearest
+// match, else a new one
+const chooseCanonical = async (anchorId, member, current) => {
+  if (current && matches({ ...current, members: withoutMember(current.members, anchorId) }, member)) {
+    return current;
+  }
+
+  const candidates = (await findNearbyCanonicals(member.location))
+    .filter((canonical) => canonical.canonicalId !== current?.canonicalId && matches(canonical, member))
+    .sort((a, b) => geohash.haversineDistance(member.location, a.location)
+      - geohash.haversineDistance(member.location, b.location));
+
+  return candidates[0] || { canonicalId: `canon_${uuidv4()}`, members: {} };
+};
+
+const membershipPut = (anchor, canonicalId, now, overflow) => ({
+  Put: {
+    TableName: MEMBERS_TABLE,
+    Item: {
+      anchorId: anchor.anchorId,
+      canonicalId,
+      userId: anchor.userId,
+      linkedAt: now,
+      ...(overflow && { overflow: true }),
+    },
+  },
+});
+
+// Brings one anchor's link in line with its current state. Returns what
+// changed, for the log.
+const syncAnchor = async (anchorId) => {
+  const anchor = await getAnchor(anchorId);
+  const membership = await getMembership(anchorId);
+  const current = membership ? await getCanonical(membership.canonicalId) : null;
+  // Overflow anchors are linked to `current` without being among its members
+  const isMember = Boolean(current?.members[anchorId]);
+  const now = new Date().toISOString();
+  const writes = [];
+  let outcome;
+
+  if (!isEligible(anchor)) {
+    if (isMember) {
+      writes.push(canonicalWrite(current, withoutMember(current.members, anchorId), now));
+    }
+    if (membership) {
+      writes.push({ Delete: { TableName: MEMBERS_TABLE, Key: { anchorId } } });
+    }
+    outcome = membership ? 'unlinked' : 'ignored';
+  } else {
+    const target = await chooseCanonical(anchorId, memberOf(anchor), current);
+    const existing = target.members[anchorId];
+
+    if (!existing && Object.keys(target.members).length >= MAX_CANONICAL_MEMBERS) {
+      if (membership?.overflow && membership.canonicalId === target.canonicalId) {
+        return 'unchanged';
+      }
+      if (isMember) {
+        writes.push(canonicalWrite(current, withoutMember(current.members, anchorId), now));
+      }
+      writes.push(membershipPut(anchor, target.canonicalId, now, true));
+      outcome = 'overflowed';
+    } else {
+      // A member keeps its rank while it stays; joining takes the next one, so
+      // a rank that was paid is never handed out again (see shareOf)
+      const nextRank = target.nextRank ?? 0;
+      const member = { ...memberOf(anchor), rank: existing ? existing.rank : nextRank };
+
+      if (existing) {
+        if (JSON.stringify(existing) === JSON.stringify(member)) {
+          return 'unchanged';
+        }
+        outcome = 'updated';
+      } else {
+        if (isMember) {
+          writes.push(canonicalWrite(current, withoutMember(current.members, anchorId), now));
+        }
+        writes.push(membershipPut(anchor, target.canonicalId, now, false));
+        outcome = isMember ? 'moved' : 'linked';
+      }
+      writes.unshift(canonicalWrite({ ...target, nextRank: existing ? nextRank : nextRank + 1 },
+        { ...target.members, [anchorId]: member }, now));
+    }
+  }
+
+  if (writes.length > 0) {
+    await dynamoDB.transactWrite({ TransactItems: writes }).promise();
+  }
+  return outcome;
+};
+
+// Another invocation rewrote one of the canonical anchors since it was read;
+// start over from the current state
+const syncWithRetry = async (anchorId) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await syncAnchor(anchorId);
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException' || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Runs on SpatialAnchors stream batches, through spatialAnchorsStream. Each
+// record is handled by re-reading the anchor, so replays and out-of-date
+// images are harmless; on a failure the rest of the batch is reported back so
+// Lambda retries from it.
+exports.handler = async (event) => {
+  console.log('anchorConsensus invoked with records:', event.Records.length);
+
+  for (const record of event.Records) {
+    const oldImage = record.dynamodb.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+    const newImage = record.dynamodb.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+    if (record.eventName === 'MODIFY' && !clusterFieldsChanged(oldImage, newImage)) {
+      continue;
+    }
+
+    const { anchorId } = newImage || oldImage;
+    try {
+      const outcome = await syncWithRetry(anchorId);
+      console.log('Synced canonical link:', JSON.stringify({ anchorId, outcome }));
+    } catch (error) {
+      console.error('Failed to sync canonical link:', anchorId, error);
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }],
+      };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
@@ -0,0 +1,126 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { createAssetStorage } = require('../shared/assetStorage');
+const { buildRevision } = require('../shared/revisions');
+const { cancellationReasons } = require('../shared/ledger');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+// Clients that haven't synced for longer than this need a full sync
+const TOMBSTONE_RETENTION_SECONDS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS || '30', 10) * 24 * 60 * 60;
+
+const { unmarshall } = AWS.DynamoDB.Converter;
+
+let assetStorage = createAssetStorage();
+
+const isTtlDelete = (record) => record.eventName === 'REMOVE'
+  && record.userIdentity?.type === 'Service'
+  && record.userIdentity?.principalId === 'dynamodb.amazonaws.com';
+
+// TTL removes the item outright, so the change feed would never see it go.
+// Writing a deleted tombstone in its place lets spatialChanges report it like
+// any other delete; the tombstone carries its own ttl and is ignored here
+// when that expires.
+const writeTombstone = async (anchor) => {
+  const now = new Date();
+  const tombstone = {
+    anchorId: anchor.anchorId,
+    userId: anchor.userId,
+    status: 'deleted',
+    expired: true,
+    createdAt: anchor.createdAt,
+    deletedAt: anchor.expiresAt || now.toISOString(),
+    updatedAt: now.toISOString(),
+    version: (anchor.version || 1) + 1,
+    ttl: Math.floor(now.getTime() / 1000) + TOMBSTONE_RETENTION_SECONDS,
+  };
+
+  // Expiry is a version like any other delete, so its revision keeps the
+  // content the anchor had when it expired
+  const revision = buildRevision({
+    before: anchor,
+    after: { ...anchor, ...tombstone },
+    author: 'system',
+    action: 'expire',
+  });
+
+  try {
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: tombstone,
+            ConditionExpression: 'attribute_not_exists(anchorId)',
+          },
+        },
+        revision.transactItem,
+      ],
+    }).promise();
+  } catch (error) {
+    // Already written by an earlier attempt at this batch
+    if (error.code !== 'TransactionCanceledException' || cancellationReasons(error)[0] !== 'ConditionalCheckFailed') {
+      throw error;
+    }
+  }
+
+  return tombstone;
+};
+
+const handleExpiredAnchor = async (anchor) => {
+  const tombstone = await writeTombstone(anchor);
+
+  const assetKeys = (anchor.assets || []).map((asset) => asset.key);
+  if (assetKeys.length > 0) {
+    await assetStorage.deleteObjects(assetKeys);
+  }
+
+  if (process.env.SNS_TOPIC_ARN) {
+    const sns = new AWS.SNS();
+    await sns.publish({
+      TopicArn: process.env.SNS_TOPIC_ARN,
+      Message: JSON.stringify({
+        type: 'SPATIAL_ANCHOR_EXPIRED',
+        data: {
+          anchorId: tombstone.anchorId,
+          userId: tombstone.userId,
+          deletedAt: tombstone.deletedAt,
+          version: tombstone.version,
+        },
+      }),
+    }).promise();
+  }
+};
+
+// Runs on SpatialAnchors stream batches, through spatialAnchorsStream. Only
+// TTL deletes of live anchors are handled; on a failure the rest of the batch
+// is reported back so Lambda retries from that record.
+exports.handler = async (event) => {
+  console.log('anchorExpiry invoked with records:', event.Records.length);
+
+  for (const record of event.Records) {
+    if (!isTtlDelete(record)) {
+      continue;
+    }
+
+    const anchor = unmarshall(record.dynamodb.OldImage);
+    if (anchor.status === 'deleted') {
+      continue;
+    }
+
+    try {
+      await handleExpiredAnchor(anchor);
+    } catch (error) {
+      console.error('Failed to handle expired anchor:', anchor.anchorId, error);
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }],
+      };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
+
+// Lets tests and local runs swap in a storage adapter without touching ASSET_STORAGE
+exports.setAssetStorage = (storage) => {
+  assetStorage = storage;
+};
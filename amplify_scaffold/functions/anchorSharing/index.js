@@ -0,0 +1,305 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { getCaller, authorizeUser } = require('../shared/auth');
+const { ROLES, getShare, requireAnchorAccess, buildShare } = require('../shared/sharing');
+const { isExpired } = require('../shared/anchors');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { assertValid, parseJson } = require('../shared/schema');
+const { fieldError, errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const SHARES_TABLE = process.env.SHARES_TABLE_NAME;
+const MAX_ITEMS = 50;
+const BATCH_GET_SIZE = 100;
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const SHARE_SCHEMA = {
+  type: 'object',
+  required: ['userId', 'role'],
+  properties: {
+    userId: { type: 'string', minLength: 1 },
+    role: { enum: ROLES },
+  },
+};
+
+const getActiveAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+  }).promise();
+
+  if (!result.Item || result.Item.status !== 'active' || isExpired(result.Item)) {
+    return null;
+  }
+
+  return result.Item;
+};
+
+const notFound = (anchorId) => createResponse(404, {
+  status: 'error',
+  message: `Anchor ${anchorId} not found`,
+  code: 'ANCHOR_NOT_FOUND',
+});
+
+// Writes the share row and the anchor's mirrored sharedWith list together.
+// The condition on the previous list turns a concurrent share change into a
+// retryable conflict instead of silently dropping one of them.
+const writeShareChange = async (anchor, sharedWith, shareItem) => {
+  const now = new Date().toISOString();
+
+  await dynamoDB.transactWrite({
+    TransactItems: [
+      shareItem,
+      {
+        Update: {
+          TableName: TABLE_NAME,
+          Key: { anchorId: anchor.anchorId },
+          UpdateExpression: 'SET sharedWith = :sharedWith, updatedAt = :now',
+          ConditionExpression: 'sharedWith = :previous AND #status = :active',
+          ExpressionAttributeNames: {
+            '#status': 'status',
+          },
+          ExpressionAttributeValues: {
+            ':sharedWith': sharedWith,
+            ':previous': anchor.sharedWith || [],
+            ':active': 'active',
+            ':now': now,
+          },
+        },
+      },
+    ],
+  }).promise();
+};
+
+const conflict = () => createResponse(409, {
+  status: 'error',
+  message: 'Anchor sharing changed concurrently; retry the request',
+  code: 'SHARE_CONFLICT',
+});
+
+const shareAnchor = async (event, anchorId, data) => {
+  assertValid(SHARE_SCHEMA, data);
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  const { caller } = await requireAnchorAccess(event, anchor, 'owner');
+
+  if (data.userId === anchor.userId) {
+    throw fieldError('userId', 'is the anchor owner, who cannot be shared with');
+  }
+
+  const share = buildShare(anchor, data.userId, data.role, caller.userId, new Date().toISOString());
+  const current = anchor.sharedWith || [];
+  const sharedWith = current.includes(data.userId) ? current : [...current, data.userId];
+
+  try {
+    await writeShareChange(anchor, sharedWith, {
+      Put: {
+        TableName: SHARES_TABLE,
+        Item: share,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return conflict();
+    }
+    throw error;
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Anchor shared successfully',
+    data: share,
+  });
+};
+
+const revokeShare = async (event, anchorId, userId) => {
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  // Sharees may remove themselves; otherwise only the owner can revoke
+  if (getCaller(event).userId !== userId) {
+    await requireAnchorAccess(event, anchor, 'owner');
+  }
+
+  const share = await getShare(anchorId, userId);
+
+  if (!share) {
+    return createResponse(404, {
+      status: 'error',
+      message: `Anchor ${anchorId} is not shared with ${userId}`,
+      code: 'SHARE_NOT_FOUND',
+    });
+  }
+
+  try {
+    await writeShareChange(anchor, (anchor.sharedWith || []).filter((id) => id !== userId), {
+      Delete: {
+        TableName: SHARES_TABLE,
+        Key: { anchorId, userId },
+      },
+    });
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return conflict();
+    }
+    throw error;
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Anchor share revoked successfully',
+    data: { anchorId, userId },
+  });
+};
+
+const listAnchorShares = async (event, anchorId) => {
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  await requireAnchorAccess(event, anchor, 'owner');
+
+  const result = await dynamoDB.query({
+    TableName: SHARES_TABLE,
+    KeyConditionExpression: 'anchorId = :anchorId',
+    ExpressionAttributeValues: {
+      ':anchorId': anchorId,
+    },
+  }).promise();
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      shares: result.Items,
+      count: result.Items.length,
+    },
+  });
+};
+
+const listSharedWithUser = async (event, userId, queryParams) => {
+  authorizeUser(event, userId);
+
+  const params = {
+    TableName: SHARES_TABLE,
+    IndexName: 'SharedWithUserIndex',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+    },
+    Limit: MAX_ITEMS,
+    ScanIndexForward: false, // Most recently shared first
+  };
+
+  const scope = scopeOf('anchorSharing', userId, queryParams);
+  if (queryParams.nextToken) {
+    params.ExclusiveStartKey = decodeCursor(queryParams.nextToken, scope);
+  }
+
+  const result = await dynamoDB.query(params).promise();
+  const roles = new Map(result.Items.map((share) => [share.anchorId, share.role]));
+  const anchors = [];
+
+  const anchorIds = [...roles.keys()];
+  for (let i = 0; i < anchorIds.length; i += BATCH_GET_SIZE) {
+    let keys = anchorIds.slice(i, i + BATCH_GET_SIZE).map((anchorId) => ({ anchorId }));
+    while (keys.length > 0) {
+      const batch = await dynamoDB.batchGet({
+        RequestItems: {
+          [TABLE_NAME]: { Keys: keys },
+        },
+      }).promise();
+      anchors.push(...(batch.Responses[TABLE_NAME] || []));
+      keys = batch.UnprocessedKeys?.[TABLE_NAME]?.Keys || [];
+    }
+  }
+
+  const visible = anchors
+    .filter((anchor) => anchor.status === 'active' && !isExpired(anchor))
+    .map((anchor) => ({ ...anchor, accessRole: roles.get(anchor.anchorId) }));
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      anchors: visible,
+      count: visible.length,
+      nextToken: encodeCursor(result.LastEvaluatedKey, scope),
+    },
+  });
+};
+
+exports.handler = withMetrics('anchorSharing', async (event, metrics) => {
+  console.log('anchorSharing invoked with event:', JSON.stringify(event));
+
+  try {
+    const { anchorId, userId } = event.pathParameters || {};
+
+    // GET /spatial/shared/{userId}
+    if (!anchorId) {
+      if (!userId) {
+        return createResponse(400, {
+          status: 'error',
+          message: 'userId is required',
+          code: 'MISSING_USER_ID',
+        });
+      }
+      return await listSharedWithUser(event, userId, event.queryStringParameters || {});
+    }
+
+    // /spatial/anchor/{anchorId}/shares[/{userId}]
+    switch (event.httpMethod) {
+      case 'GET':
+        return await listAnchorShares(event, anchorId);
+      case 'POST':
+        return await shareAnchor(event, anchorId, parseJson(event.body));
+      case 'DELETE':
+        if (!userId) {
+          return createResponse(400, {
+            status: 'error',
+            message: 'userId is required',
+            code: 'MISSING_USER_ID',
+          });
+        }
+        return await revokeShare(event, anchorId, userId);
+      default:
+        return createResponse(405, {
+          status: 'error',
+          message: `Method ${event.httpMethod} not allowed`,
+          code: 'METHOD_NOT_ALLOWED',
+        });
+    }
+
+  } catch (error) {
+    console.error('Error handling anchor sharing request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'AnchorSharingError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
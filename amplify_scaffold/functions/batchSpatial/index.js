@@ -0,0 +1,285 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { anchorInputErrors, buildAnchorItem } = require('../shared/anchors');
+const { authorizeUser } = require('../shared/auth');
+const { putInitialShares } = require('../shared/sharing');
+const { REVISIONS_TABLE, buildRevision } = require('../shared/revisions');
+const { enforceRateLimit, findDuplicatePositions, enqueueReview } = require('../shared/abuse');
+const { withMetrics } = require('../shared/metrics');
+const { validate, parseBody } = require('../shared/schema');
+const { validationError, errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const MAX_BATCH_SIZE = 250;
+const BATCH_GET_SIZE = 100; // DynamoDB BatchGetItem limit
+// DynamoDB BatchWriteItem takes 25 requests; each anchor also writes its first revision
+const ANCHORS_PER_WRITE = 12;
+const MAX_WRITE_ATTEMPTS = 5;
+
+const BATCH_SCHEMA = {
+  type: 'object',
+  required: ['userId', 'anchors'],
+  properties: {
+    userId: { type: 'string', minLength: 1 },
+    anchors: { type: 'array', minItems: 1 },
+  },
+};
+
+// What a batch anchor has on top of createSpatial's fields: the client's ID,
+// and when it was captured
+const BATCH_ANCHOR_SCHEMA = {
+  type: 'object',
+  required: ['anchorId'],
+  properties: {
+    anchorId: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9_-]{1,128}$',
+      patternDescription: 'must be 1-128 letters, digits, "-" or "_"',
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// [{ field, reason }] for every problem with one anchor of the batch
+const batchAnchorErrors = (anchor, userId) => {
+  if (!anchor || typeof anchor !== 'object' || Array.isArray(anchor)) {
+    return [{ field: '(anchor)', reason: 'must be an object' }];
+  }
+
+  const errors = validate(BATCH_ANCHOR_SCHEMA, anchor);
+  if (typeof anchor.createdAt === 'string' && Date.parse(anchor.createdAt) > Date.now()) {
+    errors.push({ field: 'createdAt', reason: 'must not be in the future' });
+  }
+  if (anchor.userId && anchor.userId !== userId) {
+    errors.push({ field: 'userId', reason: 'does not match the batch userId' });
+  }
+  return [...errors, ...anchorInputErrors({ ...anchor, userId })];
+};
+
+const findExistingIds = async (anchorIds) => {
+  const existing = new Set();
+
+  for (const ids of chunk(anchorIds, BATCH_GET_SIZE)) {
+    let keys = ids.map((anchorId) => ({ anchorId }));
+    for (let attempt = 0; keys.length > 0 && attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      if (attempt > 0) await sleep(50 * 2 ** attempt);
+      const result = await dynamoDB.batchGet({
+        RequestItems: {
+          [TABLE_NAME]: {
+            Keys: keys,
+            ProjectionExpression: 'anchorId',
+          },
+        },
+      }).promise();
+
+      (result.Responses[TABLE_NAME] || []).forEach((item) => existing.add(item.anchorId));
+      keys = result.UnprocessedKeys?.[TABLE_NAME]?.Keys || [];
+    }
+
+    if (keys.length > 0) {
+      throw new Error('Could not check existing anchors after retries');
+    }
+  }
+
+  return existing;
+};
+
+// Writes anchors 12 at a time, each with its first revision, retrying
+// UnprocessedItems with exponential backoff. BatchWriteItem isn't
+// transactional, so a revision can still be left unwritten after its anchor
+// was; those are logged. Returns the IDs of anchors that could not be written.
+const writeItems = async (items, author) => {
+  const failed = [];
+
+  for (const group of chunk(items, ANCHORS_PER_WRITE)) {
+    let requests = {
+      [TABLE_NAME]: group.map((item) => ({ PutRequest: { Item: item } })),
+      [REVISIONS_TABLE]: group.map((item) => ({
+        PutRequest: { Item: buildRevision({ before: null, after: item, author, action: 'create' }).revision },
+      })),
+    };
+    for (let attempt = 0; Object.keys(requests).length > 0 && attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      if (attempt > 0) await sleep(50 * 2 ** attempt);
+      const result = await dynamoDB.batchWrite({
+        RequestItems: requests,
+      }).promise();
+      requests = result.UnprocessedItems || {};
+    }
+
+    const failedIds = (requests[TABLE_NAME] || []).map((request) => request.PutRequest.Item.anchorId);
+    const missingRevisions = (requests[REVISIONS_TABLE] || [])
+      .map((request) => request.PutRequest.Item.anchorId)
+      .filter((anchorId) => !failedIds.includes(anchorId));
+    if (missingRevisions.length > 0) {
+      console.error('Failed to write first revisions:', JSON.stringify(missingRevisions));
+    }
+    failed.push(...failedIds);
+  }
+
+  return failed;
+};
+
+exports.handler = withMetrics('batchSpatial', async (event, metrics) => {
+  // Batches can be large, so only the request metadata is logged
+  console.log('batchSpatial invoked for request:', event.requestContext?.requestId);
+
+  try {
+    const { userId, anchors } = parseBody(BATCH_SCHEMA, event.body);
+
+    if (anchors.length > MAX_BATCH_SIZE) {
+      return createResponse(400, {
+        status: 'error',
+        message: `A batch can contain at most ${MAX_BATCH_SIZE} anchors`,
+        code: 'BATCH_TOO_LARGE',
+      });
+    }
+
+    authorizeUser(event, userId);
+
+    const timestamp = new Date().toISOString();
+    const results = anchors.map((anchor, index) => ({ index, anchorId: anchor?.anchorId ?? null }));
+    const candidates = [];
+    const seenIds = new Set();
+
+    // Each anchor is validated on its own so one bad item doesn't fail the batch
+    anchors.forEach((anchor, index) => {
+      const result = results[index];
+      const errors = batchAnchorErrors(anchor, userId);
+      if (errors.length > 0) {
+        result.status = 'invalid';
+        result.error = validationError(errors).message;
+        result.errors = errors;
+        return;
+      }
+
+      if (seenIds.has(anchor.anchorId)) {
+        result.status = 'duplicate';
+        return;
+      }
+      seenIds.add(anchor.anchorId);
+      const data = { ...anchor, userId };
+      candidates.push({ result, item: buildAnchorItem(data, anchor.anchorId, timestamp, anchor.createdAt ? new Date(anchor.createdAt).toISOString() : timestamp) });
+    });
+
+    // BatchWriteItem has no conditional puts, so existing IDs are filtered
+    // out up front; replaying an offline session reports them as duplicates
+    const existing = await findExistingIds(candidates.map(({ item }) => item.anchorId));
+    const toWrite = candidates.filter(({ result, item }) => {
+      if (existing.has(item.anchorId)) {
+        result.status = 'duplicate';
+        return false;
+      }
+      return true;
+    });
+
+    await enforceRateLimit(userId, 'anchorCreate', Math.max(toWrite.length, 1));
+
+    const duplicates = await findDuplicatePositions(toWrite.map(({ item }) => item));
+    toWrite.forEach(({ result, item }) => {
+      if (duplicates.get(item.anchorId).length > 0) {
+        item.flagged = true;
+        item.flagReasons = ['duplicate position'];
+        result.flagged = true;
+      }
+    });
+
+    const failedIds = new Set(await writeItems(toWrite.map(({ item }) => item), userId));
+    toWrite.forEach(({ result, item }) => {
+      if (failedIds.has(item.anchorId)) {
+        result.status = 'failed';
+        result.error = 'Write was throttled; retry this anchor';
+      } else {
+        result.status = 'created';
+      }
+    });
+
+    const createdItems = toWrite.filter(({ item }) => !failedIds.has(item.anchorId)).map(({ item }) => item);
+
+    // The anchors are already written, so unwritten shares are reported per
+    // anchor instead of failing the batch
+    const sharesFailed = new Set(await putInitialShares(createdItems.filter((item) => item.sharedWith.length > 0), userId));
+    toWrite.forEach(({ result, item }) => {
+      if (sharesFailed.has(item.anchorId)) {
+        result.sharesFailed = true;
+      }
+    });
+
+    for (const item of createdItems.filter((created) => created.flagged)) {
+      await enqueueReview({
+        userId,
+        subjectType: 'anchor',
+        subjectId: item.anchorId,
+        reasons: item.flagReasons,
+        details: { duplicateOf: duplicates.get(item.anchorId) },
+      });
+    }
+
+    const summary = ['created', 'duplicate', 'invalid', 'failed'].reduce((counts, status) => ({
+      ...counts,
+      [status]: results.filter((result) => result.status === status).length,
+    }), {});
+
+    if (process.env.SNS_TOPIC_ARN && summary.created > 0) {
+      const sns = new AWS.SNS();
+      await sns.publish({
+        TopicArn: process.env.SNS_TOPIC_ARN,
+        Message: JSON.stringify({
+          type: 'SPATIAL_ANCHORS_BATCH_CREATED',
+          data: {
+            userId,
+            anchorIds: results.filter((result) => result.status === 'created').map((result) => result.anchorId),
+          },
+        }),
+      }).promise();
+    }
+
+    metrics.putMetric('SpatialMesh/Anchors', 'AnchorCreated', summary.created);
+    metrics.putMetric('SpatialMesh/Anchors', 'BatchAnchorsRejected', summary.invalid + summary.failed);
+    metrics.putMetric('SpatialMesh/Anchors', 'AnchorFlagged', createdItems.filter((item) => item.flagged).length);
+
+    return createResponse(200, {
+      status: 'success',
+      data: {
+        summary,
+        results,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error creating spatial anchor batch:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'BatchSpatialAnchorsError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
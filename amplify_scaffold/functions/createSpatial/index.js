@@ -1,6 +1,15 @@
 const AWS = require('aws-sdk');
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
 const { v4: uuidv4 } = require('uuid');
+const { validateAnchorInput, buildAnchorItem } = require('../shared/anchors');
+const { authorizeUser } = require('../shared/auth');
+const { initialShareTransactItems } = require('../shared/sharing');
+const { buildRevision } = require('../shared/revisions');
+const { cancellationReasons } = require('../shared/ledger');
+const { enforceRateLimit, findDuplicatePositions, enqueueReview } = require('../shared/abuse');
+const { parseJson } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+const { withMetrics, qualityBucket } = require('../shared/metrics');
 
 const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
 const REGION = process.env.AWS_REGION;
@@ -17,66 +26,55 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body),
 });
 
-const validateInput = (data) => {
-  if (!data.userId || !data.position || !data.metadata) {
-    throw new Error('Missing required fields: userId, position, metadata');
-  }
-
-  if (!data.position.x || !data.position.y || !data.position.z) {
-    throw new Error('Position must include x, y, z coordinates');
-  }
-
-  if (typeof data.qualityScore !== 'number' || data.qualityScore < 0 || data.qualityScore > 1) {
-    throw new Error('Quality score must be a number between 0 and 1');
-  }
-};
-
-exports.handler = async (event) => {
+exports.handler = withMetrics('createSpatial', async (event, metrics) => {
   console.log('createSpatial invoked with event:', JSON.stringify(event));
 
   try {
-    const requestBody = JSON.parse(event.body);
-    validateInput(requestBody);
+    const requestBody = parseJson(event.body);
+    validateAnchorInput(requestBody);
+    authorizeUser(event, requestBody.userId);
+    await enforceRateLimit(requestBody.userId, 'anchorCreate');
 
     const timestamp = new Date().toISOString();
     const anchorId = uuidv4();
 
-    const item = {
-      anchorId,
-      userId: requestBody.userId,
-      position: requestBody.position,
-      rotation: requestBody.rotation || { x: 0, y: 0, z: 0 },
-      metadata: requestBody.metadata,
-      qualityScore: requestBody.qualityScore,
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      isPersistent: requestBody.isPersistent || true,
-      sharedWith: requestBody.sharedWith || [],
-      earnings: 0,
-      status: 'active',
-      version: 1,
-    };
-
-    const params = {
-      TableName: TABLE_NAME,
-      Item: item,
-      ConditionExpression: 'attribute_not_exists(anchorId)',
-    };
-
-    await dynamoDB.put(params).promise();
-
-    // Create GSI entry for user-based queries
-    const userIndexParams = {
-      TableName: TABLE_NAME,
-      Item: {
-        userId: requestBody.userId,
-        anchorId,
-        createdAt: timestamp,
-        status: 'active',
-      },
-    };
+    const item = buildAnchorItem(requestBody, anchorId, timestamp);
+
+    // Near-identical anchors are still created but flagged for review, which
+    // holds any earnings claimed for them
+    const duplicateOf = (await findDuplicatePositions([item])).get(anchorId);
+    if (duplicateOf.length > 0) {
+      item.flagged = true;
+      item.flagReasons = ['duplicate position'];
+    }
+
+    const revision = buildRevision({ before: null, after: item, author: requestBody.userId, action: 'create' });
+
+    // UserIdIndex and GeohashIndex are maintained by DynamoDB from this item;
+    // the anchor, its first revision and its initial shares are written together
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(anchorId)',
+          },
+        },
+        revision.transactItem,
+        ...initialShareTransactItems(item, requestBody.userId),
+      ],
+    }).promise();
 
-    await dynamoDB.put(userIndexParams).promise();
+    if (item.flagged) {
+      await enqueueReview({
+        userId: item.userId,
+        subjectType: 'anchor',
+        subjectId: anchorId,
+        reasons: item.flagReasons,
+        details: { duplicateOf },
+      });
+    }
 
     // Publish to SNS for real-time updates (if configured)
     if (process.env.SNS_TOPIC_ARN) {
@@ -90,28 +88,11 @@ exports.handler = async (event) => {
       }).promise();
     }
 
-    // Log metrics
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Anchors',
-      MetricData: [
-        {
-          MetricName: 'AnchorCreated',
-          Value: 1,
-          Unit: 'Count',
-          Dimensions: [
-            {
-              Name: 'UserId',
-              Value: requestBody.userId,
-            },
-            {
-              Name: 'QualityScore',
-              Value: requestBody.qualityScore.toString(),
-            },
-          ],
-        },
-      ],
-    }).promise();
+    metrics.addDimensions({ QualityBucket: qualityBucket(item.qualityScore) });
+    metrics.putMetric('SpatialMesh/Anchors', 'AnchorCreated', 1);
+    if (item.flagged) {
+      metrics.putMetric('SpatialMesh/Anchors', 'AnchorFlagged', 1);
+    }
 
     return createResponse(201, {
       status: 'success',
@@ -120,21 +101,21 @@ exports.handler = async (event) => {
         anchorId,
         userId: requestBody.userId,
         createdAt: timestamp,
+        geohash: item.geohash || null,
+        expiresAt: item.expiresAt || null,
+        flagged: Boolean(item.flagged),
       },
     });
 
   } catch (error) {
     console.error('Error creating spatial anchor:', error);
 
-    if (error.name === 'ValidationError') {
-      return createResponse(400, {
-        status: 'error',
-        message: error.message,
-        code: 'VALIDATION_ERROR',
-      });
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
     }
 
-    if (error.code === 'ConditionalCheckFailedException') {
+    if (error.code === 'TransactionCanceledException' && cancellationReasons(error)[0] === 'ConditionalCheckFailed') {
       return createResponse(409, {
         status: 'error',
         message: 'Anchor ID already exists',
@@ -142,18 +123,7 @@ exports.handler = async (event) => {
       });
     }
 
-    // Log error to CloudWatch
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Errors',
-      MetricData: [
-        {
-          MetricName: 'CreateSpatialAnchorError',
-          Value: 1,
-          Unit: 'Count',
-        },
-      ],
-    }).promise();
+    metrics.putMetric('SpatialMesh/Errors', 'CreateSpatialAnchorError', 1);
 
     return createResponse(500, {
       status: 'error',
@@ -162,4 +132,4 @@ exports.handler = async (event) => {
       requestId: event.requestContext?.requestId,
     });
   }
-};
+});
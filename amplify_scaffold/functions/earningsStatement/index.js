@@ -0,0 +1,272 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const { authorizeUser } = require('../shared/auth');
+const timeBuckets = require('../shared/timeBuckets');
+const { LEDGER_CURRENCY, formatMinorUnits } = require('../shared/money');
+const { withMetrics } = require('../shared/metrics');
+const { validate, coerceQuery } = require('../shared/schema');
+const { validationError, errorResponse } = require('../shared/errors');
+
+const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE_NAME;
+const WITHDRAWALS_TABLE = process.env.WITHDRAWALS_TABLE_NAME;
+const STATEMENTS_BUCKET = process.env.STATEMENTS_BUCKET_NAME;
+const INLINE_MAX_BYTES = parseInt(process.env.STATEMENT_INLINE_MAX_BYTES || String(1024 * 1024), 10);
+const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+const FORMATS = ['csv', 'json'];
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const createFileResponse = (contentType, fileName, body) => ({
+  statusCode: 200,
+  headers: {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body,
+});
+
+const QUERY_SCHEMA = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    format: { enum: FORMATS },
+    tz: { type: 'string' },
+  },
+};
+
+const validateQueryParams = (queryParams) => {
+  const query = coerceQuery(QUERY_SCHEMA, queryParams);
+  const errors = validate(QUERY_SCHEMA, query);
+  const from = new Date(query.from);
+  const to = new Date(query.to);
+  const { format = 'json', tz: timeZone = 'UTC' } = query;
+
+  if (!isNaN(from.getTime()) && !isNaN(to.getTime()) && from > to) {
+    errors.push({ field: 'from', reason: 'must be before to' });
+  }
+
+  if (typeof timeZone === 'string' && !timeBuckets.isValidTimeZone(timeZone)) {
+    errors.push({ field: 'tz', reason: 'must be an IANA time zone such as Europe/Berlin' });
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors, 'INVALID_PARAMETERS');
+  }
+
+  return { from, to, format, timeZone };
+};
+
+// Reads every page of a query, oldest first
+const queryAll = async (params) => {
+  const items = [];
+  do {
+    const result = await dynamoDB.query(params).promise();
+    items.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+  return items;
+};
+
+const getTransactions = (userId, { from, to }) => queryAll({
+  TableName: TRANSACTIONS_TABLE,
+  IndexName: 'UserTransactionsIndex',
+  KeyConditionExpression: 'userId = :userId AND #timestamp BETWEEN :from AND :to',
+  ExpressionAttributeNames: {
+    '#timestamp': 'timestamp',
+  },
+  ExpressionAttributeValues: {
+    ':userId': userId,
+    ':from': from.toISOString(),
+    ':to': to.toISOString(),
+  },
+});
+
+const getWithdrawals = (userId, { from, to }) => queryAll({
+  TableName: WITHDRAWALS_TABLE,
+  IndexName: 'UserWithdrawalsIndex',
+  KeyConditionExpression: 'userId = :userId AND requestedAt BETWEEN :from AND :to',
+  ExpressionAttributeValues: {
+    ':userId': userId,
+    ':from': from.toISOString(),
+    ':to': to.toISOString(),
+  },
+});
+
+const buildStatement = (userId, range, transactions, withdrawals) => {
+  const completed = transactions.filter((tx) => !tx.status || tx.status === 'completed');
+  const totalsByType = {};
+  const totalsByMonth = {};
+
+  completed.forEach((tx) => {
+    const month = timeBuckets.keyFor(tx.timestamp, 'month', range.timeZone);
+    totalsByType[tx.type] = (totalsByType[tx.type] || 0) + tx.amount;
+    totalsByMonth[month] = (totalsByMonth[month] || 0) + tx.amount;
+  });
+
+  const paid = withdrawals.filter((withdrawal) => withdrawal.status === 'paid');
+
+  return {
+    userId,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    timeZone: range.timeZone,
+    currency: LEDGER_CURRENCY,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      earned: completed.reduce((sum, tx) => sum + tx.amount, 0),
+      paidOut: paid.reduce((sum, withdrawal) => sum + withdrawal.amount, 0),
+      transactionCount: transactions.length,
+      withdrawalCount: withdrawals.length,
+    },
+    totalsByType,
+    totalsByMonth,
+    transactions: transactions.map((tx) => ({
+      transactionId: tx.transactionId,
+      timestamp: tx.timestamp,
+      type: tx.type,
+      contributionId: tx.contributionId,
+      amount: tx.amount,
+      status: tx.status || 'completed',
+    })),
+    withdrawals: withdrawals.map((withdrawal) => ({
+      withdrawalId: withdrawal.withdrawalId,
+      requestedAt: withdrawal.requestedAt,
+      method: withdrawal.method,
+      amount: withdrawal.amount,
+      status: withdrawal.status,
+      payoutReference: withdrawal.payoutReference || '',
+    })),
+  };
+};
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Columns holding signed decimals from formatMinorUnits, which must stay numbers
+const AMOUNT_COLUMNS = ['amount', 'total'];
+
+// Text that could start a formula (contribution IDs, payout references) is
+// prefixed with ' so it is shown as text instead of run
+const csvValue = (value, isAmount = false) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  const safe = !isAmount && FORMULA_START.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const csvRows = (header, rows) => [
+  header.map((name) => csvValue(name)).join(','),
+  ...rows.map((row) => row.map((value, i) => csvValue(value, AMOUNT_COLUMNS.includes(header[i]))).join(',')),
+];
+
+// JSON statements keep minor units; the CSV is for people, so amounts are
+// written as decimals in the statement's currency
+const toCsv = (statement) => {
+  const money = (amount) => formatMinorUnits(amount, statement.currency);
+  return [
+    `currency,${statement.currency}`,
+    '',
+    ...csvRows(['transactionId', 'timestamp', 'type', 'contributionId', 'amount', 'status'],
+      statement.transactions.map((tx) => [tx.transactionId, tx.timestamp, tx.type, tx.contributionId, money(tx.amount), tx.status])),
+    '',
+    ...csvRows(['type', 'total'], Object.entries(statement.totalsByType).map(([type, total]) => [type, money(total)])),
+    '',
+    ...csvRows(['month', 'total'], Object.entries(statement.totalsByMonth).map(([month, total]) => [month, money(total)])),
+    '',
+    ...csvRows(['withdrawalId', 'requestedAt', 'method', 'amount', 'status', 'payoutReference'],
+      statement.withdrawals.map((w) => [w.withdrawalId, w.requestedAt, w.method, money(w.amount), w.status, w.payoutReference])),
+  ].join('\r\n');
+};
+
+// Large statements go to S3 and the client gets a short-lived download link
+const uploadStatement = async (userId, fileName, contentType, body) => {
+  const key = `statements/${userId}/${Date.now()}_${fileName}`;
+
+  await s3.putObject({
+    Bucket: STATEMENTS_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+    ContentDisposition: `attachment; filename="${fileName}"`,
+    ServerSideEncryption: 'AES256',
+  }).promise();
+
+  return s3.getSignedUrlPromise('getObject', {
+    Bucket: STATEMENTS_BUCKET,
+    Key: key,
+    Expires: DOWNLOAD_URL_TTL_SECONDS,
+  });
+};
+
+exports.handler = withMetrics('earningsStatement', async (event, metrics) => {
+  console.log('earningsStatement invoked with event:', JSON.stringify(event));
+
+  try {
+    const userId = event.pathParameters?.userId;
+    if (!userId) {
+      return createResponse(400, {
+        status: 'error',
+        message: 'userId is required',
+        code: 'MISSING_USER_ID',
+      });
+    }
+
+    authorizeUser(event, userId);
+    const range = validateQueryParams(event.queryStringParameters || {});
+
+    const [transactions, withdrawals] = await Promise.all([
+      getTransactions(userId, range),
+      getWithdrawals(userId, range),
+    ]);
+    const statement = buildStatement(userId, range, transactions, withdrawals);
+
+    const contentType = range.format === 'csv' ? 'text/csv' : 'application/json';
+    const fileName = `statement_${range.from.toISOString().slice(0, 10)}_${range.to.toISOString().slice(0, 10)}.${range.format}`;
+    const body = range.format === 'csv' ? toCsv(statement) : JSON.stringify(statement);
+
+    if (Buffer.byteLength(body) <= INLINE_MAX_BYTES) {
+      return createFileResponse(contentType, fileName, body);
+    }
+
+    const downloadUrl = await uploadStatement(userId, fileName, contentType, body);
+
+    return createResponse(200, {
+      status: 'success',
+      message: 'Statement is too large to return inline; download it from downloadUrl',
+      data: {
+        downloadUrl,
+        expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+        format: range.format,
+        totals: statement.totals,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error generating earnings statement:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'EarningsStatementError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
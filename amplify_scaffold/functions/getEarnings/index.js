@@ -1,9 +1,26 @@
 const AWS = require('aws-sdk');
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { authorizeUser } = require('../shared/auth');
+const timeBuckets = require('../shared/timeBuckets');
+const { LEDGER_CURRENCY } = require('../shared/money');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { validate, coerceQuery } = require('../shared/schema');
+const { validationError, errorResponse } = require('../shared/errors');
 
 const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
 const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE_NAME;
 const MAX_TRANSACTIONS = 50;
+// Longest range per granularity. Stats read every transaction in the range,
+// so the span is capped, not just the number of buckets.
+const MAX_RANGE_DAYS = {
+  hour: 31,
+  day: 366,
+  week: 366,
+  month: 366,
+};
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -27,6 +44,7 @@ const getEarningsData = async (userId) => {
     totalEarnings: 0,
     totalPaid: 0,
     pendingEarnings: 0,
+    currency: LEDGER_CURRENCY,
     earningsByType: {},
     lastUpdated: new Date().toISOString(),
     contributionCount: 0,
@@ -35,62 +53,133 @@ const getEarningsData = async (userId) => {
   };
 };
 
-const getRecentTransactions = async (userId, lastEvaluatedKey = null) => {
+const QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    granularity: { enum: timeBuckets.GRANULARITIES },
+    tz: { type: 'string' },
+    nextToken: { type: 'string' },
+  },
+};
+
+const validateQueryParams = (queryParams) => {
+  const query = coerceQuery(QUERY_SCHEMA, queryParams);
+  const errors = validate(QUERY_SCHEMA, query);
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  const { granularity = 'day', tz: timeZone = 'UTC' } = query;
+
+  if (!isNaN(from.getTime()) && !isNaN(to.getTime()) && from > to) {
+    errors.push({ field: 'from', reason: 'must be before to' });
+  }
+
+  if (typeof timeZone === 'string' && !timeBuckets.isValidTimeZone(timeZone)) {
+    errors.push({ field: 'tz', reason: 'must be an IANA time zone such as Europe/Berlin' });
+  }
+
+  if (errors.length === 0 && to - from > MAX_RANGE_DAYS[granularity] * DAY_MS) {
+    errors.push({
+      field: '(query)',
+      reason: `covers too large a range for ${granularity} granularity (max ${MAX_RANGE_DAYS[granularity]} days)`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors, 'INVALID_PARAMETERS');
+  }
+
+  return { from, to, granularity, timeZone };
+};
+
+const transactionQuery = (userId, from, to) => ({
+  TableName: TRANSACTIONS_TABLE,
+  IndexName: 'UserTransactionsIndex',
+  KeyConditionExpression: 'userId = :userId AND #timestamp BETWEEN :from AND :to',
+  ExpressionAttributeNames: {
+    '#timestamp': 'timestamp',
+  },
+  ExpressionAttributeValues: {
+    ':userId': userId,
+    ':from': from.toISOString(),
+    ':to': to.toISOString(),
+  },
+  ScanIndexForward: false, // Sort descending by timestamp
+});
+
+const getRecentTransactions = async (userId, range, exclusiveStartKey = null) => {
   const params = {
-    TableName: TRANSACTIONS_TABLE,
-    KeyConditionExpression: 'userId = :userId',
-    ExpressionAttributeValues: {
-      ':userId': userId,
-      ':cutoffDate': new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // Last 30 days
-    },
-    FilterExpression: 'transactionDate > :cutoffDate',
+    ...transactionQuery(userId, range.from, range.to),
     Limit: MAX_TRANSACTIONS,
-    ScanIndexForward: false, // Sort descending by date
   };
 
-  if (lastEvaluatedKey) {
-    params.ExclusiveStartKey = JSON.parse(Buffer.from(lastEvaluatedKey, 'base64').toString());
+  if (exclusiveStartKey) {
+    params.ExclusiveStartKey = exclusiveStartKey;
   }
 
   return await dynamoDB.query(params).promise();
 };
 
-const calculateEarningStats = (transactions) => {
-  const now = new Date();
+const getTransactionsInRange = async (userId, range) => {
+  const params = transactionQuery(userId, range.from, range.to);
+  const items = [];
+
+  do {
+    const result = await dynamoDB.query(params).promise();
+    items.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return items;
+};
+
+const calculateEarningStats = (transactions, { from, to, granularity, timeZone }) => {
+  const now = Date.now();
+  const completed = transactions.filter((tx) => !tx.status || tx.status === 'completed');
+  const types = [...new Set(completed.map((tx) => tx.type))].sort();
   const stats = {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    granularity,
+    timeZone,
+    currency: LEDGER_CURRENCY,
+    totalEarnings: 0,
     dailyEarnings: 0,
     weeklyEarnings: 0,
     monthlyEarnings: 0,
+    types,
     earningTrend: [],
   };
 
-  transactions.forEach(tx => {
-    const txDate = new Date(tx.timestamp);
-    const daysDiff = (now - txDate) / (1000 * 60 * 60 * 24);
-
-    if (daysDiff < 1) stats.dailyEarnings += tx.amount;
-    if (daysDiff < 7) stats.weeklyEarnings += tx.amount;
-    if (daysDiff < 30) stats.monthlyEarnings += tx.amount;
-  });
-
-  // Calculate daily earning trend for the last 7 days
-  const last7Days = Array.from({ length: 7 }, (_, i) => {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    return date.toISOString().split('T')[0];
+  // Zero-filled series so every bucket in the range is present
+  const buckets = new Map(timeBuckets.bucketRange(from, to, granularity, timeZone).map((period) => [period, {
+    period,
+    earnings: 0,
+    count: 0,
+    byType: Object.fromEntries(types.map((type) => [type, 0])),
+  }]));
+
+  completed.forEach((tx) => {
+    const age = now - new Date(tx.timestamp).getTime();
+    stats.totalEarnings += tx.amount;
+    if (age < DAY_MS) stats.dailyEarnings += tx.amount;
+    if (age < 7 * DAY_MS) stats.weeklyEarnings += tx.amount;
+    if (age < 30 * DAY_MS) stats.monthlyEarnings += tx.amount;
+
+    const bucket = buckets.get(timeBuckets.keyFor(tx.timestamp, granularity, timeZone));
+    if (bucket) {
+      bucket.earnings += tx.amount;
+      bucket.count += 1;
+      bucket.byType[tx.type] += tx.amount;
+    }
   });
 
-  stats.earningTrend = last7Days.map(date => ({
-    date,
-    earnings: transactions
-      .filter(tx => tx.timestamp.startsWith(date))
-      .reduce((sum, tx) => sum + tx.amount, 0),
-  }));
-
+  stats.earningTrend = [...buckets.values()];
   return stats;
 };
 
-exports.handler = async (event) => {
+exports.handler = withMetrics('getEarnings', async (event, metrics) => {
   console.log('getEarnings invoked with event:', JSON.stringify(event));
 
   try {
@@ -103,51 +192,26 @@ exports.handler = async (event) => {
       });
     }
 
+    authorizeUser(event, userId);
+
+    const queryParams = event.queryStringParameters || {};
+    const range = validateQueryParams(queryParams);
+    const scope = scopeOf('getEarnings', userId, queryParams);
+    const exclusiveStartKey = queryParams.nextToken ? decodeCursor(queryParams.nextToken, scope) : null;
+
     // Get basic earnings data
     const earningsData = await getEarningsData(userId);
 
     // Get recent transactions with pagination
-    const queryParams = event.queryStringParameters || {};
-    const transactionsResult = await getRecentTransactions(userId, queryParams.nextToken);
-
-    // Calculate additional statistics
-    const stats = calculateEarningStats(transactionsResult.Items);
+    const transactionsResult = await getRecentTransactions(userId, range, exclusiveStartKey);
 
-    // Create next token for pagination
-    let nextToken = null;
-    if (transactionsResult.LastEvaluatedKey) {
-      nextToken = Buffer.from(JSON.stringify(transactionsResult.LastEvaluatedKey)).toString('base64');
-    }
+    // Statistics cover the whole range, not just the current page, so they
+    // are only read for the first page; later pages leave them out
+    const stats = exclusiveStartKey
+      ? null
+      : calculateEarningStats(await getTransactionsInRange(userId, range), range);
 
-    // Log metrics
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Earnings',
-      MetricData: [
-        {
-          MetricName: 'UserEarningsQueried',
-          Value: 1,
-          Unit: 'Count',
-          Dimensions: [
-            {
-              Name: 'UserId',
-              Value: userId,
-            },
-          ],
-        },
-        {
-          MetricName: 'TotalUserEarnings',
-          Value: earningsData.totalEarnings,
-          Unit: 'None',
-          Dimensions: [
-            {
-              Name: 'UserId',
-              Value: userId,
-            },
-          ],
-        },
-      ],
-    }).promise();
+    metrics.putMetric('SpatialMesh/Earnings', 'UserEarningsQueried', 1);
 
     return createResponse(200, {
       status: 'success',
@@ -155,7 +219,7 @@ exports.handler = async (event) => {
         ...earningsData,
         recentTransactions: transactionsResult.Items,
         transactionCount: transactionsResult.Count,
-        nextToken,
+        nextToken: encodeCursor(transactionsResult.LastEvaluatedKey, scope),
         stats,
       },
     });
@@ -163,18 +227,12 @@ exports.handler = async (event) => {
   } catch (error) {
     console.error('Error fetching earnings:', error);
 
-    // Log error to CloudWatch
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Errors',
-      MetricData: [
-        {
-          MetricName: 'GetEarningsError',
-          Value: 1,
-          Unit: 'Count',
-        },
-      ],
-    }).promise();
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'GetEarningsError', 1);
 
     return createResponse(500, {
       status: 'error',
@@ -183,4 +241,4 @@ exports.handler = async (event) => {
       requestId: event.requestContext?.requestId,
     });
   }
-};
+});
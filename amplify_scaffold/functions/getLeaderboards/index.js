@@ -0,0 +1,178 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { getCaller } = require('../shared/auth');
+const {
+  PERIODS,
+  GLOBAL_REGION,
+  REGION_PRECISIONS,
+  METRICS,
+  periodKey,
+  boardKey,
+} = require('../shared/leaderboards');
+const { withMetrics } = require('../shared/metrics');
+const { LEDGER_CURRENCY } = require('../shared/money');
+const { validate, coerceQuery } = require('../shared/schema');
+const { validationError, errorResponse } = require('../shared/errors');
+
+const LEADERBOARDS_TABLE = process.env.LEADERBOARDS_TABLE_NAME;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const GEOHASH_PATTERN = /^[0123456789bcdefghjkmnpqrstuvwxyz]+$/;
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    period: { enum: PERIODS },
+    type: { enum: Object.keys(METRICS) },
+    region: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    date: { type: 'string', format: 'date-time' },
+  },
+};
+
+const validateQueryParams = (queryParams) => {
+  const query = coerceQuery(QUERY_SCHEMA, queryParams);
+  const errors = validate(QUERY_SCHEMA, query);
+  const { period = 'week', type = 'earnings', region = GLOBAL_REGION, limit = DEFAULT_LIMIT } = query;
+
+  if (region !== GLOBAL_REGION) {
+    if (!REGION_PRECISIONS.includes(region.length) || !GEOHASH_PATTERN.test(region)) {
+      errors.push({
+        field: 'region',
+        reason: `must be ${GLOBAL_REGION} or a geohash prefix of ${REGION_PRECISIONS.join(', ')} characters`,
+      });
+    } else if (METRICS[type] && !METRICS[type].regional) {
+      errors.push({ field: 'region', reason: `must be ${GLOBAL_REGION} for ${type} leaderboards` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors, 'INVALID_PARAMETERS');
+  }
+
+  return { period, type, region, limit, date: query.date ? new Date(query.date) : new Date() };
+};
+
+const getTopEntries = async (key, type, limit) => {
+  const result = await dynamoDB.query({
+    TableName: LEADERBOARDS_TABLE,
+    IndexName: METRICS[type].indexName,
+    KeyConditionExpression: 'boardKey = :boardKey AND #score > :zero',
+    ExpressionAttributeNames: {
+      '#score': type,
+    },
+    ExpressionAttributeValues: {
+      ':boardKey': key,
+      ':zero': 0,
+    },
+    ScanIndexForward: false,
+    Limit: limit,
+  }).promise();
+
+  return result.Items;
+};
+
+// Rank is one more than the number of users with a strictly higher score,
+// so tied users share a rank
+const countAbove = async (key, type, score) => {
+  const params = {
+    TableName: LEADERBOARDS_TABLE,
+    IndexName: METRICS[type].indexName,
+    KeyConditionExpression: 'boardKey = :boardKey AND #score > :score',
+    ExpressionAttributeNames: {
+      '#score': type,
+    },
+    ExpressionAttributeValues: {
+      ':boardKey': key,
+      ':score': score,
+    },
+    Select: 'COUNT',
+  };
+
+  let count = 0;
+  do {
+    const result = await dynamoDB.query(params).promise();
+    count += result.Count;
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return count;
+};
+
+const getCallerRank = async (key, type, userId) => {
+  const result = await dynamoDB.get({
+    TableName: LEADERBOARDS_TABLE,
+    Key: { boardKey: key, userId },
+  }).promise();
+
+  const score = result.Item?.[type] || 0;
+  if (score <= 0) {
+    return { userId, rank: null, score: 0 };
+  }
+
+  return { userId, rank: (await countAbove(key, type, score)) + 1, score };
+};
+
+exports.handler = withMetrics('getLeaderboards', async (event, metrics) => {
+  console.log('getLeaderboards invoked with event:', JSON.stringify(event));
+
+  try {
+    const caller = getCaller(event);
+    const { period, type, region, limit, date } = validateQueryParams(event.queryStringParameters || {});
+    const key = boardKey(period, periodKey(period, date), region);
+
+    const items = await getTopEntries(key, type, limit);
+    const entries = [];
+    items.forEach((item, index) => {
+      const previous = entries[index - 1];
+      entries.push({
+        rank: previous && previous.score === item[type] ? previous.rank : index + 1,
+        userId: item.userId,
+        score: item[type],
+      });
+    });
+
+    metrics.addDimensions({ Board: type });
+    metrics.putMetric('SpatialMesh/Queries', 'LeaderboardQueried', 1);
+
+    return createResponse(200, {
+      status: 'success',
+      data: {
+        period,
+        periodKey: periodKey(period, date),
+        region,
+        type,
+        ...(type === 'earnings' && { currency: LEDGER_CURRENCY }),
+        entries,
+        me: await getCallerRank(key, type, caller.userId),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error querying leaderboards:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'LeaderboardsError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
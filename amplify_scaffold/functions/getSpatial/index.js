@@ -1,8 +1,30 @@
 const AWS = require('aws-sdk');
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const geohash = require('../shared/geohash');
+const { authorizeUser } = require('../shared/auth');
+const { addNotExpiredFilter } = require('../shared/anchors');
+const { canonicalsFor } = require('../shared/consensus');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { validate, coerceQuery } = require('../shared/schema');
+const { validationError, errorResponse } = require('../shared/errors');
 
 const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
 const MAX_ITEMS = 50; // Maximum items per page
+const MAX_RADIUS_METERS = 2000; // Keeps the number of covering cells bounded
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 100;
+// Attributes `fields` can select; anchorId is always returned
+const RESPONSE_FIELDS = [
+  'anchorId', 'userId', 'position', 'rotation', 'metadata', 'qualityScore', 'location', 'geohash',
+  'createdAt', 'updatedAt', 'isPersistent', 'expiresAt', 'sharedWith', 'status', 'version',
+  'distance', 'canonical',
+];
+// Computed per response rather than stored
+const COMPUTED_FIELDS = ['distance', 'canonical'];
+// Read even when `fields` leaves them out: the table and index keys that
+// paging resumes from, and what the status and expiry filters look at
+const PROJECTED_KEYS = ['anchorId', 'userId', 'createdAt', 'geohash', 'status', 'ttl'];
 
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -14,42 +36,211 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body),
 });
 
+const parseList = (value) => value.split(',').map((entry) => entry.trim()).filter(Boolean);
+
+// tags=key:value,key matches anchors whose metadata has every listed key, with
+// the given value when there is one
+const parseTags = (value) => parseList(value).map((tag) => {
+  const separator = tag.indexOf(':');
+  return separator === -1
+    ? { key: tag }
+    : { key: tag.slice(0, separator), value: tag.slice(separator + 1) };
+});
+
+const QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lon: { type: 'number', minimum: -180, maximum: 180 },
+    radius: { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS_METERS },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_ITEMS },
+    minQuality: { type: 'number', minimum: 0, maximum: 1 },
+    canonical: { type: 'boolean' },
+    createdAfter: { type: 'string', format: 'date-time' },
+    createdBefore: { type: 'string', format: 'date-time' },
+    tags: { type: 'string' },
+    sort: { enum: ['asc', 'desc'] },
+    fields: { type: 'string' },
+    nextToken: { type: 'string' },
+  },
+};
+
 const validateQueryParams = (queryParams) => {
-  const errors = [];
+  const query = coerceQuery(QUERY_SCHEMA, queryParams);
+  const errors = validate(QUERY_SCHEMA, query);
 
-  if (queryParams.radius && isNaN(queryParams.radius)) {
-    errors.push('radius must be a number');
+  const spatialParams = ['lat', 'lon', 'radius'].filter((key) => query[key] !== undefined);
+  if (spatialParams.length > 0 && spatialParams.length < 3) {
+    ['lat', 'lon', 'radius'].filter((key) => !spatialParams.includes(key))
+      .forEach((key) => errors.push({ field: key, reason: `is required with ${spatialParams.join(' and ')}` }));
   }
 
-  if (queryParams.minQuality && (isNaN(queryParams.minQuality) || queryParams.minQuality < 0 || queryParams.minQuality > 1)) {
-    errors.push('minQuality must be a number between 0 and 1');
+  const createdAfter = query.createdAfter && new Date(query.createdAfter);
+  const createdBefore = query.createdBefore && new Date(query.createdBefore);
+  if (createdAfter && createdBefore && createdAfter > createdBefore) {
+    errors.push({ field: 'createdAfter', reason: 'must be before createdBefore' });
+  }
+
+  const tags = typeof query.tags === 'string' ? parseTags(query.tags) : [];
+  if (tags.length > MAX_TAGS) {
+    errors.push({ field: 'tags', reason: `can list at most ${MAX_TAGS} tags` });
+  }
+  if (tags.some((tag) => !tag.key || tag.key.length > MAX_TAG_LENGTH || (tag.value?.length || 0) > MAX_TAG_LENGTH)) {
+    errors.push({ field: 'tags', reason: `must be key or key:value pairs of at most ${MAX_TAG_LENGTH} characters each` });
+  }
+
+  const fields = typeof query.fields === 'string' ? parseList(query.fields) : null;
+  const unknownFields = (fields || []).filter((field) => !RESPONSE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push({
+      field: 'fields',
+      reason: `can only include ${RESPONSE_FIELDS.join(', ')} (got ${unknownFields.join(', ')})`,
+    });
   }
 
   if (errors.length > 0) {
-    throw new Error(`Invalid query parameters: ${errors.join(', ')}`);
+    throw validationError(errors, 'INVALID_PARAMETERS');
   }
+
+  return {
+    center: spatialParams.length === 3 ? { latitude: query.lat, longitude: query.lon } : null,
+    radius: query.radius,
+    limit: query.limit ?? MAX_ITEMS,
+    minQuality: query.minQuality,
+    canonical: query.canonical === true,
+    createdAfter: createdAfter?.toISOString(),
+    createdBefore: createdBefore?.toISOString(),
+    tags,
+    descending: query.sort === 'desc',
+    fields: fields && [...new Set(['anchorId', ...fields])],
+  };
 };
 
-const queryAnchorsInRadius = async (userId, center, radius) => {
-  // Use DynamoDB's geohash-based querying for spatial queries
+// Adds the filters both query paths share. GeohashIndex and UserIdIndex both
+// have createdAt as their sort key, so the creation range is a key condition.
+const addFilters = (params, options) => {
+  if (options.createdAfter && options.createdBefore) {
+    params.KeyConditionExpression += ' AND createdAt BETWEEN :createdAfter AND :createdBefore';
+  } else if (options.createdAfter) {
+    params.KeyConditionExpression += ' AND createdAt >= :createdAfter';
+  } else if (options.createdBefore) {
+    params.KeyConditionExpression += ' AND createdAt <= :createdBefore';
+  }
+  if (options.createdAfter) {
+    params.ExpressionAttributeValues[':createdAfter'] = options.createdAfter;
+  }
+  if (options.createdBefore) {
+    params.ExpressionAttributeValues[':createdBefore'] = options.createdBefore;
+  }
+
+  if (options.minQuality !== undefined) {
+    params.FilterExpression += ' AND qualityScore >= :minQuality';
+    params.ExpressionAttributeValues[':minQuality'] = options.minQuality;
+  }
+
+  options.tags.forEach((tag, index) => {
+    params.ExpressionAttributeNames[`#tag${index}`] = tag.key;
+    if (tag.value === undefined) {
+      params.FilterExpression += ` AND attribute_exists(metadata.#tag${index})`;
+    } else {
+      params.FilterExpression += ` AND metadata.#tag${index} = :tag${index}`;
+      params.ExpressionAttributeValues[`:tag${index}`] = tag.value;
+    }
+  });
+
+  addNotExpiredFilter(params);
+};
+
+// With `fields`, reads only the attributes the response and the query need
+// (radius queries also need location for the distance)
+const addProjection = (params, options) => {
+  if (!options.fields) {
+    return;
+  }
+
+  const attributes = new Set([
+    ...PROJECTED_KEYS,
+    ...(options.center ? ['location'] : []),
+    ...options.fields.filter((field) => !COMPUTED_FIELDS.includes(field)),
+  ]);
+  params.ProjectionExpression = [...attributes].map((attribute, index) => {
+    params.ExpressionAttributeNames[`#field${index}`] = attribute;
+    return `#field${index}`;
+  }).join(', ');
+};
+
+const project = (anchor, fields) => (fields
+  ? Object.fromEntries(fields.filter((field) => anchor[field] !== undefined).map((field) => [field, anchor[field]]))
+  : anchor);
+
+const queryCell = async (cell, userId, options) => {
   const params = {
     TableName: TABLE_NAME,
     IndexName: 'GeohashIndex',
-    KeyConditionExpression: 'userId = :userId',
-    FilterExpression: 'distance_from_point(:lat, :lon) <= :radius',
+    KeyConditionExpression: 'geohash = :geohash',
+    FilterExpression: 'userId = :userId AND #status = :status',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
     ExpressionAttributeValues: {
+      ':geohash': cell,
       ':userId': userId,
-      ':lat': center.latitude,
-      ':lon': center.longitude,
-      ':radius': radius,
+      ':status': 'active',
     },
   };
+  addFilters(params, options);
+  addProjection(params, options);
 
-  const result = await dynamoDB.query(params).promise();
-  return result.Items;
+  const items = [];
+  do {
+    const result = await dynamoDB.query(params).promise();
+    items.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return items;
 };
 
-exports.handler = async (event) => {
+const queryAnchorsInRadius = async (userId, center, radius, options) => {
+  // GeohashIndex is keyed on a fixed-precision cell, so query every cell that
+  // intersects the search circle and apply the exact distance cutoff here.
+  const cells = geohash.coveringCells(center, radius);
+  const results = await Promise.all(cells.map((cell) => queryCell(cell, userId, options)));
+
+  return results
+    .flat()
+    .filter((anchor) => anchor.location)
+    .map((anchor) => ({
+      ...anchor,
+      distance: geohash.haversineDistance(center, anchor.location),
+    }))
+    .filter((anchor) => anchor.distance <= radius)
+    .sort((a, b) => (options.descending ? b.distance - a.distance : a.distance - b.distance));
+};
+
+// Collapses anchors that are linked to the same canonical anchor into the
+// first of them (the nearest, for radius queries) and attaches the canonical
+// anchor. Anchors that aren't linked are kept, with canonical: null.
+const withCanonicals = async (anchors) => {
+  const canonicals = await canonicalsFor(anchors.map((anchor) => anchor.anchorId));
+  const seen = new Set();
+
+  return anchors
+    .filter((anchor) => {
+      const canonical = canonicals.get(anchor.anchorId);
+      if (!canonical) {
+        return true;
+      }
+      if (seen.has(canonical.canonicalId)) {
+        return false;
+      }
+      seen.add(canonical.canonicalId);
+      return true;
+    })
+    .map((anchor) => ({ ...anchor, canonical: canonicals.get(anchor.anchorId) || null }));
+};
+
+exports.handler = withMetrics('getSpatial', async (event, metrics) => {
   console.log('getSpatial invoked with event:', JSON.stringify(event));
 
   try {
@@ -62,108 +253,91 @@ exports.handler = async (event) => {
       });
     }
 
-    const queryParams = event.queryStringParameters || {};
-    validateQueryParams(queryParams);
+    authorizeUser(event, userId);
 
-    let params = {
-      TableName: TABLE_NAME,
-      IndexName: 'UserIdIndex',
-      KeyConditionExpression: 'userId = :userId',
-      FilterExpression: 'status = :status',
-      ExpressionAttributeValues: {
-        ':userId': userId,
-        ':status': 'active',
-      },
-      Limit: MAX_ITEMS,
-    };
+    const queryParams = event.queryStringParameters || {};
+    const options = validateQueryParams(queryParams);
+    // Tokens are only valid for the query that issued them
+    const scope = scopeOf('getSpatial', userId, queryParams);
+    const position = queryParams.nextToken ? decodeCursor(queryParams.nextToken, scope) : null;
 
-    // Add quality score filter if specified
-    if (queryParams.minQuality) {
-      params.FilterExpression += ' AND qualityScore >= :minQuality';
-      params.ExpressionAttributeValues[':minQuality'] = parseFloat(queryParams.minQuality);
-    }
+    // Handle spatial queries if center and radius are provided
+    if (options.center) {
+      let matches = await queryAnchorsInRadius(userId, options.center, options.radius, options);
+      if (options.canonical) {
+        matches = await withCanonicals(matches);
+      }
 
-    // Add pagination support
-    if (queryParams.nextToken) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(queryParams.nextToken, 'base64').toString());
-    }
+      // Results are merged across cells in memory, so page by offset
+      const offset = position ? position.offset : 0;
+      const anchors = matches.slice(offset, offset + options.limit);
+      const nextToken = offset + options.limit < matches.length
+        ? encodeCursor({ offset: offset + options.limit }, scope)
+        : null;
 
-    // Handle spatial queries if center and radius are provided
-    if (queryParams.lat && queryParams.lon && queryParams.radius) {
-      const anchors = await queryAnchorsInRadius(userId, {
-        latitude: parseFloat(queryParams.lat),
-        longitude: parseFloat(queryParams.lon),
-      }, parseFloat(queryParams.radius));
+      metrics.addDimensions({ QueryType: 'radius' });
+      metrics.putMetric('SpatialMesh/Queries', 'AnchorsQueried', anchors.length);
 
       return createResponse(200, {
         status: 'success',
         data: {
-          anchors,
+          anchors: anchors.map((anchor) => project(anchor, options.fields)),
           count: anchors.length,
+          totalCount: matches.length,
+          nextToken,
         },
       });
     }
 
-    // Regular query
-    const result = await dynamoDB.query(params).promise();
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'UserIdIndex',
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: '#status = :status',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':status': 'active',
+      },
+      ScanIndexForward: !options.descending,
+      Limit: options.limit,
+    };
+    addFilters(params, options);
+    addProjection(params, options);
 
-    // Create next token for pagination
-    let nextToken = null;
-    if (result.LastEvaluatedKey) {
-      nextToken = Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64');
+    // Add pagination support
+    if (position) {
+      params.ExclusiveStartKey = position;
     }
 
-    // Log metrics
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Queries',
-      MetricData: [
-        {
-          MetricName: 'AnchorsQueried',
-          Value: result.Items.length,
-          Unit: 'Count',
-          Dimensions: [
-            {
-              Name: 'UserId',
-              Value: userId,
-            },
-          ],
-        },
-      ],
-    }).promise();
+    // Regular query; with canonical=true, duplicates are only collapsed
+    // within the page
+    const result = await dynamoDB.query(params).promise();
+    const anchors = options.canonical ? await withCanonicals(result.Items) : result.Items;
+
+    metrics.addDimensions({ QueryType: 'user' });
+    metrics.putMetric('SpatialMesh/Queries', 'AnchorsQueried', anchors.length);
 
     return createResponse(200, {
       status: 'success',
       data: {
-        anchors: result.Items,
-        count: result.Items.length,
-        nextToken,
+        anchors: anchors.map((anchor) => project(anchor, options.fields)),
+        count: anchors.length,
+        nextToken: encodeCursor(result.LastEvaluatedKey, scope),
       },
     });
 
   } catch (error) {
     console.error('Error querying spatial anchors:', error);
 
-    if (error.message.includes('Invalid query parameters')) {
-      return createResponse(400, {
-        status: 'error',
-        message: error.message,
-        code: 'INVALID_PARAMETERS',
-      });
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
     }
 
-    // Log error to CloudWatch
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Errors',
-      MetricData: [
-        {
-          MetricName: 'GetSpatialAnchorsError',
-          Value: 1,
-          Unit: 'Count',
-        },
-      ],
-    }).promise();
+    metrics.putMetric('SpatialMesh/Errors', 'GetSpatialAnchorsError', 1);
 
     return createResponse(500, {
       status: 'error',
@@ -172,4 +346,4 @@ exports.handler = async (event) => {
       requestId: event.requestContext?.requestId,
     });
   }
-};
+});
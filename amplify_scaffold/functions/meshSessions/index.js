@@ -0,0 +1,456 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { v4: uuidv4 } = require('uuid');
+const { getCaller, authError } = require('../shared/auth');
+const {
+  recordEarning,
+  getTransaction,
+  idempotencyKeyFor,
+  transactionIdFor,
+} = require('../shared/ledger');
+const { enforceRateLimit, checkEarningsVelocity, enqueueReview } = require('../shared/abuse');
+const { calculateMeshReward } = require('../shared/rewards');
+const { LEDGER_CURRENCY } = require('../shared/money');
+const { withMetrics } = require('../shared/metrics');
+const { assertValid, parseJson } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+
+const SESSIONS_TABLE = process.env.MESH_SESSIONS_TABLE_NAME;
+const MAX_PARTICIPANTS = 16;
+// The session types the app's MeshSession model knows; the first is the default
+const SESSION_TYPES = ['collaborative'];
+const MIN_REWARD = 1; // One minor unit
+// Only sessions with at least this many distinct participants pay out, so a
+// user can't earn by relaying to themselves
+const MIN_REWARDED_PARTICIPANTS = 2;
+// Heartbeats can't claim more bytes than this rate allows since the
+// participant's previous heartbeat (or join); the default is about 100 Mbit/s
+const MAX_BYTES_PER_SECOND = parseInt(process.env.MESH_MAX_BYTES_PER_SECOND || '12500000', 10);
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const CREATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    configuration: {
+      type: 'object',
+      properties: {
+        maxParticipants: { type: 'integer', minimum: 2, maximum: MAX_PARTICIPANTS },
+      },
+    },
+    spatialData: { type: 'object' },
+    sessionType: { enum: SESSION_TYPES },
+  },
+};
+
+const HEARTBEAT_SCHEMA = {
+  type: 'object',
+  required: ['bytesTransferred'],
+  properties: {
+    bytesTransferred: { type: 'integer', minimum: 0 },
+  },
+};
+
+const notFound = (sessionId) => createResponse(404, {
+  status: 'error',
+  message: `Mesh session ${sessionId} not found`,
+  code: 'SESSION_NOT_FOUND',
+});
+
+const sessionConflict = (message) => createResponse(409, {
+  status: 'error',
+  message,
+  code: 'SESSION_CONFLICT',
+});
+
+const getSession = async (sessionId) => {
+  const result = await dynamoDB.get({
+    TableName: SESSIONS_TABLE,
+    Key: { sessionId },
+  }).promise();
+  return result.Item || null;
+};
+
+const createSession = async (caller, data) => {
+  assertValid(CREATE_SCHEMA, data);
+  await enforceRateLimit(caller.userId, 'meshSessionCreate');
+  const maxParticipants = data.configuration?.maxParticipants ?? MAX_PARTICIPANTS;
+
+  const now = new Date().toISOString();
+  const session = {
+    sessionId: uuidv4(),
+    hostId: caller.userId,
+    participants: [caller.userId],
+    createdAt: now,
+    updatedAt: now,
+    status: 'active',
+    spatialData: data.spatialData || {},
+    participantJoinTimes: { [caller.userId]: now },
+    participantLeftTimes: {},
+    lastHeartbeats: { [caller.userId]: now },
+    dataTransferredByParticipant: { [caller.userId]: 0 },
+    totalEarnings: 0,
+    currency: LEDGER_CURRENCY,
+    sessionType: data.sessionType ?? SESSION_TYPES[0],
+    configuration: { ...(data.configuration || {}), maxParticipants },
+  };
+
+  await dynamoDB.put({
+    TableName: SESSIONS_TABLE,
+    Item: session,
+    ConditionExpression: 'attribute_not_exists(sessionId)',
+  }).promise();
+
+  return createResponse(201, {
+    status: 'success',
+    message: 'Mesh session created successfully',
+    data: session,
+  });
+};
+
+const joinSession = async (caller, session) => {
+  if (session.participants.includes(caller.userId)) {
+    return createResponse(200, { status: 'success', data: session });
+  }
+
+  const now = new Date().toISOString();
+  try {
+    const result = await dynamoDB.update({
+      TableName: SESSIONS_TABLE,
+      Key: { sessionId: session.sessionId },
+      UpdateExpression: `SET participants = list_append(participants, :newParticipant),
+        participantJoinTimes.#user = if_not_exists(participantJoinTimes.#user, :now),
+        lastHeartbeats.#user = :now,
+        dataTransferredByParticipant.#user = if_not_exists(dataTransferredByParticipant.#user, :zero),
+        updatedAt = :now`,
+      ConditionExpression: '#status = :active AND NOT contains(participants, :userId) AND size(participants) < :max',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#user': caller.userId,
+      },
+      ExpressionAttributeValues: {
+        ':newParticipant': [caller.userId],
+        ':userId': caller.userId,
+        ':active': 'active',
+        ':max': session.configuration.maxParticipants,
+        ':zero': 0,
+        ':now': now,
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+
+    return createResponse(200, {
+      status: 'success',
+      message: 'Joined mesh session',
+      data: result.Attributes,
+    });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return sessionConflict('Session is closed or full');
+    }
+    throw error;
+  }
+};
+
+const leaveSession = async (caller, session) => {
+  const index = session.participants.indexOf(caller.userId);
+  if (index === -1) {
+    return sessionConflict('You are not a participant in this session');
+  }
+
+  const now = new Date().toISOString();
+  try {
+    const result = await dynamoDB.update({
+      TableName: SESSIONS_TABLE,
+      Key: { sessionId: session.sessionId },
+      UpdateExpression: `REMOVE participants[${index}]
+        SET participantLeftTimes.#user = :now, updatedAt = :now`,
+      ConditionExpression: `participants[${index}] = :userId`,
+      ExpressionAttributeNames: {
+        '#user': caller.userId,
+      },
+      ExpressionAttributeValues: {
+        ':userId': caller.userId,
+        ':now': now,
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+
+    return createResponse(200, {
+      status: 'success',
+      message: 'Left mesh session',
+      data: result.Attributes,
+    });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return sessionConflict('Participants changed concurrently; retry the request');
+    }
+    throw error;
+  }
+};
+
+// Clients report the cumulative bytes they have relayed. The stored count
+// grows by at most MAX_BYTES_PER_SECOND for the time since the previous
+// heartbeat; anything above that is ignored, and a later heartbeat can claim
+// it once enough time has passed. The condition on the previous heartbeat
+// makes the cap apply to the values it was computed from, and the one on the
+// byte count keeps out-of-order heartbeats from lowering it.
+const heartbeat = async (caller, session, data) => {
+  assertValid(HEARTBEAT_SCHEMA, data);
+
+  const previousBytes = session.dataTransferredByParticipant?.[caller.userId] ?? 0;
+  const previousHeartbeat = session.lastHeartbeats?.[caller.userId];
+  if (!previousHeartbeat) {
+    return sessionConflict('You are not a participant in this session');
+  }
+
+  const now = new Date().toISOString();
+  const elapsedSeconds = Math.max(0, (Date.parse(now) - Date.parse(previousHeartbeat)) / 1000);
+  const bytes = Math.min(data.bytesTransferred, previousBytes + Math.floor(elapsedSeconds * MAX_BYTES_PER_SECOND));
+
+  try {
+    await dynamoDB.update({
+      TableName: SESSIONS_TABLE,
+      Key: { sessionId: session.sessionId },
+      UpdateExpression: 'SET dataTransferredByParticipant.#user = :bytes, lastHeartbeats.#user = :now, updatedAt = :now',
+      ConditionExpression: '#status = :active AND contains(participants, :userId)'
+        + ' AND lastHeartbeats.#user = :previousHeartbeat'
+        + ' AND (attribute_not_exists(dataTransferredByParticipant.#user) OR dataTransferredByParticipant.#user <= :bytes)',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#user': caller.userId,
+      },
+      ExpressionAttributeValues: {
+        ':bytes': bytes,
+        ':userId': caller.userId,
+        ':active': 'active',
+        ':previousHeartbeat': previousHeartbeat,
+        ':now': now,
+      },
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return sessionConflict('Session is not active, you are not a participant, bytesTransferred went backwards or another heartbeat arrived first');
+    }
+    throw error;
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      sessionId: session.sessionId,
+      bytesTransferred: bytes,
+      capped: bytes < data.bytesTransferred,
+      lastHeartbeat: now,
+    },
+  });
+};
+
+const calculateRewards = (session) => {
+  if (Object.keys(session.participantJoinTimes || {}).length < MIN_REWARDED_PARTICIPANTS) {
+    return [];
+  }
+
+  const transfers = session.dataTransferredByParticipant || {};
+  const totalBytes = Object.values(transfers).reduce((sum, bytes) => sum + bytes, 0);
+
+  return Object.entries(transfers)
+    .map(([userId, bytes]) => {
+      const { amount, ruleVersion } = calculateMeshReward(bytes);
+      return {
+        userId,
+        bytesTransferred: bytes,
+        contributionShare: totalBytes > 0 ? bytes / totalBytes : 0,
+        amount,
+        ruleVersion,
+      };
+    })
+    .filter((reward) => reward.amount >= MIN_REWARD);
+};
+
+// active -> closing -> closed. Crediting happens while the session is
+// "closing" and goes through the idempotent ledger, so a close that fails
+// partway can simply be retried.
+const closeSession = async (caller, session) => {
+  if (caller.userId !== session.hostId && !caller.isAdmin) {
+    throw authError(403, 'Only the session host can close the session', 'FORBIDDEN');
+  }
+
+  if (session.status === 'closed') {
+    return sessionConflict('Session is already closed');
+  }
+
+  await enforceRateLimit(caller.userId, 'meshSessionClose');
+
+  const now = new Date().toISOString();
+  if (session.status === 'active') {
+    try {
+      await dynamoDB.update({
+        TableName: SESSIONS_TABLE,
+        Key: { sessionId: session.sessionId },
+        UpdateExpression: 'SET #status = :closing, closingAt = :now, updatedAt = :now',
+        ConditionExpression: '#status = :active',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':closing': 'closing',
+          ':active': 'active',
+          ':now': now,
+        },
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return sessionConflict('Session state changed concurrently; retry the request');
+      }
+      throw error;
+    }
+  }
+
+  // Re-read so the final byte counts include any heartbeat that raced the close
+  const closing = await getSession(session.sessionId);
+  const rewards = calculateRewards(closing);
+
+  const contributionId = `mesh_${session.sessionId}`;
+  for (const reward of rewards) {
+    // Credits that a retried close already recorded must not count against
+    // the velocity limits a second time
+    const existing = await getTransaction(transactionIdFor(idempotencyKeyFor(reward.userId, contributionId)));
+    if (existing) {
+      reward.transactionId = existing.transactionId;
+      reward.status = existing.status;
+      continue;
+    }
+
+    // Like putEarnings, unusual velocity credits the reward as "held" until
+    // a reviewer releases it
+    const holdReasons = await checkEarningsVelocity(reward.userId, reward.amount);
+    const { transaction, replayed } = await recordEarning({
+      userId: reward.userId,
+      amount: reward.amount,
+      type: 'mesh',
+      contributionId,
+      ruleVersion: reward.ruleVersion,
+      status: holdReasons.length > 0 ? 'held' : 'completed',
+      metadata: {
+        sessionId: session.sessionId,
+        bytesTransferred: reward.bytesTransferred,
+        contributionShare: reward.contributionShare,
+      },
+    });
+    reward.transactionId = transaction.transactionId;
+    reward.status = transaction.status;
+
+    if (transaction.status === 'held' && !replayed) {
+      await enqueueReview({
+        userId: reward.userId,
+        subjectType: 'transaction',
+        subjectId: transaction.transactionId,
+        reasons: holdReasons,
+        details: { amount: transaction.amount, contributionId, sessionId: session.sessionId },
+      });
+    }
+  }
+
+  const totalEarnings = rewards.reduce((sum, reward) => sum + reward.amount, 0);
+  const result = await dynamoDB.update({
+    TableName: SESSIONS_TABLE,
+    Key: { sessionId: session.sessionId },
+    UpdateExpression: 'SET #status = :closed, closedAt = :now, updatedAt = :now, totalEarnings = :totalEarnings, currency = :currency, rewards = :rewards',
+    ConditionExpression: '#status = :closing',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':closed': 'closed',
+      ':closing': 'closing',
+      ':totalEarnings': totalEarnings,
+      ':currency': LEDGER_CURRENCY,
+      ':rewards': rewards,
+      ':now': new Date().toISOString(),
+    },
+    ReturnValues: 'ALL_NEW',
+  }).promise();
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Mesh session closed',
+    data: result.Attributes,
+  });
+};
+
+const isMember = (caller, session) => caller.isAdmin
+  || session.hostId === caller.userId
+  || Boolean(session.participantJoinTimes?.[caller.userId]);
+
+exports.handler = withMetrics('meshSessions', async (event, metrics) => {
+  console.log('meshSessions invoked with event:', JSON.stringify(event));
+
+  try {
+    const caller = getCaller(event);
+    const sessionId = event.pathParameters?.sessionId;
+    const action = event.pathParameters?.action;
+    const body = parseJson(event.body);
+
+    // POST /mesh/sessions
+    if (!sessionId) {
+      return await createSession(caller, body);
+    }
+
+    const session = await getSession(sessionId);
+    if (!session) {
+      return notFound(sessionId);
+    }
+
+    // GET /mesh/sessions/{sessionId}
+    if (event.httpMethod === 'GET') {
+      if (!isMember(caller, session)) {
+        throw authError(403, 'You are not a participant in this session', 'FORBIDDEN');
+      }
+      return createResponse(200, { status: 'success', data: session });
+    }
+
+    // POST /mesh/sessions/{sessionId}/{action}
+    switch (action) {
+      case 'join':
+        return await joinSession(caller, session);
+      case 'leave':
+        return await leaveSession(caller, session);
+      case 'heartbeat':
+        return await heartbeat(caller, session, body);
+      case 'close':
+        return await closeSession(caller, session);
+      default:
+        return createResponse(404, {
+          status: 'error',
+          message: `Unknown session action: ${action}`,
+          code: 'UNKNOWN_ACTION',
+        });
+    }
+
+  } catch (error) {
+    console.error('Error handling mesh session request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'MeshSessionError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
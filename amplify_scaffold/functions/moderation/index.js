@@ -0,0 +1,602 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { requireAdmin } = require('../shared/auth');
+const { isExpired } = require('../shared/anchors');
+const { buildReviewItem, resolveReviews, listPendingReviews } = require('../shared/abuse');
+const { recordAdjustment, settleHeldTransaction } = require('../shared/ledger');
+const { buildAuditEntry, listAuditEntries } = require('../shared/audit');
+const { buildRevision } = require('../shared/revisions');
+const { LEDGER_CURRENCY, isMinorAmount } = require('../shared/money');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { validate, assertValid, parseJson, coerceQuery, parseQuery } = require('../shared/schema');
+const { validationError, fieldError, errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const REVIEW_TABLE = process.env.REVIEW_QUEUE_TABLE_NAME;
+const MAX_REASON_LENGTH = 500;
+const MAX_ADJUSTMENT_ID_LENGTH = 128;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const BATCH_GET_SIZE = 100;
+// What an anchor's audit snapshots record: its moderation state, not content
+const MODERATION_FIELDS = ['status', 'flagged', 'flagReasons', 'hiddenReason', 'version'];
+// Fixed set for the AdminAction metric dimension
+const ADMIN_ACTIONS = [
+  'anchor.flag',
+  'anchor.hide',
+  'anchor.restore',
+  'transaction.release',
+  'transaction.reject',
+  'earnings.adjust',
+];
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const REASON_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_REASON_LENGTH };
+
+const MODERATE_SCHEMA = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: REASON_SCHEMA,
+    version: { type: 'integer', minimum: 1 },
+  },
+};
+
+const SETTLE_SCHEMA = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: REASON_SCHEMA,
+  },
+};
+
+const ADJUSTMENT_SCHEMA = {
+  type: 'object',
+  required: ['amount', 'reason', 'adjustmentId'],
+  properties: {
+    amount: { type: 'integer' },
+    reason: REASON_SCHEMA,
+    adjustmentId: { type: 'string', minLength: 1, maxLength: MAX_ADJUSTMENT_ID_LENGTH },
+  },
+};
+
+const PAGING_PROPERTIES = {
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+  nextToken: { type: 'string' },
+};
+
+const FLAGGED_QUERY_SCHEMA = {
+  type: 'object',
+  properties: PAGING_PROPERTIES,
+};
+
+const AUDIT_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...PAGING_PROPERTIES,
+    targetId: { type: 'string' },
+    actor: { type: 'string' },
+  },
+};
+
+// Checks `data` against `schema`, which requires a reason, and returns the
+// trimmed reason
+const validateReason = (schema, data) => {
+  assertValid(schema, data);
+  if (data.reason.trim().length === 0) {
+    throw fieldError('reason', 'must not be blank');
+  }
+  return data.reason.trim();
+};
+
+// limit and nextToken of query parameters that have been validated, plus the
+// scope to sign the next page's token with. Admin lists aren't per user, so
+// any admin can continue a page.
+const parsePaging = (route, query) => {
+  const scope = scopeOf(route, null, query);
+  const exclusiveStartKey = query.nextToken ? decodeCursor(query.nextToken, scope) : undefined;
+
+  return { limit: query.limit ?? DEFAULT_LIMIT, exclusiveStartKey, scope };
+};
+
+const notFound = (message, code) => createResponse(404, {
+  status: 'error',
+  message,
+  code,
+});
+
+const conflict = (message, code, extra = {}) => createResponse(409, {
+  status: 'error',
+  message,
+  code,
+  ...extra,
+});
+
+const moderationSnapshot = (anchor) => MODERATION_FIELDS.reduce((snapshot, field) => {
+  if (anchor[field] !== undefined) snapshot[field] = anchor[field];
+  return snapshot;
+}, {});
+
+// Hidden anchors stay readable here so they can be restored; deleted and
+// expired ones are gone for moderation too
+const getModeratableAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+  }).promise();
+
+  if (!result.Item || result.Item.status === 'deleted' || isExpired(result.Item)) {
+    return null;
+  }
+
+  return result.Item;
+};
+
+// The anchor update for each moderation action, or an error response when
+// the anchor is not in a state the action applies to
+const planAnchorAction = (anchor, action, reason, actor, now) => {
+  const base = {
+    TableName: TABLE_NAME,
+    Key: { anchorId: anchor.anchorId },
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#version': 'version',
+    },
+  };
+
+  switch (action) {
+    // Marks the anchor for review; it stays visible and keeps its version
+    case 'flag':
+      if (anchor.status !== 'active') {
+        return { error: conflict(`Anchor ${anchor.anchorId} is ${anchor.status}`, 'INVALID_MODERATION_STATE') };
+      }
+      return {
+        after: {
+          ...anchor,
+          flagged: true,
+          flagReasons: [...(anchor.flagReasons || []), reason],
+        },
+        update: {
+          ...base,
+          UpdateExpression: 'SET flagged = :true, flagReasons = list_append(if_not_exists(flagReasons, :empty), :reasons)',
+          ConditionExpression: '#version = :version AND #status = :active',
+          ExpressionAttributeValues: {
+            ':true': true,
+            ':empty': [],
+            ':reasons': [reason],
+            ':version': anchor.version,
+            ':active': 'active',
+          },
+        },
+      };
+    // Takes the anchor out of every read path until it is restored
+    case 'hide':
+      if (anchor.status !== 'active') {
+        return { error: conflict(`Anchor ${anchor.anchorId} is ${anchor.status}`, 'INVALID_MODERATION_STATE') };
+      }
+      return {
+        after: {
+          ...anchor,
+          status: 'hidden',
+          hiddenReason: reason,
+          version: anchor.version + 1,
+        },
+        update: {
+          ...base,
+          UpdateExpression: 'SET #status = :hidden, hiddenAt = :now, hiddenReason = :reason, hiddenBy = :actor, updatedAt = :now, #version = :nextVersion',
+          ConditionExpression: '#version = :version AND #status = :active',
+          ExpressionAttributeValues: {
+            ':hidden': 'hidden',
+            ':active': 'active',
+            ':reason': reason,
+            ':actor': actor,
+            ':now': now,
+            ':version': anchor.version,
+            ':nextVersion': anchor.version + 1,
+          },
+        },
+      };
+    // Un-hides a hidden anchor, or clears the flag on a flagged one
+    case 'restore': {
+      if (anchor.status !== 'hidden' && !anchor.flagged) {
+        return { error: conflict(`Anchor ${anchor.anchorId} is neither hidden nor flagged`, 'INVALID_MODERATION_STATE') };
+      }
+      const { flagged, flagReasons, hiddenReason, ...rest } = anchor;
+      return {
+        after: {
+          ...rest,
+          status: 'active',
+          version: anchor.version + 1,
+        },
+        update: {
+          ...base,
+          UpdateExpression: 'SET #status = :active, updatedAt = :now, #version = :nextVersion REMOVE flagged, flagReasons, hiddenAt, hiddenReason, hiddenBy',
+          ConditionExpression: '#version = :version AND #status IN (:active, :hidden)',
+          ExpressionAttributeValues: {
+            ':active': 'active',
+            ':hidden': 'hidden',
+            ':now': now,
+            ':version': anchor.version,
+            ':nextVersion': anchor.version + 1,
+          },
+        },
+      };
+    }
+    default:
+      return {
+        error: notFound(`Unknown anchor action: ${action}`, 'UNKNOWN_ACTION'),
+      };
+  }
+};
+
+// POST /admin/anchors/{anchorId}/{action} with { reason, version? }
+const moderateAnchor = async (caller, anchorId, action, data) => {
+  const reason = validateReason(MODERATE_SCHEMA, data);
+
+  const anchor = await getModeratableAnchor(anchorId);
+  if (!anchor) {
+    return notFound(`Anchor ${anchorId} not found`, 'ANCHOR_NOT_FOUND');
+  }
+
+  if ((data.version ?? anchor.version) !== anchor.version) {
+    return conflict('Anchor has been modified since it was read', 'VERSION_CONFLICT', { currentVersion: anchor.version });
+  }
+
+  const now = new Date().toISOString();
+  const plan = planAnchorAction(anchor, action, reason, caller.userId, now);
+  if (plan.error) {
+    return plan.error;
+  }
+
+  const audit = buildAuditEntry({
+    actor: caller.userId,
+    action: `anchor.${action}`,
+    targetType: 'anchor',
+    targetId: anchorId,
+    reason,
+    before: moderationSnapshot(anchor),
+    after: moderationSnapshot(plan.after),
+  });
+
+  const transactItems = [{ Update: plan.update }, audit.transactItem];
+  // Hiding and restoring are new anchor versions, so they go in its history
+  if (plan.after.version !== anchor.version) {
+    transactItems.push(buildRevision({
+      before: anchor,
+      after: { ...plan.after, updatedAt: now },
+      author: caller.userId,
+      action,
+    }).transactItem);
+  }
+  if (action === 'flag') {
+    transactItems.push({
+      Put: {
+        TableName: REVIEW_TABLE,
+        Item: buildReviewItem({
+          userId: anchor.userId,
+          subjectType: 'anchor',
+          subjectId: anchorId,
+          reasons: [reason],
+          details: { flaggedBy: caller.userId },
+        }),
+      },
+    });
+  }
+
+  try {
+    await dynamoDB.transactWrite({ TransactItems: transactItems }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      // Lost a race with another writer between the read and the update
+      const current = await getModeratableAnchor(anchorId);
+      return current
+        ? conflict('Anchor has been modified since it was read', 'VERSION_CONFLICT', { currentVersion: current.version })
+        : notFound(`Anchor ${anchorId} not found`, 'ANCHOR_NOT_FOUND');
+    }
+    throw error;
+  }
+
+  // Hiding or restoring is the decision on every open report. The action
+  // and its audit entry are already committed, so a failure here only leaves
+  // reviews pending; log it rather than failing the request.
+  let reviewsResolved = 0;
+  if (action !== 'flag') {
+    try {
+      reviewsResolved = await resolveReviews(anchorId, { resolution: action, resolvedBy: caller.userId });
+    } catch (error) {
+      console.error('Failed to resolve anchor reviews:', anchorId, error);
+    }
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: `Anchor ${action} recorded`,
+    data: {
+      anchorId,
+      ...moderationSnapshot(plan.after),
+      auditId: audit.entry.auditId,
+      reviewsResolved,
+    },
+  });
+};
+
+const batchGetAnchors = async (anchorIds) => {
+  const anchors = [];
+  for (let i = 0; i < anchorIds.length; i += BATCH_GET_SIZE) {
+    let keys = anchorIds.slice(i, i + BATCH_GET_SIZE).map((anchorId) => ({ anchorId }));
+    while (keys.length > 0) {
+      const batch = await dynamoDB.batchGet({
+        RequestItems: {
+          [TABLE_NAME]: { Keys: keys },
+        },
+      }).promise();
+      anchors.push(...(batch.Responses[TABLE_NAME] || []));
+      keys = batch.UnprocessedKeys?.[TABLE_NAME]?.Keys || [];
+    }
+  }
+  return new Map(anchors.map((anchor) => [anchor.anchorId, anchor]));
+};
+
+// GET /admin/anchors/flagged: anchors with pending reviews (user reports,
+// admin flags and duplicate detection), oldest report first. A page holds
+// `limit` reviews, so an anchor's reports can be split across pages.
+const listFlaggedAnchors = async (queryParams) => {
+  const { limit, exclusiveStartKey, scope } = parsePaging('moderation/flagged', parseQuery(FLAGGED_QUERY_SCHEMA, queryParams));
+  const { reviews, lastEvaluatedKey } = await listPendingReviews({
+    subjectType: 'anchor',
+    limit,
+    exclusiveStartKey,
+  });
+
+  const grouped = new Map();
+  reviews.forEach((review) => {
+    if (!grouped.has(review.subjectId)) {
+      grouped.set(review.subjectId, []);
+    }
+    grouped.get(review.subjectId).push({
+      reviewId: review.reviewId,
+      reasons: review.reasons,
+      reportedBy: review.details?.reportedBy || null,
+      flaggedBy: review.details?.flaggedBy || null,
+      createdAt: review.createdAt,
+    });
+  });
+
+  const anchors = await batchGetAnchors([...grouped.keys()]);
+  const flagged = [...grouped].map(([anchorId, anchorReviews]) => {
+    const anchor = anchors.get(anchorId);
+    return {
+      anchorId,
+      anchor: anchor
+        ? {
+          userId: anchor.userId,
+          location: anchor.location,
+          qualityScore: anchor.qualityScore,
+          createdAt: anchor.createdAt,
+          ...moderationSnapshot(anchor),
+        }
+        : null,
+      userReports: anchorReviews.filter((review) => review.reportedBy).length,
+      reviews: anchorReviews,
+    };
+  });
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      anchors: flagged,
+      count: flagged.length,
+      nextToken: encodeCursor(lastEvaluatedKey, scope),
+    },
+  });
+};
+
+// POST /admin/earnings/{userId}/adjustments with { amount, reason, adjustmentId }
+const postAdjustment = async (caller, userId, data) => {
+  const reason = validateReason(ADJUSTMENT_SCHEMA, data);
+  if (!isMinorAmount(data.amount) || data.amount === 0) {
+    throw fieldError('amount', `must be a non-zero integer number of ${LEDGER_CURRENCY} minor units`);
+  }
+
+  let auditId = null;
+  const result = await recordAdjustment({
+    userId,
+    amount: data.amount,
+    adjustmentId: data.adjustmentId,
+    reason,
+    actor: caller.userId,
+    auditFor: (before, after) => {
+      const audit = buildAuditEntry({
+        actor: caller.userId,
+        action: 'earnings.adjust',
+        targetType: 'user',
+        targetId: userId,
+        reason,
+        before,
+        after,
+      });
+      auditId = audit.entry.auditId;
+      return audit.transactItem;
+    },
+  });
+
+  return createResponse(result.replayed ? 200 : 201, {
+    status: 'success',
+    message: result.replayed ? 'Adjustment already recorded' : 'Adjustment recorded',
+    data: {
+      transaction: result.transaction,
+      balances: {
+        totalEarnings: result.balances.totalEarnings || 0,
+        pendingEarnings: result.balances.pendingEarnings || 0,
+        heldEarnings: result.balances.heldEarnings || 0,
+        currency: result.balances.currency || LEDGER_CURRENCY,
+      },
+      replayed: result.replayed,
+      auditId,
+    },
+  });
+};
+
+// POST /admin/transactions/{transactionId}/{release|reject} with { reason }
+const settleTransaction = async (caller, transactionId, action, data) => {
+  if (action !== 'release' && action !== 'reject') {
+    return notFound(`Unknown transaction action: ${action}`, 'UNKNOWN_ACTION');
+  }
+  const reason = validateReason(SETTLE_SCHEMA, data);
+
+  let auditId = null;
+  const result = await settleHeldTransaction({
+    transactionId,
+    action,
+    actor: caller.userId,
+    auditFor: (before, after) => {
+      const audit = buildAuditEntry({
+        actor: caller.userId,
+        action: `transaction.${action}`,
+        targetType: 'transaction',
+        targetId: transactionId,
+        reason,
+        before: { transactionStatus: 'held', balances: before },
+        after: { transactionStatus: action === 'release' ? 'completed' : 'rejected', balances: after },
+      });
+      auditId = audit.entry.auditId;
+      return audit.transactItem;
+    },
+  });
+
+  if (!result) {
+    return notFound(`Transaction ${transactionId} not found`, 'TRANSACTION_NOT_FOUND');
+  }
+
+  let reviewsResolved = 0;
+  try {
+    reviewsResolved = await resolveReviews(transactionId, { resolution: action, resolvedBy: caller.userId });
+  } catch (error) {
+    console.error('Failed to resolve transaction reviews:', transactionId, error);
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: action === 'release' ? 'Held earnings released' : 'Held earnings rejected',
+    data: {
+      transaction: result.transaction,
+      balances: {
+        totalEarnings: result.balances.totalEarnings || 0,
+        pendingEarnings: result.balances.pendingEarnings || 0,
+        heldEarnings: result.balances.heldEarnings || 0,
+        currency: result.balances.currency || LEDGER_CURRENCY,
+      },
+      auditId,
+      reviewsResolved,
+    },
+  });
+};
+
+// GET /admin/audit?targetId= or ?actor=
+const listAudit = async (queryParams) => {
+  const query = coerceQuery(AUDIT_QUERY_SCHEMA, queryParams);
+  const errors = validate(AUDIT_QUERY_SCHEMA, query);
+  const { targetId, actor } = query;
+  if (!targetId === !actor) {
+    errors.push({ field: '(query)', reason: 'must include exactly one of targetId or actor' });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors, 'INVALID_PARAMETERS');
+  }
+  const { limit, exclusiveStartKey, scope } = parsePaging('moderation/audit', query);
+
+  const { entries, lastEvaluatedKey } = await listAuditEntries({
+    targetId,
+    actor,
+    limit,
+    exclusiveStartKey,
+  });
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      entries,
+      count: entries.length,
+      nextToken: encodeCursor(lastEvaluatedKey, scope),
+    },
+  });
+};
+
+exports.handler = withMetrics('moderation', async (event, metrics) => {
+  console.log('moderation invoked with event:', JSON.stringify(event));
+
+  try {
+    const caller = requireAdmin(event);
+    const { anchorId, userId, transactionId, action } = event.pathParameters || {};
+    const queryParams = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      switch (event.resource) {
+        case '/admin/anchors/flagged':
+          return await listFlaggedAnchors(queryParams);
+        case '/admin/audit':
+          return await listAudit(queryParams);
+        default:
+          return notFound(`Unknown admin resource: ${event.resource}`, 'UNKNOWN_RESOURCE');
+      }
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return createResponse(405, {
+        status: 'error',
+        message: `Method ${event.httpMethod} not allowed`,
+        code: 'METHOD_NOT_ALLOWED',
+      });
+    }
+
+    const body = parseJson(event.body);
+    const adminAction = anchorId ? `anchor.${action}` : (transactionId ? `transaction.${action}` : 'earnings.adjust');
+    if (ADMIN_ACTIONS.includes(adminAction)) {
+      metrics.addDimensions({ AdminAction: adminAction });
+    }
+
+    // POST /admin/anchors/{anchorId}/{action}
+    if (anchorId) {
+      return await moderateAnchor(caller, anchorId, action, body);
+    }
+
+    // POST /admin/transactions/{transactionId}/{action}
+    if (transactionId) {
+      return await settleTransaction(caller, transactionId, action, body);
+    }
+
+    // POST /admin/earnings/{userId}/adjustments
+    if (userId) {
+      return await postAdjustment(caller, userId, body);
+    }
+
+    return notFound(`Unknown admin resource: ${event.resource}`, 'UNKNOWN_RESOURCE');
+
+  } catch (error) {
+    console.error('Error handling moderation request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'ModerationError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
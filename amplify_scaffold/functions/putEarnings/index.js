@@ -1,10 +1,25 @@
 const AWS = require('aws-sdk');
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
-
-const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
-const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE_NAME;
-const MIN_TRANSACTION_AMOUNT = 0.01;
-const MAX_TRANSACTION_AMOUNT = 1000.00;
+const { authorizeUser } = require('../shared/auth');
+const {
+  recordEarning,
+  getTransaction,
+  getBalances,
+  idempotencyKeyFor,
+  transactionIdFor,
+} = require('../shared/ledger');
+const { calculateAnchorReward } = require('../shared/rewards');
+const { enforceRateLimit, checkEarningsVelocity, enqueueReview } = require('../shared/abuse');
+const { withMetrics } = require('../shared/metrics');
+const { LEDGER_CURRENCY, toMinorUnits } = require('../shared/money');
+const { parseBody } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+
+// Minor units of LEDGER_CURRENCY
+const MIN_TRANSACTION_AMOUNT = 1;
+const MAX_TRANSACTION_AMOUNT = toMinorUnits(1000);
+// Mesh rewards are credited by meshSessions when a session closes
+const REWARDABLE_TYPES = ['anchor'];
 
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -16,90 +31,114 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body),
 });
 
-const validateInput = (data) => {
-  if (!data.userId || !data.amount || !data.type || !data.contributionId) {
-    throw new Error('Missing required fields: userId, amount, type, contributionId');
-  }
-
-  const amount = parseFloat(data.amount);
-  if (isNaN(amount) || amount < MIN_TRANSACTION_AMOUNT || amount > MAX_TRANSACTION_AMOUNT) {
-    throw new Error(`Amount must be between ${MIN_TRANSACTION_AMOUNT} and ${MAX_TRANSACTION_AMOUNT}`);
-  }
-
-  return {
-    ...data,
-    amount,
-  };
-};
-
-const updateEarningsAtomic = async (userId, amount, type) => {
-  const params = {
-    TableName: EARNINGS_TABLE,
-    Key: { userId },
-    UpdateExpression: `
-      SET totalEarnings = if_not_exists(totalEarnings, :zero) + :amount,
-          pendingEarnings = if_not_exists(pendingEarnings, :zero) + :amount,
-          contributionCount = if_not_exists(contributionCount, :zero) + :one,
-          lastUpdated = :now,
-          earningsByType.#type = if_not_exists(earningsByType.#type, :zero) + :amount,
-          contributionsByType.#type = if_not_exists(contributionsByType.#type, :zero) + :one
-    `,
-    ExpressionAttributeNames: {
-      '#type': type,
-    },
-    ExpressionAttributeValues: {
-      ':amount': amount,
-      ':zero': 0,
-      ':one': 1,
-      ':now': new Date().toISOString(),
-    },
-    ReturnValues: 'ALL_NEW',
-  };
-
-  return await dynamoDB.update(params).promise();
+// Any client-supplied amount is ignored; the reward engine prices the
+// referenced contribution instead
+const EARNING_SCHEMA = {
+  type: 'object',
+  required: ['userId', 'type', 'contributionId'],
+  properties: {
+    userId: { type: 'string', minLength: 1 },
+    type: { enum: REWARDABLE_TYPES },
+    contributionId: { type: 'string', minLength: 1 },
+    metadata: { type: 'object' },
+  },
 };
 
-const createTransaction = async (data) => {
-  const transaction = {
-    transactionId: `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+const validateInput = (body) => {
+  const data = parseBody(EARNING_SCHEMA, body);
+  return {
     userId: data.userId,
-    amount: data.amount,
     type: data.type,
     contributionId: data.contributionId,
-    timestamp: new Date().toISOString(),
-    status: 'completed',
-    metadata: data.metadata || {},
-  };
-
-  const params = {
-    TableName: TRANSACTIONS_TABLE,
-    Item: transaction,
-    ConditionExpression: 'attribute_not_exists(transactionId)',
+    metadata: data.metadata,
   };
-
-  await dynamoDB.put(params).promise();
-  return transaction;
 };
 
-exports.handler = async (event) => {
+const replayResponse = (transaction, balances) => createResponse(200, {
+  status: 'success',
+  message: 'Earnings already recorded for this contribution',
+  data: {
+    transactionId: transaction.transactionId,
+    userId: transaction.userId,
+    amount: transaction.amount,
+    currency: transaction.currency || LEDGER_CURRENCY,
+    newTotalEarnings: balances.totalEarnings,
+    newPendingEarnings: balances.pendingEarnings,
+    replayed: true,
+  },
+});
+
+exports.handler = withMetrics('putEarnings', async (event, metrics) => {
   console.log('putEarnings invoked with event:', JSON.stringify(event));
 
-  const transaction = { id: null, amount: 0 };
+  const transaction = { id: null, amount: 0, userId: null, type: null, contributionId: null, idempotencyKey: null };
 
   try {
     // Validate request
-    const data = validateInput(JSON.parse(event.body));
-    
-    // Start transaction
-    const dynamoTransact = new AWS.DynamoDB.DocumentClient({ params: { ReturnConsumedCapacity: 'TOTAL' } });
-    
-    // Update earnings atomically
-    const updatedEarnings = await updateEarningsAtomic(data.userId, data.amount, data.type);
+    const data = validateInput(event.body);
+    authorizeUser(event, data.userId);
+
+    // Replays short-circuit before pricing, which may no longer succeed
+    // (e.g. the anchor has since been deleted)
+    const existing = await getTransaction(transactionIdFor(idempotencyKeyFor(data.userId, data.contributionId)));
+    if (existing) {
+      return replayResponse(existing, await getBalances(data.userId));
+    }
 
-    // Create transaction record
-    const newTransaction = await createTransaction(data);
+    await enforceRateLimit(data.userId, 'earningsRecord');
+
+    const reward = await calculateAnchorReward(data.userId, data.contributionId);
+    if (reward.amount < MIN_TRANSACTION_AMOUNT) {
+      return createResponse(422, {
+        status: 'error',
+        message: 'Contribution does not qualify for a reward',
+        code: 'CONTRIBUTION_NOT_REWARDABLE',
+        data: reward,
+      });
+    }
+    data.amount = Math.min(reward.amount, MAX_TRANSACTION_AMOUNT);
+
+    // Flagged contributions and unusual velocity are credited as "held"
+    // until a reviewer releases them
+    const holdReasons = await checkEarningsVelocity(data.userId, data.amount);
+    if (reward.flagged) {
+      holdReasons.unshift('contribution flagged for review');
+    }
+    
+    // Balance update and transaction record commit together; a retry with the
+    // same contributionId replays the original transaction instead of crediting again
+    const { transaction: newTransaction, balances, replayed } = await recordEarning({
+      userId: data.userId,
+      amount: data.amount,
+      type: data.type,
+      contributionId: data.contributionId,
+      ruleVersion: reward.ruleVersion,
+      status: holdReasons.length > 0 ? 'held' : 'completed',
+      metadata: {
+        ...(data.metadata || {}),
+        rewardBreakdown: reward.breakdown,
+      },
+    });
     transaction.id = newTransaction.transactionId;
     transaction.amount = newTransaction.amount;
+    transaction.userId = newTransaction.userId;
+    transaction.type = newTransaction.type;
+    transaction.contributionId = newTransaction.contributionId;
+    transaction.idempotencyKey = newTransaction.idempotencyKey;
+
+    if (replayed) {
+      return replayResponse(newTransaction, balances);
+    }
+
+    if (newTransaction.status === 'held') {
+      await enqueueReview({
+        userId: data.userId,
+        subjectType: 'transaction',
+        subjectId: newTransaction.transactionId,
+        reasons: holdReasons,
+        details: { amount: newTransaction.amount, contributionId: data.contributionId },
+      });
+    }
 
     // Publish event to SNS if configured
     if (process.env.SNS_TOPIC_ARN) {
@@ -111,59 +150,55 @@ exports.handler = async (event) => {
           data: {
             userId: data.userId,
             transaction: newTransaction,
-            newBalance: updatedEarnings.Attributes.totalEarnings,
+            newBalance: balances.totalEarnings,
           },
         }),
       }).promise();
     }
 
-    // Log metrics
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Earnings',
-      MetricData: [
-        {
-          MetricName: 'EarningsRecorded',
-          Value: data.amount,
-          Unit: 'None',
-          Dimensions: [
-            {
-              Name: 'UserId',
-              Value: data.userId,
-            },
-            {
-              Name: 'Type',
-              Value: data.type,
-            },
-          ],
-        },
-      ],
-    }).promise();
+    metrics.addDimensions({ Type: data.type });
+    metrics.putMetric('SpatialMesh/Earnings', 'EarningsRecorded', data.amount, 'None');
+    if (newTransaction.status === 'held') {
+      metrics.putMetric('SpatialMesh/Earnings', 'EarningsHeld', data.amount, 'None');
+    }
 
     return createResponse(200, {
       status: 'success',
-      message: 'Earnings updated successfully',
+      message: newTransaction.status === 'held'
+        ? 'Earnings recorded and held for review'
+        : 'Earnings updated successfully',
       data: {
         transactionId: newTransaction.transactionId,
         userId: data.userId,
         amount: data.amount,
-        newTotalEarnings: updatedEarnings.Attributes.totalEarnings,
-        newPendingEarnings: updatedEarnings.Attributes.pendingEarnings,
+        currency: newTransaction.currency,
+        transactionStatus: newTransaction.status,
+        newTotalEarnings: balances.totalEarnings,
+        newPendingEarnings: balances.pendingEarnings,
+        newHeldEarnings: balances.heldEarnings || 0,
+        replayed: false,
       },
     });
 
   } catch (error) {
     console.error('Error updating earnings:', error);
 
-    // Log failed transaction for reconciliation if partial update occurred
+    // The ledger write is atomic, so anything failing after it (SNS, the review queue)
+    // is logged for reconciliation against the committed transaction
     if (transaction.id) {
       const reconciliationParams = {
         TableName: process.env.RECONCILIATION_TABLE_NAME,
         Item: {
           transactionId: transaction.id,
+          userId: transaction.userId,
           amount: transaction.amount,
+          currency: LEDGER_CURRENCY,
+          type: transaction.type,
+          contributionId: transaction.contributionId,
+          idempotencyKey: transaction.idempotencyKey,
           error: error.message,
           timestamp: new Date().toISOString(),
+          status: 'unresolved',
         },
       };
       
@@ -174,26 +209,12 @@ exports.handler = async (event) => {
       }
     }
 
-    if (error.name === 'ValidationError') {
-      return createResponse(400, {
-        status: 'error',
-        message: error.message,
-        code: 'VALIDATION_ERROR',
-      });
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
     }
 
-    // Log error to CloudWatch
-    const cloudwatch = new AWS.CloudWatch();
-    await cloudwatch.putMetricData({
-      Namespace: 'SpatialMesh/Errors',
-      MetricData: [
-        {
-          MetricName: 'PutEarningsError',
-          Value: 1,
-          Unit: 'Count',
-        },
-      ],
-    }).promise();
+    metrics.putMetric('SpatialMesh/Errors', 'PutEarningsError', 1);
 
     return createResponse(500, {
       status: 'error',
@@ -202,4 +223,4 @@ exports.handler = async (event) => {
       requestId: event.requestContext?.requestId,
     });
   }
-};
+});
@@ -0,0 +1,225 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { recordEarning, getTransaction, getBalances } = require('../shared/ledger');
+const { enqueueReview } = require('../shared/abuse');
+const { toMinorUnits } = require('../shared/money');
+
+const RECONCILIATION_TABLE = process.env.RECONCILIATION_TABLE_NAME;
+const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE_NAME;
+const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
+// Balance drift above this amount (configured in major units) is escalated
+// to support instead of auto-corrected
+const AUTO_FIX_LIMIT = toMinorUnits(parseFloat(process.env.RECONCILIATION_AUTO_FIX_LIMIT || '100'));
+
+const scanUnresolved = async () => {
+  const params = {
+    TableName: RECONCILIATION_TABLE,
+    FilterExpression: 'attribute_not_exists(#status) OR #status = :unresolved',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':unresolved': 'unresolved',
+    },
+  };
+
+  const entries = [];
+  do {
+    const result = await dynamoDB.scan(params).promise();
+    entries.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return entries;
+};
+
+// Sum of every completed ledger entry; this is what totalEarnings should be
+const sumCompletedTransactions = async (userId) => {
+  const params = {
+    TableName: TRANSACTIONS_TABLE,
+    IndexName: 'UserTransactionsIndex',
+    KeyConditionExpression: 'userId = :userId',
+    FilterExpression: '#status = :completed',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':completed': 'completed',
+    },
+  };
+
+  let total = 0;
+  do {
+    const result = await dynamoDB.query(params).promise();
+    total += result.Items.reduce((sum, tx) => sum + tx.amount, 0);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return total;
+};
+
+const markEntry = async (entry, status, resolution, details = {}) => {
+  await dynamoDB.update({
+    TableName: RECONCILIATION_TABLE,
+    Key: { transactionId: entry.transactionId },
+    UpdateExpression: 'SET #status = :status, resolution = :resolution, details = :details, processedAt = :now',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':resolution': resolution,
+      ':details': details,
+      ':now': new Date().toISOString(),
+    },
+  }).promise();
+
+  return { transactionId: entry.transactionId, status, resolution, details };
+};
+
+// Brings totalEarnings/pendingEarnings back in line with the ledger. The
+// condition on lastUpdated makes the correction a no-op if a concurrent write
+// landed after the balances were read; the next run picks it up again.
+const compensateBalance = async (userId, balances, delta) => {
+  await dynamoDB.update({
+    TableName: EARNINGS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET totalEarnings = totalEarnings + :delta, pendingEarnings = pendingEarnings + :delta, lastUpdated = :now',
+    ConditionExpression: 'lastUpdated = :lastUpdated',
+    ExpressionAttributeValues: {
+      ':delta': delta,
+      ':lastUpdated': balances.lastUpdated,
+      ':now': new Date().toISOString(),
+    },
+  }).promise();
+};
+
+const reconcileUser = async (userId) => {
+  const balances = await getBalances(userId);
+  if (!balances.currency) {
+    // Not migrated to minor units yet; comparing would mix units
+    return { outcome: 'escalate', delta: null };
+  }
+
+  const ledgerTotal = await sumCompletedTransactions(userId);
+  const delta = ledgerTotal - (balances.totalEarnings || 0);
+
+  if (delta === 0) {
+    return { outcome: 'consistent', delta: 0 };
+  }
+
+  if (Math.abs(delta) > AUTO_FIX_LIMIT || !balances.lastUpdated) {
+    return { outcome: 'escalate', delta };
+  }
+
+  await compensateBalance(userId, balances, delta);
+  return { outcome: 'compensated', delta };
+};
+
+const reconcileEntry = async (entry) => {
+  if (!entry.userId) {
+    // Entries written before userId was recorded cannot be checked automatically
+    return markEntry(entry, 'escalated', 'missing_user', { reason: 'Entry has no userId' });
+  }
+
+  const transaction = await getTransaction(entry.transactionId);
+  let resolution = 'ledger_consistent';
+
+  if (!transaction) {
+    if (!entry.type || !entry.contributionId) {
+      return markEntry(entry, 'escalated', 'missing_transaction', { reason: 'Transaction record missing and entry cannot be replayed' });
+    }
+
+    // recordEarning is idempotent, so replaying can never double-credit
+    try {
+      await recordEarning({
+        userId: entry.userId,
+        amount: entry.amount,
+        type: entry.type,
+        contributionId: entry.contributionId,
+        idempotencyKey: entry.idempotencyKey,
+        metadata: { reconciledFrom: entry.transactionId },
+      });
+    } catch (error) {
+      if (error.name !== 'InvalidAmountError') {
+        throw error;
+      }
+      // Rows written before the move to minor units hold decimal amounts that
+      // can't be replayed as they are; a person decides what they were worth
+      await enqueueReview({
+        reviewId: `reconcile#${entry.transactionId}`,
+        userId: entry.userId,
+        subjectType: 'transaction',
+        subjectId: entry.transactionId,
+        reasons: ['reconciliation entry has a legacy decimal amount'],
+        // Not `amount`, which reviews keep in minor units
+        details: { legacyAmount: entry.amount, type: entry.type, contributionId: entry.contributionId },
+      });
+      return markEntry(entry, 'escalated', 'legacy_amount', { amount: entry.amount });
+    }
+    resolution = 'replayed';
+  }
+
+  const balanceCheck = await reconcileUser(entry.userId);
+  if (balanceCheck.outcome === 'escalate') {
+    return markEntry(entry, 'escalated', 'balance_mismatch', { delta: balanceCheck.delta });
+  }
+
+  if (balanceCheck.outcome === 'compensated') {
+    resolution = resolution === 'replayed' ? 'replayed_and_compensated' : 'compensated';
+  }
+
+  return markEntry(entry, 'resolved', resolution, { delta: balanceCheck.delta });
+};
+
+exports.handler = async (event) => {
+  console.log('reconcileTransactions invoked with event:', JSON.stringify(event));
+
+  const startedAt = new Date().toISOString();
+  const entries = await scanUnresolved();
+  const results = [];
+  const errors = [];
+
+  // Sequential on purpose: entries for the same user must not race each other
+  for (const entry of entries) {
+    try {
+      results.push(await reconcileEntry(entry));
+    } catch (error) {
+      console.error(`Failed to reconcile ${entry.transactionId}:`, error);
+      errors.push({ transactionId: entry.transactionId, error: error.message });
+    }
+  }
+
+  const countBy = (resolution) => results.filter((result) => result.resolution === resolution).length;
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    scanned: entries.length,
+    resolved: results.filter((result) => result.status === 'resolved').length,
+    escalated: results.filter((result) => result.status === 'escalated').length,
+    failed: errors.length,
+    byResolution: {
+      ledgerConsistent: countBy('ledger_consistent'),
+      replayed: countBy('replayed') + countBy('replayed_and_compensated'),
+      compensated: countBy('compensated') + countBy('replayed_and_compensated'),
+    },
+    escalations: results.filter((result) => result.status === 'escalated'),
+    errors,
+  };
+
+  console.log('Reconciliation report:', JSON.stringify(report));
+
+  if (process.env.SNS_TOPIC_ARN && (report.escalated > 0 || report.failed > 0)) {
+    const sns = new AWS.SNS();
+    await sns.publish({
+      TopicArn: process.env.SNS_TOPIC_ARN,
+      Message: JSON.stringify({
+        type: 'RECONCILIATION_REPORT',
+        data: report,
+      }),
+    }).promise();
+  }
+
+  return report;
+};
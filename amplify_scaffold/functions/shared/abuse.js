@@ -0,0 +1,324 @@
+// Abuse and fraud controls: per-user rate limits and velocity checks backed
+// by fixed-window counters, duplicate-position detection for anchors, and the
+// review queue that flagged activity is sent to.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { v4: uuidv4 } = require('uuid');
+const geohash = require('./geohash');
+const { LEDGER_CURRENCY, toMinorUnits } = require('./money');
+const { cancellationReasons } = require('./ledger');
+
+const COUNTERS_TABLE = process.env.COUNTERS_TABLE_NAME;
+const REVIEW_TABLE = process.env.REVIEW_QUEUE_TABLE_NAME;
+const SPATIAL_TABLE = process.env.SPATIAL_TABLE_NAME;
+
+const MAX_COUNTER_ATTEMPTS = 3;
+
+const WINDOWS = {
+  minute: 60,
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+};
+
+const DEFAULT_LIMITS = {
+  anchorCreate: { minute: 30, day: 1000 },
+  earningsRecord: { minute: 20, day: 500 },
+  meshSessionCreate: { minute: 5, day: 100 },
+  meshSessionClose: { minute: 5, day: 100 },
+  earningsVelocity: { hour: 20, day: 100 }, // Credited amount before earnings are held
+  duplicateAnchor: { radiusMeters: 2, windowMinutes: 10 },
+};
+
+// ABUSE_LIMITS (JSON) overrides the defaults per environment, e.g.
+// {"anchorCreate":{"minute":5}} in dev
+const getLimits = () => {
+  const overrides = process.env.ABUSE_LIMITS ? JSON.parse(process.env.ABUSE_LIMITS) : {};
+  return Object.fromEntries(Object.entries(DEFAULT_LIMITS)
+    .map(([key, value]) => [key, { ...value, ...(overrides[key] || {}) }]));
+};
+
+const rateLimitError = (action, window, retryAfter) => {
+  const error = new Error(`Too many ${action} requests; try again in ${retryAfter} seconds`);
+  error.name = 'RateLimitError';
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// The update that adds `amount` to the caller's counter for the current
+// window, with the seconds left in that window
+const counterUpdate = (userId, action, window, amount) => {
+  const seconds = WINDOWS[window];
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % seconds);
+
+  return {
+    update: {
+      TableName: COUNTERS_TABLE,
+      Key: { counterKey: `${userId}#${action}#${window}#${windowStart}` },
+      UpdateExpression: 'ADD #count :amount SET #ttl = if_not_exists(#ttl, :ttl)',
+      ExpressionAttributeNames: {
+        '#count': 'count',
+        '#ttl': 'ttl',
+      },
+      ExpressionAttributeValues: {
+        ':amount': amount,
+        ':ttl': windowStart + seconds * 2,
+      },
+    },
+    retryAfter: windowStart + seconds - now,
+  };
+};
+
+// Adds `amount` to the caller's counter for the current window and returns
+// the new total
+const incrementCounter = async (userId, action, window, amount = 1) => {
+  const { update } = counterUpdate(userId, action, window, amount);
+  const result = await dynamoDB.update({ ...update, ReturnValues: 'UPDATED_NEW' }).promise();
+  return result.Attributes.count;
+};
+
+// Throws a RateLimitError when consuming `amount` would exceed any of the
+// action's window limits. The windows are incremented in one transaction,
+// each conditioned on staying within its limit, so a rejected call counts
+// against none of them.
+const enforceRateLimit = async (userId, action, amount = 1) => {
+  const windows = Object.entries(getLimits()[action]).map(([window, limit]) => ({
+    window,
+    limit,
+    ...counterUpdate(userId, action, window, amount),
+  }));
+
+  const tooLarge = windows.find(({ limit }) => amount > limit);
+  if (tooLarge) {
+    throw rateLimitError(action, tooLarge.window, tooLarge.retryAfter);
+  }
+
+  const params = {
+    TransactItems: windows.map(({ update, limit }) => ({
+      Update: {
+        ...update,
+        ConditionExpression: 'attribute_not_exists(#count) OR #count <= :ceiling',
+        ExpressionAttributeValues: { ...update.ExpressionAttributeValues, ':ceiling': limit - amount },
+      },
+    })),
+  };
+
+  // Concurrent calls by the same user can conflict on a counter; retry those
+  let conflict;
+  for (let attempt = 0; attempt < MAX_COUNTER_ATTEMPTS; attempt++) {
+    try {
+      await dynamoDB.transactWrite(params).promise();
+      return;
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') {
+        throw error;
+      }
+      const reasons = cancellationReasons(error);
+      const exceeded = windows.find((_, index) => reasons[index] === 'ConditionalCheckFailed');
+      if (exceeded) {
+        throw rateLimitError(action, exceeded.window, exceeded.retryAfter);
+      }
+      if (!reasons.includes('TransactionConflict')) {
+        throw error;
+      }
+      conflict = error;
+    }
+  }
+
+  throw conflict;
+};
+
+// Records credited value against the velocity windows; returns the reasons
+// the credit should be held, or an empty list
+const checkEarningsVelocity = async (userId, amount) => {
+  const limits = getLimits().earningsVelocity;
+  const reasons = [];
+
+  // amount is already in minor units; the limits are configured in major units
+  for (const [window, limit] of Object.entries(limits)) {
+    const total = await incrementCounter(userId, 'earningsVelocity', window, amount);
+    if (total > toMinorUnits(limit)) {
+      reasons.push(`earnings velocity above ${limit} per ${window}`);
+    }
+  }
+
+  return reasons;
+};
+
+// For each new anchor, the IDs of anchors by the same user within the
+// duplicate radius and time window that came before it. Existing anchors and
+// earlier anchors in the same batch both count. Each covering cell is queried
+// once for the whole batch.
+const findDuplicatePositions = async (anchors) => {
+  const located = anchors.filter((anchor) => anchor.location);
+  const duplicates = new Map(anchors.map((anchor) => [anchor.anchorId, []]));
+  if (located.length === 0) {
+    return duplicates;
+  }
+
+  const { radiusMeters, windowMinutes } = getLimits().duplicateAnchor;
+  const windowMs = windowMinutes * 60 * 1000;
+  const earliest = Math.min(...located.map((anchor) => Date.parse(anchor.createdAt)));
+  const cells = [...new Set(located.flatMap((anchor) => geohash.coveringCells(anchor.location, radiusMeters)))];
+
+  const results = await Promise.all(cells.map((cell) => dynamoDB.query({
+    TableName: SPATIAL_TABLE,
+    IndexName: 'GeohashIndex',
+    KeyConditionExpression: 'geohash = :geohash AND createdAt >= :since',
+    FilterExpression: 'userId = :userId AND #status = :active',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':geohash': cell,
+      ':since': new Date(earliest - windowMs).toISOString(),
+      ':userId': located[0].userId,
+      ':active': 'active',
+    },
+  }).promise()));
+
+  const newIds = new Set(located.map((anchor) => anchor.anchorId));
+  const existing = results.flatMap((result) => result.Items)
+    .filter((other) => other.location && !newIds.has(other.anchorId));
+
+  located.forEach((anchor, index) => {
+    const createdAt = Date.parse(anchor.createdAt);
+    const earlierSiblings = located.slice(0, index);
+    const matches = [...existing, ...earlierSiblings].filter((other) => {
+      const gap = createdAt - Date.parse(other.createdAt);
+      return Math.abs(gap) <= windowMs
+        && geohash.haversineDistance(anchor.location, other.location) <= radiusMeters;
+    });
+    duplicates.set(anchor.anchorId, [...new Set(matches.map((other) => other.anchorId))]);
+  });
+
+  return duplicates;
+};
+
+// A `details.amount` is in minor units; `currency` marks it as such for the
+// minor-unit migration, which converts only items without one
+const buildReviewItem = ({ reviewId = uuidv4(), userId, subjectType, subjectId, reasons, details = {} }) => ({
+  reviewId,
+  userId,
+  subjectType,
+  subjectId,
+  reasons,
+  details,
+  ...(typeof details.amount === 'number' && { currency: LEDGER_CURRENCY }),
+  status: 'pending',
+  createdAt: new Date().toISOString(),
+});
+
+// Pass a reviewId derived from the subject to enqueue at most once; returns
+// null when that review already exists
+const enqueueReview = async (review) => {
+  const item = buildReviewItem(review);
+
+  try {
+    await dynamoDB.put({
+      TableName: REVIEW_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(reviewId)',
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+
+  return item;
+};
+
+const pendingReviewsFor = async (subjectId) => {
+  const params = {
+    TableName: REVIEW_TABLE,
+    IndexName: 'SubjectIndex',
+    KeyConditionExpression: 'subjectId = :subjectId',
+    FilterExpression: '#status = :pending',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':subjectId': subjectId,
+      ':pending': 'pending',
+    },
+  };
+
+  const items = [];
+  do {
+    const result = await dynamoDB.query(params).promise();
+    items.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+  return items;
+};
+
+// Closes every pending review of a subject once an admin has acted on it
+const resolveReviews = async (subjectId, { resolution, resolvedBy }) => {
+  const pending = await pendingReviewsFor(subjectId);
+  const now = new Date().toISOString();
+
+  await Promise.all(pending.map((review) => dynamoDB.update({
+    TableName: REVIEW_TABLE,
+    Key: { reviewId: review.reviewId },
+    UpdateExpression: 'SET #status = :resolved, resolution = :resolution, resolvedBy = :resolvedBy, resolvedAt = :now',
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':resolved': 'resolved',
+      ':pending': 'pending',
+      ':resolution': resolution,
+      ':resolvedBy': resolvedBy,
+      ':now': now,
+    },
+  }).promise().catch((error) => {
+    // Resolved concurrently by another admin
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+  })));
+
+  return pending.length;
+};
+
+// One page of pending reviews, oldest first, optionally of one subjectType.
+// Limit applies before the filter, so a page can hold fewer than `limit`.
+const listPendingReviews = async ({ subjectType, limit, exclusiveStartKey }) => {
+  const params = {
+    TableName: REVIEW_TABLE,
+    IndexName: 'StatusIndex',
+    KeyConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':pending': 'pending',
+    },
+    Limit: limit,
+    ExclusiveStartKey: exclusiveStartKey,
+  };
+  if (subjectType) {
+    params.FilterExpression = 'subjectType = :subjectType';
+    params.ExpressionAttributeValues[':subjectType'] = subjectType;
+  }
+
+  const result = await dynamoDB.query(params).promise();
+
+  return {
+    reviews: result.Items,
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+};
+
+module.exports = {
+  getLimits,
+  enforceRateLimit,
+  checkEarningsVelocity,
+  findDuplicatePositions,
+  buildReviewItem,
+  enqueueReview,
+  resolveReviews,
+  listPendingReviews,
+};
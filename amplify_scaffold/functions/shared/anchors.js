@@ -0,0 +1,148 @@
+// Anchor schemas and record construction shared by the handlers that create
+// anchors (createSpatial and the batch upload) or edit them, plus the expiry
+// rules for ephemeral anchors.
+
+const geohash = require('./geohash');
+const { validate } = require('./schema');
+const { validationError } = require('./errors');
+
+// Anchors created with isPersistent: false expire after their lifetime and are
+// removed by DynamoDB TTL (which can lag by up to a couple of days, so reads
+// also filter on ttl)
+const DEFAULT_LIFETIME_SECONDS = parseInt(process.env.EPHEMERAL_ANCHOR_LIFETIME_SECONDS || String(24 * 60 * 60), 10);
+const MIN_LIFETIME_SECONDS = 60;
+const MAX_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
+const VECTOR_SCHEMA = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' },
+  },
+};
+
+const LIFETIME_SCHEMA = { type: 'integer', minimum: MIN_LIFETIME_SECONDS, maximum: MAX_LIFETIME_SECONDS };
+
+// The anchor content clients can set, on create and through PATCH
+const ANCHOR_FIELD_SCHEMAS = {
+  position: VECTOR_SCHEMA,
+  rotation: VECTOR_SCHEMA,
+  metadata: { type: 'object' },
+  qualityScore: { type: 'number', minimum: 0, maximum: 1 },
+  location: {
+    type: 'object',
+    required: ['latitude', 'longitude'],
+    properties: {
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 },
+    },
+  },
+  isPersistent: { type: 'boolean' },
+};
+
+// POST /spatial, and each anchor of a batch upload (which takes userId from
+// the batch). Other fields the app sends, such as id or earnings, are ignored.
+// A new anchor's shares are written in the same transaction as the anchor,
+// which DynamoDB limits to 100 items
+const MAX_SHARED_WITH = 50;
+
+const ANCHOR_SCHEMA = {
+  type: 'object',
+  required: ['userId', 'position', 'metadata', 'qualityScore'],
+  properties: {
+    userId: { type: 'string', minLength: 1 },
+    ...ANCHOR_FIELD_SCHEMAS,
+    lifetimeSeconds: LIFETIME_SCHEMA,
+    sharedWith: {
+      type: 'array',
+      maxItems: MAX_SHARED_WITH,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 },
+    },
+  },
+};
+
+// ttl (epoch seconds, for DynamoDB) and expiresAt (ISO, for clients)
+const expiryFor = (lifetimeSeconds = DEFAULT_LIFETIME_SECONDS, now = Date.now()) => {
+  const ttl = Math.floor(now / 1000) + lifetimeSeconds;
+  return { ttl, expiresAt: new Date(ttl * 1000).toISOString() };
+};
+
+const isExpired = (anchor, now = Date.now()) => Boolean(anchor.ttl) && anchor.ttl * 1000 <= now;
+
+// Hides anchors that have expired but that TTL has not deleted yet
+const addNotExpiredFilter = (params, now = Date.now()) => {
+  const condition = '(attribute_not_exists(#ttl) OR #ttl > :nowSeconds)';
+  params.FilterExpression = params.FilterExpression ? `${params.FilterExpression} AND ${condition}` : condition;
+  params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, '#ttl': 'ttl' };
+  params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ':nowSeconds': Math.floor(now / 1000) };
+  return params;
+};
+
+// [{ field, reason }] for every invalid field of a new anchor
+const anchorInputErrors = (data) => {
+  const errors = validate(ANCHOR_SCHEMA, data);
+  const hasLifetime = data?.lifetimeSeconds !== undefined && data.lifetimeSeconds !== null;
+  if (hasLifetime && data.isPersistent !== false) {
+    errors.push({ field: 'lifetimeSeconds', reason: 'can only be set when isPersistent is false' });
+  }
+  return errors;
+};
+
+// Throws a ValidationError listing every invalid field
+const validateAnchorInput = (data) => {
+  const errors = anchorInputErrors(data);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+};
+
+// createdAt defaults to the write time; batch uploads pass the capture time
+// instead, while updatedAt always records when the server wrote the anchor.
+const buildAnchorItem = (data, anchorId, timestamp, createdAt = timestamp) => {
+  const item = {
+    anchorId,
+    userId: data.userId,
+    position: data.position,
+    rotation: data.rotation || { x: 0, y: 0, z: 0 },
+    metadata: data.metadata,
+    qualityScore: data.qualityScore,
+    createdAt,
+    updatedAt: timestamp,
+    isPersistent: data.isPersistent !== false,
+    sharedWith: data.sharedWith || [],
+    earnings: 0,
+    status: 'active',
+    version: 1,
+  };
+
+  if (!item.isPersistent) {
+    item.lifetimeSeconds = data.lifetimeSeconds || DEFAULT_LIFETIME_SECONDS;
+    Object.assign(item, expiryFor(item.lifetimeSeconds, Date.parse(timestamp)));
+  }
+
+  // Geo-located anchors are indexed by cell for radius queries (GeohashIndex)
+  if (data.location) {
+    item.location = {
+      latitude: data.location.latitude,
+      longitude: data.location.longitude,
+    };
+    item.geohash = geohash.encode(item.location.latitude, item.location.longitude);
+  }
+
+  return item;
+};
+
+module.exports = {
+  DEFAULT_LIFETIME_SECONDS,
+  LIFETIME_SCHEMA,
+  ANCHOR_FIELD_SCHEMAS,
+  anchorInputErrors,
+  validateAnchorInput,
+  buildAnchorItem,
+  expiryFor,
+  isExpired,
+  addNotExpiredFilter,
+};
@@ -0,0 +1,112 @@
+// Object storage for anchor assets (AR models). An adapter exposes:
+//   createUploadUrl({ key, contentType, maxBytes, expiresIn }) -> { url, fields }
+//   createDownloadUrl(key, expiresIn) -> url
+//   headObject(key) -> { size, contentType } or null when missing
+//   deleteObjects(keys)
+// ASSET_STORAGE picks the adapter; `s3` is the default.
+
+const AWS = require('aws-sdk');
+
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET_NAME;
+const S3_DELETE_BATCH_SIZE = 1000; // DeleteObjects limit
+
+const createS3AssetStorage = () => {
+  const s3 = new AWS.S3({ signatureVersion: 'v4' });
+
+  return {
+    name: 's3',
+    // A presigned POST (unlike a presigned PUT) lets S3 itself reject bodies
+    // of the wrong size or content type
+    createUploadUrl: ({ key, contentType, maxBytes, expiresIn }) => new Promise((resolve, reject) => {
+      s3.createPresignedPost({
+        Bucket: ASSETS_BUCKET,
+        Fields: {
+          key,
+          'Content-Type': contentType,
+        },
+        Conditions: [
+          ['content-length-range', 1, maxBytes],
+          ['eq', '$Content-Type', contentType],
+        ],
+        Expires: expiresIn,
+      }, (error, data) => (error ? reject(error) : resolve(data)));
+    }),
+    createDownloadUrl: (key, expiresIn) => s3.getSignedUrlPromise('getObject', {
+      Bucket: ASSETS_BUCKET,
+      Key: key,
+      Expires: expiresIn,
+    }),
+    headObject: async (key) => {
+      try {
+        const result = await s3.headObject({ Bucket: ASSETS_BUCKET, Key: key }).promise();
+        return { size: result.ContentLength, contentType: result.ContentType };
+      } catch (error) {
+        if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    deleteObjects: async (keys) => {
+      for (let i = 0; i < keys.length; i += S3_DELETE_BATCH_SIZE) {
+        const result = await s3.deleteObjects({
+          Bucket: ASSETS_BUCKET,
+          Delete: {
+            Objects: keys.slice(i, i + S3_DELETE_BATCH_SIZE).map((key) => ({ Key: key })),
+            Quiet: true,
+          },
+        }).promise();
+        if (result.Errors && result.Errors.length > 0) {
+          throw new Error(`Failed to delete ${result.Errors.length} asset objects`);
+        }
+      }
+    },
+  };
+};
+
+// ASSET_STORAGE=memory: objects live in a Map for the life of the process,
+// and `putObject` plays the part of the client's upload to the presigned URL.
+const createMemoryAssetStorage = () => {
+  const objects = new Map();
+
+  return {
+    name: 'memory',
+    objects,
+    putObject: (key, body, contentType) => {
+      objects.set(key, { size: Buffer.byteLength(body), contentType });
+    },
+    createUploadUrl: async ({ key, contentType }) => ({
+      url: 'memory://assets',
+      fields: { key, 'Content-Type': contentType },
+    }),
+    createDownloadUrl: async (key) => `memory://assets/${encodeURIComponent(key)}`,
+    headObject: async (key) => objects.get(key) || null,
+    deleteObjects: async (keys) => {
+      keys.forEach((key) => objects.delete(key));
+    },
+  };
+};
+
+const adapters = {
+  s3: createS3AssetStorage,
+  memory: createMemoryAssetStorage,
+};
+
+const registerAssetStorage = (name, factory) => {
+  adapters[name] = factory;
+};
+
+const createAssetStorage = (name = process.env.ASSET_STORAGE || 's3') => {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown asset storage: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createS3AssetStorage,
+  createMemoryAssetStorage,
+  registerAssetStorage,
+  createAssetStorage,
+};
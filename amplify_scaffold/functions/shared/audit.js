@@ -0,0 +1,69 @@
+// Append-only trail of admin actions. Entries are only ever Put (never
+// updated or deleted) and are written in the same DynamoDB transaction as the
+// change they describe, so every committed admin action has exactly one entry.
+// Grant the admin function PutItem and Query on this table, nothing more.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { v4: uuidv4 } = require('uuid');
+
+const AUDIT_TABLE = process.env.AUDIT_TABLE_NAME;
+
+// Returns the entry and the TransactItems element that writes it
+const buildAuditEntry = ({ actor, action, targetType, targetId, reason, before, after }) => {
+  const entry = {
+    auditId: uuidv4(),
+    actor,
+    action,
+    targetType,
+    targetId,
+    reason,
+    before: before || null,
+    after: after || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  return {
+    entry,
+    transactItem: {
+      Put: {
+        TableName: AUDIT_TABLE,
+        Item: entry,
+        ConditionExpression: 'attribute_not_exists(auditId)',
+      },
+    },
+  };
+};
+
+// Newest first, for one target (TargetIndex) or one admin (ActorIndex)
+const listAuditEntries = async ({ targetId, actor, limit, exclusiveStartKey }) => {
+  const params = targetId
+    ? {
+      IndexName: 'TargetIndex',
+      KeyConditionExpression: 'targetId = :key',
+      ExpressionAttributeValues: { ':key': targetId },
+    }
+    : {
+      IndexName: 'ActorIndex',
+      KeyConditionExpression: 'actor = :key',
+      ExpressionAttributeValues: { ':key': actor },
+    };
+
+  const result = await dynamoDB.query({
+    TableName: AUDIT_TABLE,
+    ...params,
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: exclusiveStartKey,
+  }).promise();
+
+  return {
+    entries: result.Items,
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+};
+
+module.exports = {
+  buildAuditEntry,
+  listAuditEntries,
+};
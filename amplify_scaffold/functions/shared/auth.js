@@ -0,0 +1,125 @@
+// Caller identity for the REST and WebSocket handlers.
+// In API Gateway the Cognito authorizer has already verified the token and
+// exposes its claims on requestContext. When LOCAL_JWT_SECRET is set (local
+// runs and tests) an HS256 bearer token is verified here instead, so the same
+// checks can be exercised without Cognito.
+
+const crypto = require('crypto');
+
+const ADMIN_GROUP = process.env.ADMIN_GROUP || 'admins';
+
+const authError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.name = 'AuthError';
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const base64UrlDecode = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const verifyLocalToken = (token, secret) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError(401, 'Malformed token', 'INVALID_TOKEN');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = JSON.parse(base64UrlDecode(encodedHeader).toString());
+  if (header.alg !== 'HS256') {
+    throw authError(401, 'Unsupported token algorithm', 'INVALID_TOKEN');
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const actual = base64UrlDecode(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError(401, 'Invalid token signature', 'INVALID_TOKEN');
+  }
+
+  const claims = JSON.parse(base64UrlDecode(encodedPayload).toString());
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    throw authError(401, 'Token has expired', 'TOKEN_EXPIRED');
+  }
+
+  return claims;
+};
+
+const getClaims = (event) => {
+  const authorizer = event.requestContext?.authorizer;
+  if (authorizer?.claims) {
+    return authorizer.claims;
+  }
+
+  // WebSocket $connect goes through a Lambda authorizer, whose context values
+  // arrive flat on the authorizer object
+  if (authorizer?.sub) {
+    return authorizer;
+  }
+
+  // Browsers can't set headers on a WebSocket, so local tokens may also come
+  // in the token query parameter
+  const secret = process.env.LOCAL_JWT_SECRET;
+  const queryToken = event.queryStringParameters?.token;
+  const header = event.headers?.Authorization || event.headers?.authorization
+    || (queryToken ? `Bearer ${queryToken}` : undefined);
+  if (secret && header && header.startsWith('Bearer ')) {
+    try {
+      return verifyLocalToken(header.slice('Bearer '.length), secret);
+    } catch (error) {
+      if (error.name === 'AuthError') throw error;
+      throw authError(401, 'Malformed token', 'INVALID_TOKEN');
+    }
+  }
+
+  return null;
+};
+
+// API Gateway flattens cognito:groups to a string such as "[admins editors]"
+// or "admins,editors"; locally signed tokens carry a plain array.
+const parseGroups = (groups) => {
+  if (!groups) return [];
+  if (Array.isArray(groups)) return groups;
+  return String(groups).replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(Boolean);
+};
+
+const getCaller = (event) => {
+  const claims = getClaims(event);
+  if (!claims || !claims.sub) {
+    throw authError(401, 'Authentication required', 'UNAUTHORIZED');
+  }
+
+  const groups = parseGroups(claims['cognito:groups']);
+  return {
+    userId: claims.sub,
+    groups,
+    isAdmin: groups.includes(ADMIN_GROUP),
+  };
+};
+
+// Returns the caller when they may act on userId's data, throws a 403 otherwise.
+const authorizeUser = (event, userId) => {
+  const caller = getCaller(event);
+  if (caller.userId !== userId && !caller.isAdmin) {
+    throw authError(403, 'You are not allowed to access this user\'s data', 'FORBIDDEN');
+  }
+  return caller;
+};
+
+// Returns the caller when they are in ADMIN_GROUP, throws a 403 otherwise.
+const requireAdmin = (event) => {
+  const caller = getCaller(event);
+  if (!caller.isAdmin) {
+    throw authError(403, 'Admin access required', 'FORBIDDEN');
+  }
+  return caller;
+};
+
+module.exports = {
+  ADMIN_GROUP,
+  authError,
+  getCaller,
+  authorizeUser,
+  requireAdmin,
+};
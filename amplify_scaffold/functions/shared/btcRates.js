@@ -0,0 +1,110 @@
+// Sources for the BTC price used to convert ledger amounts to satoshis for
+// Lightning payouts. A source exposes `getRate(currency)` resolving to
+// { currency, btcPriceMinor, source, asOf }, where btcPriceMinor is the price
+// of one BTC in minor units of `currency`. BTC_RATE_SOURCE picks the
+// implementation; `fixed` is the default.
+
+const https = require('https');
+const { parseDecimal } = require('./money');
+
+// Fetched prices are reused for this long within a container
+const CACHE_TTL_MS = parseInt(process.env.BTC_RATE_CACHE_SECONDS || '60', 10) * 1000;
+
+const rateUnavailable = (message) => {
+  const error = new Error(message);
+  error.name = 'RateUnavailableError';
+  return error;
+};
+
+// Prices from BTC_PRICES (JSON of decimal strings keyed by currency, e.g.
+// {"USD":"65000.00"}), or from `prices` when created in tests
+const createFixedRateSource = (prices = JSON.parse(process.env.BTC_PRICES || '{}')) => ({
+  name: 'fixed',
+  getRate: async (currency) => {
+    if (prices[currency] === undefined) {
+      throw rateUnavailable(`No fixed BTC price configured for ${currency}`);
+    }
+    return {
+      currency,
+      btcPriceMinor: parseDecimal(prices[currency], currency),
+      source: 'fixed',
+      asOf: null,
+    };
+  },
+});
+
+const getJson = (url) => new Promise((resolve, reject) => {
+  const request = https.get(url, { timeout: 5000 }, (response) => {
+    let body = '';
+    response.on('data', (chunk) => { body += chunk; });
+    response.on('end', () => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Rate request failed with status ${response.statusCode}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error('Rate request timed out')));
+  request.on('error', reject);
+});
+
+// Coinbase's public spot price; the amount comes back as a decimal string,
+// so it is parsed exactly rather than through a float
+const createCoinbaseRateSource = () => {
+  const cache = new Map();
+
+  return {
+    name: 'coinbase',
+    getRate: async (currency) => {
+      const cached = cache.get(currency);
+      if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+        return cached.rate;
+      }
+
+      let body;
+      try {
+        body = await getJson(`https://api.coinbase.com/v2/prices/BTC-${currency}/spot`);
+      } catch (error) {
+        throw rateUnavailable(`Could not fetch BTC-${currency} price: ${error.message}`);
+      }
+
+      const rate = {
+        currency,
+        btcPriceMinor: parseDecimal(body.data.amount, currency),
+        source: 'coinbase',
+        asOf: new Date().toISOString(),
+      };
+      cache.set(currency, { rate, fetchedAt: Date.now() });
+      return rate;
+    },
+  };
+};
+
+const sources = {
+  fixed: createFixedRateSource,
+  coinbase: createCoinbaseRateSource,
+};
+
+const registerRateSource = (name, factory) => {
+  sources[name] = factory;
+};
+
+const createRateSource = (name = process.env.BTC_RATE_SOURCE || 'fixed') => {
+  const factory = sources[name];
+  if (!factory) {
+    throw new Error(`Unknown BTC rate source: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createFixedRateSource,
+  createCoinbaseRateSource,
+  registerRateSource,
+  createRateSource,
+};
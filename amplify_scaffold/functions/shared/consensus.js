@@ -0,0 +1,239 @@
+// Canonical anchors: clusters of anchors that different users placed on the
+// same physical spot. The anchorConsensus stream processor keeps every
+// active, located anchor linked to exactly one canonical anchor; this module
+// holds the clustering rules and the reads the API handlers share.
+//
+// A canonical anchor stores its members (anchorId -> the member's userId,
+// qualityScore, location, metadata tokens and join rank), the `nextRank` to
+// hand out and a `version` that guards every rewrite. The CanonicalMembers
+// table maps each anchorId back to its canonicalId.
+//
+// The members live in the item, which DynamoDB caps at 400 KB, so a canonical
+// anchor holds at most MAX_CANONICAL_MEMBERS of them. Anchors that match a
+// full one are linked to it in CanonicalMembers with `overflow: true` but not
+// stored as members: they don't move the consensus, and they are paid nothing.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const geohash = require('./geohash');
+const { isExpired } = require('./anchors');
+
+const CANONICAL_TABLE = process.env.CANONICAL_ANCHORS_TABLE_NAME;
+const MEMBERS_TABLE = process.env.CANONICAL_MEMBERS_TABLE_NAME;
+// Anchors closer than this to a canonical anchor's location can join it
+const CLUSTER_RADIUS_METERS = parseFloat(process.env.CONSENSUS_RADIUS_METERS || '5');
+// Jaccard similarity of metadata needed to join, when both sides have metadata
+const MIN_METADATA_SIMILARITY = parseFloat(process.env.CONSENSUS_MIN_SIMILARITY || '0.5');
+// A member is at most ~2.2 KB (20 tokens of 100 characters, plus its fields)
+const MAX_CANONICAL_MEMBERS = 100;
+const BATCH_GET_SIZE = 100;
+const MAX_TOKENS = 20;
+const MAX_TOKEN_LENGTH = 100;
+
+// Metadata as comparable "key=value" strings; nested values only count by key
+const metadataTokens = (metadata) => Object.entries(metadata || {})
+  .map(([key, value]) => (value !== null && typeof value === 'object' ? key : `${key}=${value}`))
+  .map((token) => token.slice(0, MAX_TOKEN_LENGTH))
+  .sort()
+  .slice(0, MAX_TOKENS);
+
+const similarity = (a, b) => {
+  const union = new Set([...a, ...b]);
+  const shared = a.filter((token) => b.includes(token)).length;
+  return shared / union.size;
+};
+
+const isEligible = (anchor) => Boolean(anchor
+  && anchor.status === 'active'
+  && !anchor.flagged
+  && anchor.location
+  && !isExpired(anchor));
+
+const memberOf = (anchor) => ({
+  userId: anchor.userId,
+  qualityScore: anchor.qualityScore || 0,
+  location: anchor.location,
+  tokens: metadataTokens(anchor.metadata),
+});
+
+// Within the radius, and the metadata agrees with at least one member's.
+// Anchors without metadata can't disagree, so they match on distance alone.
+const matches = (canonical, member) => {
+  if (geohash.haversineDistance(canonical.location, member.location) > CLUSTER_RADIUS_METERS) {
+    return false;
+  }
+  const others = Object.values(canonical.members).filter((other) => other.tokens.length > 0);
+  return member.tokens.length === 0
+    || others.length === 0
+    || others.some((other) => similarity(member.tokens, other.tokens) >= MIN_METADATA_SIMILARITY);
+};
+
+// Each user counts once, through their highest-quality member, so placing
+// several anchors on a spot doesn't outvote other users
+const observationsOf = (members) => {
+  const best = new Map();
+  Object.values(members).forEach((member) => {
+    const current = best.get(member.userId);
+    if (!current || member.qualityScore > current.qualityScore) {
+      best.set(member.userId, member);
+    }
+  });
+  return [...best.values()];
+};
+
+// Each observation's share of the total quality; an even split when every
+// score is zero
+const weightsFor = (observations) => {
+  const totalWeight = observations.reduce((sum, member) => sum + member.qualityScore, 0);
+  return (member) => (totalWeight > 0 ? member.qualityScore / totalWeight : 1 / observations.length);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The consensus fields derived from the members: the median of the users'
+// quality scores, and their quality-weighted centre
+const summarize = (members) => {
+  const observations = observationsOf(members);
+  const weightOf = weightsFor(observations);
+  const location = {
+    latitude: Number(observations.reduce((sum, member) => sum + member.location.latitude * weightOf(member), 0).toFixed(7)),
+    longitude: Number(observations.reduce((sum, member) => sum + member.location.longitude * weightOf(member), 0).toFixed(7)),
+  };
+
+  return {
+    location,
+    geohash: geohash.encode(location.latitude, location.longitude),
+    consensusQuality: Number(median(observations.map((member) => member.qualityScore)).toFixed(4)),
+    observations: observations.length,
+    contributors: observations.map((member) => member.userId).sort(),
+    memberCount: Object.keys(members).length,
+  };
+};
+
+// A member's part of the canonical anchor's reward, fixed by its join rank:
+// the first anchor linked gets founderShare, the next maxConfirmations get
+// confirmationShare each, later ones nothing. Ranks are never reused, so each
+// is paid at most once and a spot never pays out more than founderShare +
+// maxConfirmations * confirmationShare of one anchor's price, whoever claims
+// first. A member that isn't its user's best observation gets nothing (that
+// user is already counted), and neither does an overflow anchor, which only
+// joined after the spot had far more confirmations than it pays for.
+// Returns { share, rank, reason }.
+const shareOf = (canonical, anchorId, { founderShare, confirmationShare, maxConfirmations }) => {
+  const member = canonical.members[anchorId];
+  if (!member) {
+    return { share: 0, rank: undefined, reason: 'this spot already has all the confirmations it pays for' };
+  }
+  const { rank } = member;
+  if (!observationsOf(canonical.members).includes(member)) {
+    return { share: 0, rank, reason: 'another of your anchors at this spot already counts' };
+  }
+  if (rank === 0) {
+    return { share: founderShare, rank };
+  }
+  if (rank > 0 && rank <= maxConfirmations) {
+    return { share: confirmationShare, rank };
+  }
+  return { share: 0, rank, reason: 'this spot already has all the confirmations it pays for' };
+};
+
+const getMembership = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: MEMBERS_TABLE,
+    Key: { anchorId },
+  }).promise();
+  return result.Item || null;
+};
+
+const getCanonical = async (canonicalId) => {
+  const result = await dynamoDB.get({
+    TableName: CANONICAL_TABLE,
+    Key: { canonicalId },
+  }).promise();
+  return result.Item || null;
+};
+
+// Canonical anchors whose location is within the radius of `location`
+const findNearbyCanonicals = async (location) => {
+  const cells = geohash.coveringCells(location, CLUSTER_RADIUS_METERS);
+  const results = await Promise.all(cells.map(async (cell) => {
+    const params = {
+      TableName: CANONICAL_TABLE,
+      IndexName: 'GeohashIndex',
+      KeyConditionExpression: 'geohash = :geohash',
+      ExpressionAttributeValues: {
+        ':geohash': cell,
+      },
+    };
+    const items = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      items.push(...result.Items);
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+    return items;
+  }));
+
+  return results.flat()
+    .filter((canonical) => geohash.haversineDistance(location, canonical.location) <= CLUSTER_RADIUS_METERS);
+};
+
+const batchGetAll = async (tableName, keys) => {
+  const items = [];
+  for (let i = 0; i < keys.length; i += BATCH_GET_SIZE) {
+    let batchKeys = keys.slice(i, i + BATCH_GET_SIZE);
+    while (batchKeys.length > 0) {
+      const batch = await dynamoDB.batchGet({
+        RequestItems: {
+          [tableName]: { Keys: batchKeys },
+        },
+      }).promise();
+      items.push(...(batch.Responses[tableName] || []));
+      batchKeys = batch.UnprocessedKeys?.[tableName]?.Keys || [];
+    }
+  }
+  return items;
+};
+
+// What API responses show of a canonical anchor. Members belong to other
+// users and may be private, so only the consensus fields are exposed.
+const publicView = (canonical) => ({
+  canonicalId: canonical.canonicalId,
+  location: canonical.location,
+  geohash: canonical.geohash,
+  consensusQuality: canonical.consensusQuality,
+  observations: canonical.observations,
+  memberCount: canonical.memberCount,
+  updatedAt: canonical.updatedAt,
+});
+
+// anchorId -> public view of its canonical anchor, for the anchors that are linked
+const canonicalsFor = async (anchorIds) => {
+  const memberships = await batchGetAll(MEMBERS_TABLE, [...new Set(anchorIds)].map((anchorId) => ({ anchorId })));
+  const canonicalIds = [...new Set(memberships.map((membership) => membership.canonicalId))];
+  const canonicals = new Map((await batchGetAll(CANONICAL_TABLE, canonicalIds.map((canonicalId) => ({ canonicalId }))))
+    .map((canonical) => [canonical.canonicalId, canonical]));
+
+  return new Map(memberships
+    .filter((membership) => canonicals.has(membership.canonicalId))
+    .map((membership) => [membership.anchorId, publicView(canonicals.get(membership.canonicalId))]));
+};
+
+module.exports = {
+  CANONICAL_TABLE,
+  MEMBERS_TABLE,
+  MAX_CANONICAL_MEMBERS,
+  isEligible,
+  memberOf,
+  matches,
+  summarize,
+  shareOf,
+  getMembership,
+  getCanonical,
+  findNearbyCanonicals,
+  canonicalsFor,
+};
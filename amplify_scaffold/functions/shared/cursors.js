@@ -0,0 +1,78 @@
+// Opaque pagination tokens for list endpoints. A token carries the position
+// to resume from (usually a LastEvaluatedKey) and an expiry, signed with
+// HMAC-SHA256 so clients can't read a different page of someone else's data
+// by editing it. The signature also covers a scope string, such as the route,
+// user and filters of the query, so a token only works for the query that
+// produced it.
+
+const crypto = require('crypto');
+const { fieldError } = require('./errors');
+
+const TTL_SECONDS = parseInt(process.env.CURSOR_TTL_SECONDS || '3600', 10);
+
+const invalidCursor = (field, reason) => fieldError(field, reason, 'INVALID_PARAMETERS');
+
+// Deliberately separate from LOCAL_JWT_SECRET, so a local-only secret can
+// never end up signing cursors in a deployed environment
+const getSecret = () => {
+  const secret = process.env.CURSOR_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('CURSOR_SIGNING_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (body, scope) => crypto.createHmac('sha256', getSecret())
+  .update(`${body}.${scope}`)
+  .digest();
+
+// Token for `position` in the query identified by `scope`, or null when there
+// is no next page. Long-lived cursors, such as sync watermarks, pass their
+// own ttlSeconds.
+const encodeCursor = (position, scope, ttlSeconds = TTL_SECONDS) => {
+  if (!position) {
+    return null;
+  }
+
+  const body = Buffer.from(JSON.stringify({
+    p: position,
+    e: Math.floor(Date.now() / 1000) + ttlSeconds,
+  })).toString('base64url');
+  return `${body}.${sign(body, scope).toString('base64url')}`;
+};
+
+// The position a token was issued for. Throws an INVALID_PARAMETERS
+// ValidationError on `field` when the token is malformed, signed for another
+// scope or expired.
+const decodeCursor = (token, scope, field = 'nextToken') => {
+  const [body, signature, ...rest] = String(token).split('.');
+  if (!body || !signature || rest.length > 0) {
+    throw invalidCursor(field, 'is not valid');
+  }
+
+  const expected = sign(body, scope);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalidCursor(field, 'is not valid');
+  }
+
+  const { p: position, e: expiresAt } = JSON.parse(Buffer.from(body, 'base64url').toString());
+  if (expiresAt * 1000 < Date.now()) {
+    throw invalidCursor(field, 'has expired; start again from the first page');
+  }
+  return position;
+};
+
+// Scope string for a list query: the route, the user and every query
+// parameter except the paging ones, in a stable order
+const scopeOf = (route, userId, queryParams, paging = ['nextToken', 'limit']) => JSON.stringify([
+  route,
+  userId,
+  Object.keys(queryParams).filter((key) => !paging.includes(key)).sort().map((key) => [key, queryParams[key]]),
+]);
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  scopeOf,
+};
@@ -0,0 +1,62 @@
+// The error taxonomy shared by the API handlers. Every error response has
+// the same body, { status: 'error', code, message } plus any fields listed
+// below for its code, and each code always comes with the same HTTP status,
+// so clients can branch on `code` alone (see "Errors" in the README).
+//
+// Shared modules throw plain Errors with a `name`; errorResponse turns the
+// names below into responses. Handlers still return their own route-specific
+// codes (NOT_FOUND, VERSION_CONFLICT and so on) directly.
+
+// Error name -> HTTP status, code and the error properties copied into the body
+const RESPONSES = {
+  ValidationError: { statusCode: 400, fields: ['errors'] },
+  AuthError: {},
+  RateLimitError: { statusCode: 429, code: 'RATE_LIMITED', fields: ['retryAfter'] },
+  ContributionError: { statusCode: 422, code: 'CONTRIBUTION_NOT_REWARDABLE' },
+  ContributionPendingError: { statusCode: 409, code: 'CONTRIBUTION_PENDING', fields: ['retryAfter'] },
+  IdempotencyConflictError: { statusCode: 409, code: 'IDEMPOTENCY_CONFLICT' },
+  LegacyBalanceError: { statusCode: 409, code: 'LEGACY_BALANCE' },
+  BalanceConflictError: { statusCode: 409, code: 'BALANCE_CONFLICT' },
+  TransactionStateError: { statusCode: 409, code: 'TRANSACTION_NOT_HELD' },
+  InsufficientBalanceError: { statusCode: 400, code: 'INSUFFICIENT_BALANCE' },
+  RateUnavailableError: { statusCode: 503, code: 'RATE_UNAVAILABLE' },
+};
+
+const describe = (errors) => errors.map(({ field, reason }) => `${field} ${reason}`).join(', ');
+
+// `errors` lists each failing field as { field, reason }. Problems with the
+// query string use INVALID_PARAMETERS and problems with the body
+// VALIDATION_ERROR.
+const validationError = (errors, code = 'VALIDATION_ERROR') => {
+  const prefix = code === 'INVALID_PARAMETERS' ? 'Invalid query parameters' : 'Invalid request';
+  const error = new Error(`${prefix}: ${describe(errors)}`);
+  error.name = 'ValidationError';
+  error.code = code;
+  error.errors = errors;
+  return error;
+};
+
+// A ValidationError for one field, for the checks a schema can't express
+const fieldError = (field, reason, code) => validationError([{ field, reason }], code);
+
+// The response for an error from the taxonomy, or null for anything else
+// (which the handler reports as its own error or a 500)
+const errorResponse = (error, createResponse) => {
+  const response = RESPONSES[error.name];
+  if (!response) {
+    return null;
+  }
+
+  return createResponse(response.statusCode || error.statusCode, {
+    status: 'error',
+    message: error.message,
+    code: response.code || error.code,
+    ...Object.fromEntries((response.fields || []).map((field) => [field, error[field]])),
+  });
+};
+
+module.exports = {
+  validationError,
+  fieldError,
+  errorResponse,
+};
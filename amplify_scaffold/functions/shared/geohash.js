@@ -0,0 +1,142 @@
+// Geohash helpers shared by the spatial handlers.
+// Anchors are indexed on a fixed-precision cell (GeohashIndex hash key), so
+// radius queries fan out over every cell that intersects the search area.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_METERS = 6371008.8;
+const INDEX_PRECISION = 6; // ~1.2km x 0.6km cells
+
+const encode = (latitude, longitude, precision = INDEX_PRECISION) => {
+  let latRange = [-90, 90];
+  let lonRange = [-180, 180];
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lonRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      ch = (ch << 1) | 1;
+      range[0] = mid;
+    } else {
+      ch <<= 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+};
+
+const decodeBounds = (hash) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let evenBit = true;
+
+  for (const c of hash) {
+    const idx = BASE32.indexOf(c);
+    if (idx === -1) {
+      throw new Error(`Invalid geohash character: ${c}`);
+    }
+
+    for (let n = 4; n >= 0; n--) {
+      const range = evenBit ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((idx >> n) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLat: latRange[0],
+    maxLat: latRange[1],
+    minLon: lonRange[0],
+    maxLon: lonRange[1],
+  };
+};
+
+const cellSize = (precision) => {
+  const lonBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  return {
+    latDegrees: 180 / 2 ** latBits,
+    lonDegrees: 360 / 2 ** lonBits,
+  };
+};
+
+const wrapLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+const neighbors = (hash) => {
+  const { minLat, maxLat, minLon, maxLon } = decodeBounds(hash);
+  const lat = (minLat + maxLat) / 2;
+  const lon = (minLon + maxLon) / 2;
+  const dLat = maxLat - minLat;
+  const dLon = maxLon - minLon;
+  const cells = [];
+
+  for (const i of [-1, 0, 1]) {
+    for (const j of [-1, 0, 1]) {
+      if (i === 0 && j === 0) continue;
+      const nLat = lat + i * dLat;
+      if (nLat > 90 || nLat < -90) continue;
+      cells.push(encode(nLat, wrapLongitude(lon + j * dLon), hash.length));
+    }
+  }
+
+  return [...new Set(cells)];
+};
+
+const haversineDistance = (from, to) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Returns every cell at `precision` that intersects the bounding box of the
+// circle, plus the neighbours of the centre cell so points just across a cell
+// edge are never missed.
+const coveringCells = (center, radiusMeters, precision = INDEX_PRECISION) => {
+  const { latDegrees, lonDegrees } = cellSize(precision);
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const cosLat = Math.max(Math.cos((center.latitude * Math.PI) / 180), 1e-6);
+  const lonDelta = Math.min(180, latDelta / cosLat);
+
+  const minLat = Math.max(-90, center.latitude - latDelta);
+  const maxLat = Math.min(90, center.latitude + latDelta);
+  const centerHash = encode(center.latitude, center.longitude, precision);
+  const cells = new Set([centerHash, ...neighbors(centerHash)]);
+
+  for (let lat = minLat; lat <= maxLat + latDegrees; lat += latDegrees) {
+    for (let lon = center.longitude - lonDelta; lon <= center.longitude + lonDelta + lonDegrees; lon += lonDegrees) {
+      cells.add(encode(Math.min(lat, maxLat), wrapLongitude(Math.min(lon, center.longitude + lonDelta)), precision));
+    }
+  }
+
+  return [...cells];
+};
+
+module.exports = {
+  INDEX_PRECISION,
+  encode,
+  decodeBounds,
+  neighbors,
+  haversineDistance,
+  coveringCells,
+};
@@ -0,0 +1,45 @@
+// Leaderboard layout shared by the stream processor that maintains the boards
+// and the API that reads them.
+//
+// One item per (board, user) holds the user's running totals for that board:
+// `earnings`, `anchors` (active anchor count) and `quality` (sum of the
+// quality scores of those anchors). Each metric has a GSI keyed on
+// (boardKey, metric) so the top of a board is a single descending query.
+
+const { keyFor } = require('./timeBuckets');
+
+const PERIODS = ['day', 'week', 'month'];
+const GLOBAL_REGION = 'global';
+// Geohash prefix lengths with their own regional boards (~1250 km, ~156 km
+// and ~39 km cells)
+const REGION_PRECISIONS = [2, 3, 4];
+
+const METRICS = {
+  earnings: { indexName: 'EarningsRankIndex', regional: false },
+  anchors: { indexName: 'AnchorsRankIndex', regional: true },
+  quality: { indexName: 'QualityRankIndex', regional: true },
+};
+
+// Periods are UTC so every user shares the same boards
+const periodKey = (period, timestamp) => keyFor(timestamp, period, 'UTC');
+
+const boardKey = (period, key, region = GLOBAL_REGION) => `${period}#${key}#${region}`;
+
+const regionsFor = (cell) => [
+  GLOBAL_REGION,
+  ...(cell ? REGION_PRECISIONS.map((precision) => cell.slice(0, precision)) : []),
+];
+
+// Every board a contribution made at `timestamp` in `cell` counts towards
+const boardKeysFor = (timestamp, cell = null) => PERIODS.flatMap((period) => regionsFor(cell)
+  .map((region) => boardKey(period, periodKey(period, timestamp), region)));
+
+module.exports = {
+  PERIODS,
+  GLOBAL_REGION,
+  REGION_PRECISIONS,
+  METRICS,
+  periodKey,
+  boardKey,
+  boardKeysFor,
+};
@@ -0,0 +1,408 @@
+// Earnings ledger writes shared by every handler that credits a user.
+// The balance update and the transaction record are committed in a single
+// DynamoDB transaction. Transaction IDs are derived from the idempotency key,
+// so a retried request can never credit the same contribution twice.
+// Amounts are integer minor units of LEDGER_CURRENCY (see money.js).
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { LEDGER_CURRENCY, isMinorAmount } = require('./money');
+
+const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
+const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE_NAME;
+
+const idempotencyKeyFor = (userId, contributionId) => `${userId}#${contributionId}`;
+
+const transactionIdFor = (idempotencyKey) => `tx_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 32)}`;
+
+const idempotencyConflict = (message) => {
+  const error = new Error(message);
+  error.name = 'IdempotencyConflictError';
+  return error;
+};
+
+const ledgerError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+// Admin writes re-read and retry this many times when the balances change
+// underneath them
+const MAX_BALANCE_ATTEMPTS = 3;
+
+// Balances written before the move to minor units have no currency. Writing
+// minor units into them would mix units, so every balance update requires a
+// matching currency (or a new item) until the migration script has run.
+const CURRENCY_CONDITION = 'attribute_not_exists(userId) OR currency = :currency';
+
+const legacyBalance = (userId) => ledgerError('LegacyBalanceError',
+  `Balances for ${userId} are not in minor units yet; run the minor-unit migration`);
+
+const requireMinorAmount = (amount) => {
+  if (!isMinorAmount(amount)) {
+    throw ledgerError('InvalidAmountError', `Ledger amounts must be integer minor units, got ${amount}`);
+  }
+};
+
+// Held credits (flagged for review) only count towards heldEarnings until an
+// admin releases them; they never reach totalEarnings or pendingEarnings.
+const buildHeldUpdate = (userId, amount, now) => ({
+  TableName: EARNINGS_TABLE,
+  Key: { userId },
+  UpdateExpression: 'SET heldEarnings = if_not_exists(heldEarnings, :zero) + :amount, currency = :currency, lastUpdated = :now',
+  ConditionExpression: CURRENCY_CONDITION,
+  ExpressionAttributeValues: {
+    ':amount': amount,
+    ':zero': 0,
+    ':currency': LEDGER_CURRENCY,
+    ':now': now,
+  },
+});
+
+// fromHeld moves the amount out of heldEarnings, for releasing a held credit
+const buildEarningsUpdate = (userId, amount, type, now, fromHeld = false) => ({
+  TableName: EARNINGS_TABLE,
+  Key: { userId },
+  UpdateExpression: `
+    SET ${fromHeld ? 'heldEarnings = heldEarnings - :amount,' : ''}
+        totalEarnings = if_not_exists(totalEarnings, :zero) + :amount,
+        pendingEarnings = if_not_exists(pendingEarnings, :zero) + :amount,
+        contributionCount = if_not_exists(contributionCount, :zero) + :one,
+        currency = :currency,
+        lastUpdated = :now,
+        earningsByType.#type = if_not_exists(earningsByType.#type, :zero) + :amount,
+        contributionsByType.#type = if_not_exists(contributionsByType.#type, :zero) + :one
+  `,
+  ConditionExpression: CURRENCY_CONDITION,
+  ExpressionAttributeNames: {
+    '#type': type,
+  },
+  ExpressionAttributeValues: {
+    ':amount': amount,
+    ':zero': 0,
+    ':one': 1,
+    ':currency': LEDGER_CURRENCY,
+    ':now': now,
+  },
+});
+
+const getBalances = async (userId) => {
+  const result = await dynamoDB.get({
+    TableName: EARNINGS_TABLE,
+    Key: { userId },
+  }).promise();
+  return result.Item || { totalEarnings: 0, pendingEarnings: 0, currency: LEDGER_CURRENCY };
+};
+
+const getTransaction = async (transactionId) => {
+  const result = await dynamoDB.get({
+    TableName: TRANSACTIONS_TABLE,
+    Key: { transactionId },
+  }).promise();
+  return result.Item || null;
+};
+
+// aws-sdk v2 only lists the cancellation reasons in the error message,
+// e.g. "... [None, ConditionalCheckFailed]", in TransactItems order.
+const cancellationReasons = (error) => {
+  if (error.CancellationReasons) {
+    return error.CancellationReasons.map((reason) => reason.Code);
+  }
+  const match = /\[(.*)\]/.exec(error.message || '');
+  return match ? match[1].split(', ') : [];
+};
+
+// The transaction Put is the second item in recordEarning's TransactItems
+const isDuplicateTransaction = (error) => error.code === 'TransactionCanceledException'
+  && cancellationReasons(error)[1] === 'ConditionalCheckFailed';
+
+// ...and the balance update, conditioned on CURRENCY_CONDITION, the first
+const isLegacyBalance = (error) => error.code === 'TransactionCanceledException'
+  && cancellationReasons(error)[0] === 'ConditionalCheckFailed';
+
+// Credits `amount` to userId and writes the matching transaction record.
+// Returns { transaction, balances, replayed }; a replay returns the stored
+// transaction from the first successful request instead of crediting again.
+// Pass status 'held' to record the credit without making it spendable.
+const recordEarning = async ({
+  userId,
+  amount,
+  type,
+  contributionId,
+  metadata = {},
+  idempotencyKey,
+  ruleVersion = null,
+  status = 'completed',
+}) => {
+  requireMinorAmount(amount);
+  const key = idempotencyKey || idempotencyKeyFor(userId, contributionId);
+  const now = new Date().toISOString();
+  const transaction = {
+    transactionId: transactionIdFor(key),
+    idempotencyKey: key,
+    userId,
+    amount,
+    currency: LEDGER_CURRENCY,
+    type,
+    contributionId,
+    timestamp: now,
+    status,
+    ruleVersion,
+    metadata,
+  };
+
+  try {
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        { Update: status === 'held' ? buildHeldUpdate(userId, amount, now) : buildEarningsUpdate(userId, amount, type, now) },
+        {
+          Put: {
+            TableName: TRANSACTIONS_TABLE,
+            Item: transaction,
+            ConditionExpression: 'attribute_not_exists(transactionId)',
+          },
+        },
+      ],
+    }).promise();
+  } catch (error) {
+    if (isLegacyBalance(error)) {
+      throw legacyBalance(userId);
+    }
+    if (!isDuplicateTransaction(error)) {
+      throw error;
+    }
+
+    const original = await getTransaction(transaction.transactionId);
+    if (!original) {
+      throw error;
+    }
+
+    // Amounts are priced on the server and may legitimately differ between
+    // retries (e.g. novelty changed), so only the identity must match
+    if (original.userId !== userId || original.type !== type) {
+      throw idempotencyConflict(`Contribution ${contributionId} was already recorded with different values`);
+    }
+
+    return {
+      transaction: original,
+      balances: await getBalances(userId),
+      replayed: true,
+    };
+  }
+
+  return {
+    transaction,
+    balances: await getBalances(userId),
+    replayed: false,
+  };
+};
+
+const balanceSnapshot = (balances) => ({
+  totalEarnings: balances.totalEarnings || 0,
+  pendingEarnings: balances.pendingEarnings || 0,
+  heldEarnings: balances.heldEarnings || 0,
+  totalPaid: balances.totalPaid || 0,
+});
+
+// Makes an admin balance write conditional on nothing else having written the
+// balances since they were read, so the before/after snapshots handed to
+// auditFor are exactly what the write changed
+const unchangedSince = (balances, update) => {
+  if (!balances.currency) {
+    throw legacyBalance(balances.userId);
+  }
+  return {
+    ...update,
+    ConditionExpression: balances.lastUpdated ? 'lastUpdated = :lastUpdated' : 'attribute_not_exists(userId)',
+    ExpressionAttributeValues: {
+      ...update.ExpressionAttributeValues,
+      ...(balances.lastUpdated ? { ':lastUpdated': balances.lastUpdated } : {}),
+    },
+  };
+};
+
+// Posts a manual correction as a completed 'adjustment' transaction. amount
+// may be negative but can't take pendingEarnings below zero. auditFor(before,
+// after) returns a TransactItems element committed along with the write.
+// Retrying with the same adjustmentId replays the original.
+const recordAdjustment = async ({ userId, amount, adjustmentId, reason, actor, auditFor }) => {
+  requireMinorAmount(amount);
+  const key = `${userId}#adjustment#${adjustmentId}`;
+  const transactionId = transactionIdFor(key);
+
+  for (let attempt = 0; attempt < MAX_BALANCE_ATTEMPTS; attempt++) {
+    const existing = await getTransaction(transactionId);
+    if (existing) {
+      if (existing.userId !== userId || existing.amount !== amount) {
+        throw idempotencyConflict(`Adjustment ${adjustmentId} was already recorded with different values`);
+      }
+      return {
+        transaction: existing,
+        balances: await getBalances(userId),
+        replayed: true,
+      };
+    }
+
+    const balances = await getBalances(userId);
+    const before = balanceSnapshot(balances);
+    const after = {
+      ...before,
+      totalEarnings: before.totalEarnings + amount,
+      pendingEarnings: before.pendingEarnings + amount,
+    };
+    if (after.pendingEarnings < 0) {
+      throw ledgerError('InsufficientBalanceError', 'Adjustment would take pendingEarnings below zero');
+    }
+
+    const now = new Date().toISOString();
+    const transaction = {
+      transactionId,
+      idempotencyKey: key,
+      userId,
+      amount,
+      currency: LEDGER_CURRENCY,
+      type: 'adjustment',
+      contributionId: adjustmentId,
+      timestamp: now,
+      status: 'completed',
+      ruleVersion: null,
+      metadata: { reason, adjustedBy: actor },
+    };
+
+    try {
+      await dynamoDB.transactWrite({
+        TransactItems: [
+          {
+            Update: unchangedSince(balances, {
+              TableName: EARNINGS_TABLE,
+              Key: { userId },
+              UpdateExpression: `
+                SET totalEarnings = if_not_exists(totalEarnings, :zero) + :amount,
+                    pendingEarnings = if_not_exists(pendingEarnings, :zero) + :amount,
+                    currency = :currency,
+                    lastUpdated = :now
+              `,
+              ExpressionAttributeValues: {
+                ':amount': amount,
+                ':zero': 0,
+                ':currency': LEDGER_CURRENCY,
+                ':now': now,
+              },
+            }),
+          },
+          {
+            Put: {
+              TableName: TRANSACTIONS_TABLE,
+              Item: transaction,
+              ConditionExpression: 'attribute_not_exists(transactionId)',
+            },
+          },
+          auditFor(before, after),
+        ],
+      }).promise();
+
+      return {
+        transaction,
+        balances: { ...balances, ...after, lastUpdated: now },
+        replayed: false,
+      };
+    } catch (error) {
+      // Either the balances moved or a concurrent request recorded the same
+      // adjustment; the next attempt sees which
+      if (error.code !== 'TransactionCanceledException') {
+        throw error;
+      }
+    }
+  }
+
+  throw ledgerError('BalanceConflictError', 'Balances changed concurrently; retry the request');
+};
+
+// Releases a held credit into totalEarnings/pendingEarnings ('release') or
+// drops it ('reject'). Returns null if the transaction doesn't exist.
+const settleHeldTransaction = async ({ transactionId, action, actor, auditFor }) => {
+  for (let attempt = 0; attempt < MAX_BALANCE_ATTEMPTS; attempt++) {
+    const transaction = await getTransaction(transactionId);
+    if (!transaction) {
+      return null;
+    }
+    if (transaction.status !== 'held') {
+      throw ledgerError('TransactionStateError', `Transaction ${transactionId} is ${transaction.status}, not held`);
+    }
+
+    const balances = await getBalances(transaction.userId);
+    const before = balanceSnapshot(balances);
+    const after = {
+      ...before,
+      heldEarnings: before.heldEarnings - transaction.amount,
+    };
+    if (action === 'release') {
+      after.totalEarnings = before.totalEarnings + transaction.amount;
+      after.pendingEarnings = before.pendingEarnings + transaction.amount;
+    }
+
+    const now = new Date().toISOString();
+    const nextStatus = action === 'release' ? 'completed' : 'rejected';
+    const balanceUpdate = action === 'release'
+      ? buildEarningsUpdate(transaction.userId, transaction.amount, transaction.type, now, true)
+      : {
+        TableName: EARNINGS_TABLE,
+        Key: { userId: transaction.userId },
+        UpdateExpression: 'SET heldEarnings = heldEarnings - :amount, lastUpdated = :now',
+        ExpressionAttributeValues: {
+          ':amount': transaction.amount,
+          ':now': now,
+        },
+      };
+
+    try {
+      await dynamoDB.transactWrite({
+        TransactItems: [
+          { Update: unchangedSince(balances, balanceUpdate) },
+          {
+            Update: {
+              TableName: TRANSACTIONS_TABLE,
+              Key: { transactionId },
+              UpdateExpression: 'SET #status = :next, reviewedBy = :actor, reviewedAt = :now',
+              ConditionExpression: '#status = :held',
+              ExpressionAttributeNames: {
+                '#status': 'status',
+              },
+              ExpressionAttributeValues: {
+                ':next': nextStatus,
+                ':held': 'held',
+                ':actor': actor,
+                ':now': now,
+              },
+            },
+          },
+          auditFor(before, after),
+        ],
+      }).promise();
+
+      return {
+        transaction: { ...transaction, status: nextStatus, reviewedBy: actor, reviewedAt: now },
+        balances: { ...balances, ...after, lastUpdated: now },
+      };
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') {
+        throw error;
+      }
+    }
+  }
+
+  throw ledgerError('BalanceConflictError', 'Balances changed concurrently; retry the request');
+};
+
+module.exports = {
+  cancellationReasons,
+  idempotencyKeyFor,
+  transactionIdFor,
+  recordEarning,
+  recordAdjustment,
+  settleHeldTransaction,
+  getTransaction,
+  getBalances,
+};
@@ -0,0 +1,120 @@
+// Handler metrics written as CloudWatch Embedded Metric Format (EMF) log
+// lines. CloudWatch extracts the metrics from the Lambda logs asynchronously,
+// so recording a metric never adds an API call to the request path.
+//
+// Dimensions must come from small fixed sets (route, outcome, quality
+// bucket, contribution type); never use user or anchor IDs as dimensions.
+// Put high-cardinality values in properties instead, where Logs Insights can
+// still search them.
+
+const LATENCY_NAMESPACE = 'SpatialMesh/Api';
+
+let writeLine = (line) => console.log(line);
+
+const qualityBucket = (score) => {
+  if (typeof score !== 'number') return 'unknown';
+  if (score < 0.3) return 'low';
+  if (score < 0.7) return 'medium';
+  return 'high';
+};
+
+// Bounded outcome for an API Gateway response status code
+const outcomeFor = (statusCode) => {
+  if (statusCode >= 500) return 'server_error';
+  if (statusCode >= 400) return 'client_error';
+  return 'success';
+};
+
+const createMetricsLogger = (route) => {
+  const startedAt = Date.now();
+  const dimensions = { Route: route };
+  const properties = {};
+  const namespaces = new Map(); // namespace -> Map(metric name -> { value, unit })
+
+  const putMetric = (namespace, name, value, unit = 'Count') => {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    const metrics = namespaces.get(namespace);
+    const previous = metrics.get(name);
+    metrics.set(name, { value: (previous ? previous.value : 0) + value, unit });
+  };
+
+  const addDimensions = (values) => {
+    Object.assign(dimensions, values);
+  };
+
+  const setProperty = (key, value) => {
+    properties[key] = value;
+  };
+
+  // Writes one EMF line per namespace. Never throws, so a metrics failure
+  // can't replace the response or hide the original error.
+  const flush = (outcome) => {
+    try {
+      dimensions.Outcome = outcome;
+      putMetric(LATENCY_NAMESPACE, 'Latency', Date.now() - startedAt, 'Milliseconds');
+
+      const timestamp = Date.now();
+      namespaces.forEach((metrics, namespace) => {
+        const record = {
+          _aws: {
+            Timestamp: timestamp,
+            CloudWatchMetrics: [
+              {
+                Namespace: namespace,
+                Dimensions: [Object.keys(dimensions)],
+                Metrics: [...metrics].map(([name, { unit }]) => ({ Name: name, Unit: unit })),
+              },
+            ],
+          },
+          ...properties,
+          ...dimensions,
+        };
+        metrics.forEach(({ value }, name) => {
+          record[name] = value;
+        });
+        writeLine(JSON.stringify(record));
+      });
+      namespaces.clear();
+    } catch (error) {
+      console.error('Failed to write metrics:', error);
+    }
+  };
+
+  return {
+    putMetric,
+    addDimensions,
+    setProperty,
+    flush,
+  };
+};
+
+// Wraps an API Gateway handler so every invocation records its latency and
+// outcome. The wrapped handler receives the metrics logger as its second
+// argument.
+const withMetrics = (route, handler) => async (event, context) => {
+  const metrics = createMetricsLogger(route);
+  metrics.setProperty('requestId', event?.requestContext?.requestId);
+
+  try {
+    const response = await handler(event, metrics, context);
+    metrics.flush(outcomeFor(response?.statusCode ?? 200));
+    return response;
+  } catch (error) {
+    metrics.flush('server_error');
+    throw error;
+  }
+};
+
+// Lets tests capture metric lines instead of writing them to the log
+const setMetricsWriter = (writer) => {
+  writeLine = writer;
+};
+
+module.exports = {
+  qualityBucket,
+  createMetricsLogger,
+  withMetrics,
+  setMetricsWriter,
+};
@@ -0,0 +1,89 @@
+// Money handling for the earnings ledger. Every stored amount is an integer
+// number of minor units (cents for USD) of LEDGER_CURRENCY and is written
+// with an explicit `currency`, so balance updates are exact integer ADDs.
+//
+// Rounding rules:
+// - Computed amounts (reward pricing, configured limits) are converted with
+//   toMinorUnits: float noise below a millionth of a minor unit is dropped,
+//   then the value is rounded half to even.
+// - Conversions to satoshis round down, so a payout never sends more than
+//   the balance it was debited from.
+
+const CURRENCIES = {
+  USD: { digits: 2 },
+  EUR: { digits: 2 },
+  GBP: { digits: 2 },
+};
+const SATS_PER_BTC = 100000000n;
+
+const LEDGER_CURRENCY = process.env.LEDGER_CURRENCY || 'USD';
+
+const digitsFor = (currency) => {
+  const definition = CURRENCIES[currency];
+  if (!definition) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return definition.digits;
+};
+
+const roundHalfEven = (value) => {
+  const floor = Math.floor(value);
+  const fraction = value - floor;
+  if (fraction > 0.5) return floor + 1;
+  if (fraction < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+};
+
+// 1.23 (major units, as computed or configured) -> 123
+const toMinorUnits = (amount, currency = LEDGER_CURRENCY) => {
+  const scaled = Number((amount * 10 ** digitsFor(currency)).toFixed(6));
+  return roundHalfEven(scaled) || 0;
+};
+
+// "65000.125" -> 6500012 (USD), exact for any decimal string
+const parseDecimal = (text, currency = LEDGER_CURRENCY) => {
+  const digits = digitsFor(currency);
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Not a decimal amount: ${text}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const kept = BigInt(whole + fraction.padEnd(digits, '0').slice(0, digits));
+  const rest = fraction.slice(digits);
+  const half = rest.length > 0 ? BigInt(rest) * 2n - 10n ** BigInt(rest.length) : -1n;
+  const roundUp = half > 0n || (half === 0n && kept % 2n === 1n);
+  const minor = Number(roundUp ? kept + 1n : kept);
+  // "-0.001" rounds to 0, not -0
+  return sign && minor !== 0 ? -minor : minor;
+};
+
+// 123 -> "1.23", for statements and display; never parsed back
+const formatMinorUnits = (amount, currency = LEDGER_CURRENCY) => {
+  const digits = digitsFor(currency);
+  const text = String(Math.abs(amount)).padStart(digits + 1, '0');
+  const sign = amount < 0 ? '-' : '';
+  return digits > 0
+    ? `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`
+    : `${sign}${text}`;
+};
+
+const isMinorAmount = (value) => Number.isSafeInteger(value);
+
+// Rounds down; rate is { btcPriceMinor }, the price of one BTC in minor units
+const toSatoshis = (amount, rate) => {
+  if (!isMinorAmount(amount) || amount < 0) {
+    throw new Error(`Not a non-negative minor-unit amount: ${amount}`);
+  }
+  return Number((BigInt(amount) * SATS_PER_BTC) / BigInt(rate.btcPriceMinor));
+};
+
+module.exports = {
+  CURRENCIES,
+  LEDGER_CURRENCY,
+  toMinorUnits,
+  parseDecimal,
+  formatMinorUnits,
+  isMinorAmount,
+  toSatoshis,
+};
@@ -0,0 +1,68 @@
+// Payout providers move money out to the user's chosen destination.
+// A provider exposes `send(payout)` resolving to `{ status: 'paid', reference }`
+// or `{ status: 'failed', reason }`; thrown errors are treated as failures.
+// `payout.amount` is in minor units of `payout.currency`; Lightning payouts
+// also carry `amountSats`, quoted when the withdrawal was requested.
+//
+// `send` must be idempotent on `payout.withdrawalId`, and `status(withdrawalId)`
+// reports what became of an earlier send: `paid` or `failed` as above,
+// `pending` while the provider is still working on it, or `not_found` when it
+// never arrived. The withdrawal sweep relies on both to finish payouts whose
+// Lambda died mid-flight (see shared/payouts.js).
+
+// In-memory fake that records payouts instead of sending them. Destinations
+// starting with "fail" are rejected so the failure path can be exercised.
+// It is only available when ALLOW_LOCAL_PAYOUTS=true.
+const createLocalPayoutProvider = () => {
+  const payouts = [];
+
+  return {
+    name: 'local',
+    payouts,
+    send: async (payout) => {
+      if (String(payout.destination).startsWith('fail')) {
+        return { status: 'failed', reason: 'Destination rejected by local provider' };
+      }
+
+      if (!payouts.some((sent) => sent.withdrawalId === payout.withdrawalId)) {
+        payouts.push(payout);
+      }
+      return { status: 'paid', reference: `local_${payout.withdrawalId}` };
+    },
+    // Rejected payouts aren't recorded, so they report not_found and are resent
+    status: async (withdrawalId) => (payouts.some((sent) => sent.withdrawalId === withdrawalId)
+      ? { status: 'paid', reference: `local_${withdrawalId}` }
+      : { status: 'not_found' }),
+  };
+};
+
+const providers = {
+  local: createLocalPayoutProvider,
+};
+
+const registerPayoutProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// There is deliberately no default: a deployment that forgets PAYOUT_PROVIDER
+// must fail rather than quietly "pay" withdrawals through the local fake.
+const createPayoutProvider = (name = process.env.PAYOUT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYOUT_PROVIDER is not set');
+  }
+  if (name === 'local' && process.env.ALLOW_LOCAL_PAYOUTS !== 'true') {
+    throw new Error('The local payout provider requires ALLOW_LOCAL_PAYOUTS=true');
+  }
+
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createLocalPayoutProvider,
+  registerPayoutProvider,
+  createPayoutProvider,
+};
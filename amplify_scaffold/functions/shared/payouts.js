@@ -0,0 +1,159 @@
+// The withdrawal state machine shared by the withdrawals API and the
+// withdrawalSweep schedule. A withdrawal moves requested -> processing ->
+// paid | failed; each step is conditioned on the current status, so the API
+// and the sweep can never apply the same transition twice.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
+const WITHDRAWALS_TABLE = process.env.WITHDRAWALS_TABLE_NAME;
+
+// Moves a withdrawal from one state to the next; the condition on the current
+// status keeps concurrent workers from applying the same transition twice.
+const transition = (withdrawalId, from, to, now, extra = {}) => {
+  const names = { '#status': 'status' };
+  const values = { ':from': from, ':to': to, ':now': now };
+  const sets = ['#status = :to', 'updatedAt = :now', `${to}At = :now`];
+
+  Object.entries(extra).forEach(([key, value]) => {
+    names[`#${key}`] = key;
+    values[`:${key}`] = value;
+    sets.push(`#${key} = :${key}`);
+  });
+
+  return {
+    TableName: WITHDRAWALS_TABLE,
+    Key: { withdrawalId },
+    UpdateExpression: `SET ${sets.join(', ')}`,
+    ConditionExpression: '#status = :from',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+};
+
+const sendPayout = async (provider, withdrawal) => {
+  try {
+    return await provider.send({
+      withdrawalId: withdrawal.withdrawalId,
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      currency: withdrawal.currency,
+      amountSats: withdrawal.amountSats,
+      method: withdrawal.method,
+      destination: withdrawal.destination,
+    });
+  } catch (error) {
+    console.error('Payout provider error:', error);
+    return { status: 'failed', reason: error.message };
+  }
+};
+
+// Records the provider's outcome for a processing withdrawal: paid adds the
+// amount to totalPaid, failed returns it to pendingEarnings
+const settleWithdrawal = async (withdrawal, outcome) => {
+  const now = new Date().toISOString();
+  if (outcome.status === 'paid') {
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        { Update: transition(withdrawal.withdrawalId, 'processing', 'paid', now, { payoutReference: outcome.reference }) },
+        {
+          Update: {
+            TableName: EARNINGS_TABLE,
+            Key: { userId: withdrawal.userId },
+            UpdateExpression: 'SET totalPaid = if_not_exists(totalPaid, :zero) + :amount, lastUpdated = :now',
+            ExpressionAttributeValues: {
+              ':amount': withdrawal.amount,
+              ':zero': 0,
+              ':now': now,
+            },
+          },
+        },
+      ],
+    }).promise();
+
+    return { ...withdrawal, status: 'paid', payoutReference: outcome.reference, paidAt: now, updatedAt: now };
+  }
+
+  const failureReason = outcome.reason || 'Unknown error';
+  await dynamoDB.transactWrite({
+    TransactItems: [
+      { Update: transition(withdrawal.withdrawalId, 'processing', 'failed', now, { failureReason }) },
+      {
+        Update: {
+          TableName: EARNINGS_TABLE,
+          Key: { userId: withdrawal.userId },
+          UpdateExpression: 'SET pendingEarnings = pendingEarnings + :amount, lastUpdated = :now',
+          ExpressionAttributeValues: {
+            ':amount': withdrawal.amount,
+            ':now': now,
+          },
+        },
+      },
+    ],
+  }).promise();
+
+  return { ...withdrawal, status: 'failed', failureReason, failedAt: now, updatedAt: now };
+};
+
+// Pays out a requested withdrawal. If the Lambda dies after the move to
+// processing, the row stays there until the sweep asks the provider about it.
+const processWithdrawal = async (withdrawal, provider) => {
+  const now = new Date().toISOString();
+  await dynamoDB.update(transition(withdrawal.withdrawalId, 'requested', 'processing', now)).promise();
+
+  const processing = { ...withdrawal, status: 'processing', processingAt: now, updatedAt: now };
+  return settleWithdrawal(processing, await sendPayout(provider, processing));
+};
+
+// Withdrawals in `status` whose last update is older than `before`, oldest first
+const findStaleWithdrawals = async (status, before) => {
+  const params = {
+    TableName: WITHDRAWALS_TABLE,
+    IndexName: 'StatusIndex',
+    KeyConditionExpression: '#status = :status AND updatedAt < :before',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':before': before,
+    },
+  };
+
+  const withdrawals = [];
+  do {
+    const result = await dynamoDB.query(params).promise();
+    withdrawals.push(...result.Items);
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return withdrawals;
+};
+
+// Finishes a withdrawal that stopped part way. A requested one never reached
+// the provider and is processed as usual. For a processing one the provider
+// says whether the send landed; one it never saw is sent again, which is safe
+// because sends are idempotent on withdrawalId. Pending payouts are left for
+// the next run. Returns the withdrawal, updated when it was settled.
+const resolveStaleWithdrawal = async (withdrawal, provider) => {
+  if (withdrawal.status === 'requested') {
+    return processWithdrawal(withdrawal, provider);
+  }
+
+  let outcome = await provider.status(withdrawal.withdrawalId);
+  if (outcome.status === 'not_found') {
+    outcome = await sendPayout(provider, withdrawal);
+  }
+  if (outcome.status !== 'paid' && outcome.status !== 'failed') {
+    return withdrawal;
+  }
+
+  return settleWithdrawal(withdrawal, outcome);
+};
+
+module.exports = {
+  processWithdrawal,
+  findStaleWithdrawals,
+  resolveStaleWithdrawal,
+};
@@ -0,0 +1,94 @@
+// Immutable history of anchor versions. Every write that bumps an anchor's
+// version (create, edit, revert, delete, expiry, hide and restore) puts a
+// revision for the new version alongside it, keyed by anchorId and version.
+// Revisions are Put with attribute_not_exists, so history can't be rewritten
+// (batch uploads can't condition their writes, but only ever write version 1
+// of anchors that didn't exist). Sharing, asset and renewal writes don't
+// change the version and are not recorded here.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const REVISIONS_TABLE = process.env.ANCHOR_REVISIONS_TABLE_NAME;
+
+// The part of an anchor a revision captures. Moderation flags, sharing,
+// assets and expiry timestamps have their own records.
+const REVISION_FIELDS = ['position', 'rotation', 'metadata', 'qualityScore', 'location', 'geohash', 'isPersistent', 'status'];
+
+const stateOf = (anchor) => Object.fromEntries(REVISION_FIELDS
+  .filter((field) => anchor && anchor[field] !== undefined)
+  .map((field) => [field, anchor[field]]));
+
+// DynamoDB doesn't keep map key order, so values are compared with sorted keys
+const canonical = (value) => JSON.stringify(value, (key, nested) => (
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map((name) => [name, nested[name]]))
+    : nested));
+
+// { field: { from, to } } for every field that changed; fields that were
+// added or removed have a null on the missing side
+const diffOf = (before, after) => Object.fromEntries(REVISION_FIELDS
+  .filter((field) => canonical(before[field]) !== canonical(after[field]))
+  .map((field) => [field, { from: before[field] ?? null, to: after[field] ?? null }]));
+
+// `after` is the anchor as written (its version is the revision's version);
+// `before` is null for a create. Returns the revision and the TransactItems
+// element that writes it.
+const buildRevision = ({ before, after, author, action, revertedTo }) => {
+  const state = stateOf(after);
+  const revision = {
+    anchorId: after.anchorId,
+    version: after.version,
+    action,
+    author,
+    createdAt: after.updatedAt || new Date().toISOString(),
+    state,
+    diff: diffOf(stateOf(before), state),
+    ...(revertedTo !== undefined && { revertedTo }),
+  };
+
+  return {
+    revision,
+    transactItem: {
+      Put: {
+        TableName: REVISIONS_TABLE,
+        Item: revision,
+        ConditionExpression: 'attribute_not_exists(anchorId)',
+      },
+    },
+  };
+};
+
+const getRevision = async (anchorId, version) => {
+  const result = await dynamoDB.get({
+    TableName: REVISIONS_TABLE,
+    Key: { anchorId, version },
+  }).promise();
+  return result.Item || null;
+};
+
+// Newest first
+const listRevisions = async (anchorId, { limit, exclusiveStartKey }) => {
+  const result = await dynamoDB.query({
+    TableName: REVISIONS_TABLE,
+    KeyConditionExpression: 'anchorId = :anchorId',
+    ExpressionAttributeValues: {
+      ':anchorId': anchorId,
+    },
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: exclusiveStartKey,
+  }).promise();
+
+  return {
+    revisions: result.Items,
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+};
+
+module.exports = {
+  REVISIONS_TABLE,
+  buildRevision,
+  getRevision,
+  listRevisions,
+};
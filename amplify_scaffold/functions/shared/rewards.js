@@ -0,0 +1,250 @@
+// Server-side reward engine. Amounts are computed from the stored
+// contribution, never taken from the client. Rate tables are versioned: every
+// transaction records the ruleVersion it was priced with, and a new version
+// is added alongside the old ones rather than edited in place. Rates are in
+// major units of LEDGER_CURRENCY; computed amounts are returned in minor units.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const geohash = require('./geohash');
+const { toMinorUnits } = require('./money');
+const { isEligible, getMembership, getCanonical, shareOf } = require('./consensus');
+
+const SPATIAL_TABLE = process.env.SPATIAL_TABLE_NAME;
+// How long a new located anchor can wait for anchorConsensus to link it
+// before it is priced on its own
+const CONSENSUS_GRACE_SECONDS = parseInt(process.env.CONSENSUS_GRACE_SECONDS || '120', 10);
+
+const RATE_TABLES = {
+  '2026-10-01': {
+    anchor: {
+      baseRate: 0.10, // Paid in full at qualityScore 1
+      minQualityScore: 0.3, // Anchors below this earn nothing
+      metadataBonusPerField: 0.01,
+      maxMetadataBonus: 0.05,
+      noveltyBonus: 0.10, // Paid in full when nothing else is nearby
+      noveltyRadiusMeters: 25,
+      noveltyDecayPerNeighbor: 0.5,
+      maxAmount: 1.00,
+    },
+    mesh: {
+      ratePerMB: 0.01,
+      maxAmount: 10.00,
+    },
+  },
+  // Same rates; anchors linked to a canonical anchor are priced on its
+  // consensus quality and the price is split by join rank. founderShare +
+  // maxConfirmations * confirmationShare must stay at most 1, which bounds
+  // what one spot pays out in total.
+  '2026-10-19': {
+    anchor: {
+      baseRate: 0.10,
+      minQualityScore: 0.3,
+      metadataBonusPerField: 0.01,
+      maxMetadataBonus: 0.05,
+      noveltyBonus: 0.10,
+      noveltyRadiusMeters: 25,
+      noveltyDecayPerNeighbor: 0.5,
+      maxAmount: 1.00,
+      consensus: {
+        founderShare: 0.5,
+        confirmationShare: 0.1,
+        maxConfirmations: 5,
+      },
+    },
+    mesh: {
+      ratePerMB: 0.01,
+      maxAmount: 10.00,
+    },
+  },
+};
+
+const DEFAULT_VERSION = Object.keys(RATE_TABLES).sort().pop();
+
+// REWARD_RATE_TABLES (JSON, keyed by version) lets an environment add or
+// trial rate tables without a code change; REWARD_RULES_VERSION selects one.
+const loadRateTables = () => {
+  if (!process.env.REWARD_RATE_TABLES) {
+    return RATE_TABLES;
+  }
+  return { ...RATE_TABLES, ...JSON.parse(process.env.REWARD_RATE_TABLES) };
+};
+
+const getRateTable = (version = process.env.REWARD_RULES_VERSION || DEFAULT_VERSION) => {
+  const table = loadRateTables()[version];
+  if (!table) {
+    throw new Error(`Unknown reward rules version: ${version}`);
+  }
+  return { version, rates: table };
+};
+
+const unsupportedContribution = (message) => {
+  const error = new Error(message);
+  error.name = 'ContributionError';
+  return error;
+};
+
+const contributionPending = (message, retryAfter) => {
+  const error = new Error(message);
+  error.name = 'ContributionPendingError';
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// Anchors that were already active nearby before this one was created
+const countEarlierNeighbors = async (anchor, radius) => {
+  if (!anchor.location) {
+    return null;
+  }
+
+  const cells = geohash.coveringCells(anchor.location, radius);
+  const results = await Promise.all(cells.map(async (cell) => {
+    const params = {
+      TableName: SPATIAL_TABLE,
+      IndexName: 'GeohashIndex',
+      KeyConditionExpression: 'geohash = :geohash AND createdAt < :createdAt',
+      FilterExpression: '#status = :active',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':geohash': cell,
+        ':createdAt': anchor.createdAt,
+        ':active': 'active',
+      },
+    };
+
+    // A page can come back short or empty after the status filter, so
+    // follow LastEvaluatedKey to the end of the cell
+    const items = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      items.push(...result.Items);
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+    return items;
+  }));
+
+  return results
+    .flat()
+    .filter((other) => other.anchorId !== anchor.anchorId && other.location)
+    .filter((other) => geohash.haversineDistance(anchor.location, other.location) <= radius)
+    .length;
+};
+
+// `canonical` is the canonical anchor the anchor is linked to, under rules
+// with consensus. The spot is then priced on its consensus quality, so one
+// user's generous self-assessment doesn't raise it, and this contributor is
+// paid the share of their join rank.
+const priceAnchor = async (anchor, rates, canonical = null) => {
+  const qualityScore = canonical ? canonical.consensusQuality : anchor.qualityScore;
+  if (qualityScore < rates.minQualityScore) {
+    return { amount: 0, breakdown: { reason: 'qualityScore below minimum' } };
+  }
+
+  const quality = rates.baseRate * qualityScore;
+  const metadataFields = Object.keys(anchor.metadata || {}).length;
+  const metadata = Math.min(rates.maxMetadataBonus, metadataFields * rates.metadataBonusPerField);
+
+  // Anchors without a location can't be compared, so they get half the bonus
+  const neighbors = await countEarlierNeighbors(anchor, rates.noveltyRadiusMeters);
+  const novelty = neighbors === null
+    ? rates.noveltyBonus / 2
+    : rates.noveltyBonus * rates.noveltyDecayPerNeighbor ** neighbors;
+
+  const breakdown = {
+    quality: toMinorUnits(quality),
+    metadata: toMinorUnits(metadata),
+    novelty: toMinorUnits(novelty),
+    nearbyAnchors: neighbors,
+  };
+  const total = Math.min(rates.maxAmount, quality + metadata + novelty);
+  if (!canonical) {
+    return { amount: toMinorUnits(total), breakdown };
+  }
+
+  const { share, rank, reason } = shareOf(canonical, anchor.anchorId, rates.consensus);
+  return {
+    amount: toMinorUnits(total * share),
+    breakdown: {
+      ...breakdown,
+      canonicalId: canonical.canonicalId,
+      consensusQuality: canonical.consensusQuality,
+      contributors: canonical.observations,
+      rank,
+      share: Number(share.toFixed(4)),
+      ...(reason && { reason }),
+    },
+  };
+};
+
+// The canonical anchor to price `anchor` with, or null when it isn't linked
+// to one and won't be (no location, flagged, or older than the grace period).
+// Throws ContributionPendingError while a new anchor waits to be linked, so
+// claiming quickly can't skip the split.
+const canonicalFor = async (anchor) => {
+  if (!isEligible(anchor)) {
+    return null;
+  }
+
+  const membership = await getMembership(anchor.anchorId);
+  const canonical = membership && await getCanonical(membership.canonicalId);
+  // Overflow anchors are priced with the canonical anchor too (see shareOf)
+  if (canonical && (canonical.members[anchor.anchorId] || membership.overflow)) {
+    return canonical;
+  }
+
+  const waitedSeconds = (Date.now() - Date.parse(anchor.updatedAt)) / 1000;
+  if (waitedSeconds < CONSENSUS_GRACE_SECONDS) {
+    throw contributionPending(`Anchor ${anchor.anchorId} is still being matched with nearby anchors`,
+      Math.ceil(CONSENSUS_GRACE_SECONDS - waitedSeconds));
+  }
+  return null;
+};
+
+const getAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: SPATIAL_TABLE,
+    Key: { anchorId },
+  }).promise();
+  return result.Item || null;
+};
+
+// Prices an anchor contribution for userId. Returns
+// { amount, ruleVersion, breakdown, flagged }; throws ContributionError when
+// the contribution can't be rewarded and ContributionPendingError when it
+// can't be priced yet.
+const calculateAnchorReward = async (userId, anchorId) => {
+  const { version, rates } = getRateTable();
+  const anchor = await getAnchor(anchorId);
+
+  if (!anchor || anchor.status !== 'active') {
+    throw unsupportedContribution(`Anchor ${anchorId} does not exist or is not active`);
+  }
+
+  if (anchor.userId !== userId) {
+    throw unsupportedContribution(`Anchor ${anchorId} does not belong to ${userId}`);
+  }
+
+  const canonical = rates.anchor.consensus ? await canonicalFor(anchor) : null;
+  const { amount, breakdown } = await priceAnchor(anchor, rates.anchor, canonical);
+  return { amount, ruleVersion: version, breakdown, flagged: Boolean(anchor.flagged) };
+};
+
+const calculateMeshReward = (bytesTransferred) => {
+  const { version, rates } = getRateTable();
+  const megabytes = bytesTransferred / (1024 * 1024);
+
+  return {
+    amount: toMinorUnits(Math.min(rates.mesh.maxAmount, megabytes * rates.mesh.ratePerMB)),
+    ruleVersion: version,
+    breakdown: { megabytes: Math.round(megabytes * 1000) / 1000 },
+  };
+};
+
+module.exports = {
+  RATE_TABLES,
+  getRateTable,
+  calculateAnchorReward,
+  calculateMeshReward,
+};
@@ -0,0 +1,193 @@
+// Validates request bodies and query strings against JSON Schema
+// definitions, which are plain objects kept next to the handler code that
+// uses them. Only the keywords those definitions use are supported: type,
+// enum, required, properties, additionalProperties, minProperties,
+// maxProperties, items, minItems, maxItems, uniqueItems, minLength,
+// maxLength, pattern, format (date-time), minimum, maximum and
+// exclusiveMinimum, plus the
+// non-standard patternDescription, the reason reported when pattern fails.
+// Every problem is collected, so one 400 response lists all failing fields.
+
+const { validationError } = require('./errors');
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  null: 'null',
+};
+
+const typeMatches = (type, value) => {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+const isDateTime = (value) => !isNaN(Date.parse(value));
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+// Appends { field, reason } for every way `value` fails `schema`
+const check = (schema, value, path, errors) => {
+  const fail = (reason) => errors.push({ field: path || '(body)', reason });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => typeMatches(type, value))) {
+      fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.patternDescription || `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !isDateTime(value)) {
+      fail('must be an ISO 8601 date');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    // Items are compared by their JSON, which is exact for the strings and
+    // numbers the schemas use this for
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size < value.length) {
+      fail('must not contain duplicates');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeMatches('object', value)) {
+    const keys = Object.keys(value);
+    (schema.required || [])
+      .filter((key) => value[key] === undefined || value[key] === null)
+      .forEach((key) => errors.push({ field: join(path, key), reason: 'is required' }));
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} field${schema.minProperties === 1 ? '' : 's'}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} fields`);
+    }
+
+    keys.forEach((key) => {
+      if (value[key] === undefined) {
+        return;
+      }
+      const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push({ field: join(path, key), reason: 'is not allowed' });
+      } else if (propertySchema && propertySchema !== true
+        && !(value[key] === null && !schema.required?.includes(key))) {
+        check(propertySchema, value[key], join(path, key), errors);
+      }
+    });
+  }
+};
+
+// [{ field, reason }] for every problem with `value`; empty when it is valid.
+// Optional properties may be null, which is treated as absent.
+const validate = (schema, value) => {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+};
+
+// Throws a ValidationError listing every problem when `value` doesn't match
+// `schema`; returns `value` otherwise
+const assertValid = (schema, value, code = 'VALIDATION_ERROR') => {
+  const errors = validate(schema, value);
+  if (errors.length > 0) {
+    throw validationError(errors, code);
+  }
+  return value;
+};
+
+// The parsed JSON body, or {} when there is none
+const parseJson = (body) => {
+  if (!body) {
+    return {};
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw validationError([{ field: '(body)', reason: 'must be valid JSON' }]);
+  }
+};
+
+// The parsed JSON body, once it matches `schema`
+const parseBody = (schema, body) => assertValid(schema, parseJson(body));
+
+// Query string values arrive as strings; those whose schema asks for a number,
+// an integer or a boolean are converted, so handlers get typed values. Empty
+// parameters (?limit=) count as absent.
+const coerceQuery = (schema, queryParams) => Object.fromEntries(Object.entries(queryParams || {})
+  .filter(([, raw]) => raw !== '')
+  .map(([key, raw]) => {
+    const types = [].concat(schema.properties?.[key]?.type || []);
+    if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && !isNaN(raw)) {
+      return [key, Number(raw)];
+    }
+    if (types.includes('boolean') && ['true', 'false'].includes(raw)) {
+      return [key, raw === 'true'];
+    }
+    return [key, raw];
+  }));
+
+// The typed query parameters, once they match `schema` (INVALID_PARAMETERS
+// otherwise). Handlers with checks across parameters call coerceQuery and
+// validate themselves, so all problems are reported together.
+const parseQuery = (schema, queryParams) => assertValid(schema, coerceQuery(schema, queryParams), 'INVALID_PARAMETERS');
+
+module.exports = {
+  validate,
+  assertValid,
+  parseJson,
+  parseBody,
+  coerceQuery,
+  parseQuery,
+};
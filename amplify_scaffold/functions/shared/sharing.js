@@ -0,0 +1,111 @@
+// Anchor sharing: who besides the owner may read or edit an anchor.
+// Share rows in the shares table are the source of truth; the anchor's
+// `sharedWith` list mirrors the sharee IDs for clients that read it directly.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { getCaller, authError } = require('./auth');
+
+const SHARES_TABLE = process.env.SHARES_TABLE_NAME;
+const ROLES = ['viewer', 'editor'];
+const BATCH_WRITE_SIZE = 25;
+
+// Access levels, lowest first: a role satisfies every level up to its own
+const LEVELS = ['view', 'edit', 'owner'];
+const ROLE_LEVEL = {
+  viewer: 'view',
+  editor: 'edit',
+  owner: 'owner',
+  admin: 'owner',
+};
+
+const getShare = async (anchorId, userId) => {
+  const result = await dynamoDB.get({
+    TableName: SHARES_TABLE,
+    Key: { anchorId, userId },
+  }).promise();
+  return result.Item || null;
+};
+
+// Returns 'admin', 'owner', 'editor', 'viewer' or null for the caller
+const resolveRole = async (caller, anchor) => {
+  if (caller.isAdmin) return 'admin';
+  if (caller.userId === anchor.userId) return 'owner';
+
+  const share = await getShare(anchor.anchorId, caller.userId);
+  return share ? share.role : null;
+};
+
+// Throws a 403 unless the caller's role on the anchor reaches `level`
+const requireAnchorAccess = async (event, anchor, level) => {
+  const caller = getCaller(event);
+  const role = await resolveRole(caller, anchor);
+
+  if (!role || LEVELS.indexOf(ROLE_LEVEL[role]) < LEVELS.indexOf(level)) {
+    throw authError(403, 'You do not have access to this anchor', 'FORBIDDEN');
+  }
+
+  return { caller, role };
+};
+
+const buildShare = (anchor, userId, role, sharedBy, sharedAt) => ({
+  anchorId: anchor.anchorId,
+  userId,
+  ownerId: anchor.userId,
+  role,
+  sharedBy,
+  sharedAt,
+});
+
+// Viewer shares for the legacy `sharedWith` list sent on create. Repeated
+// IDs are written once, since one request can't put the same key twice.
+const initialShares = (anchor, sharedBy) => [...new Set(anchor.sharedWith || [])]
+  .filter((userId) => userId !== anchor.userId)
+  .map((userId) => buildShare(anchor, userId, 'viewer', sharedBy, anchor.createdAt));
+
+// TransactItems that write a new anchor's initial shares along with it
+const initialShareTransactItems = (anchor, sharedBy) => initialShares(anchor, sharedBy)
+  .map((share) => ({ Put: { TableName: SHARES_TABLE, Item: share } }));
+
+// Writes the initial shares of anchors that are already committed, for batch
+// uploads, which can't write them in the anchor's transaction. Returns the
+// IDs of anchors whose shares could not all be written, so the caller can
+// report them rather than fail a request whose anchors already exist.
+const putInitialShares = async (anchors, sharedBy) => {
+  const shares = anchors.flatMap((anchor) => initialShares(anchor, sharedBy));
+  const failed = new Set();
+
+  for (let i = 0; i < shares.length; i += BATCH_WRITE_SIZE) {
+    let requests = shares.slice(i, i + BATCH_WRITE_SIZE).map((share) => ({ PutRequest: { Item: share } }));
+    try {
+      for (let attempt = 0; requests.length > 0 && attempt < 5; attempt++) {
+        if (attempt > 0) await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+        const result = await dynamoDB.batchWrite({
+          RequestItems: {
+            [SHARES_TABLE]: requests,
+          },
+        }).promise();
+        requests = result.UnprocessedItems?.[SHARES_TABLE] || [];
+      }
+    } catch (error) {
+      console.error('Failed to write anchor shares:', error);
+    }
+
+    requests.forEach((request) => failed.add(request.PutRequest.Item.anchorId));
+  }
+
+  if (failed.size > 0) {
+    console.error('Anchors with unwritten shares:', JSON.stringify([...failed]));
+  }
+  return [...failed];
+};
+
+module.exports = {
+  ROLES,
+  getShare,
+  resolveRole,
+  requireAnchorAccess,
+  buildShare,
+  initialShareTransactItems,
+  putInitialShares,
+};
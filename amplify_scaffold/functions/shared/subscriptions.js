@@ -0,0 +1,151 @@
+// WebSocket connections and their area subscriptions.
+//
+// WebSocketConnections holds one item per open connection (who it belongs to
+// and which cells it follows). AnchorSubscriptions is keyed by geohash cell,
+// with one item per connection following that cell, so the broadcaster can
+// find everyone watching an area with a single query.
+
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE_NAME;
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE_NAME;
+// ~4.9 km cells; anchors are indexed at a finer precision and truncated to this
+const SUBSCRIPTION_PRECISION = 5;
+// API Gateway closes WebSocket connections after two hours; TTL cleans up
+// anything $disconnect missed
+const CONNECTION_TTL_SECONDS = 3 * 60 * 60;
+const BATCH_WRITE_SIZE = 25;
+const MAX_WRITE_ATTEMPTS = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const cellFor = (anchorGeohash) => anchorGeohash.slice(0, SUBSCRIPTION_PRECISION);
+
+const connectionTtl = () => Math.floor(Date.now() / 1000) + CONNECTION_TTL_SECONDS;
+
+const batchWrite = async (requests) => {
+  for (let i = 0; i < requests.length; i += BATCH_WRITE_SIZE) {
+    let pending = requests.slice(i, i + BATCH_WRITE_SIZE);
+    for (let attempt = 0; pending.length > 0 && attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      if (attempt > 0) await sleep(50 * 2 ** attempt);
+      const result = await dynamoDB.batchWrite({
+        RequestItems: {
+          [SUBSCRIPTIONS_TABLE]: pending,
+        },
+      }).promise();
+      pending = result.UnprocessedItems?.[SUBSCRIPTIONS_TABLE] || [];
+    }
+
+    if (pending.length > 0) {
+      throw new Error('Could not update subscriptions after retries');
+    }
+  }
+};
+
+const putConnection = async (connectionId, userId) => {
+  await dynamoDB.put({
+    TableName: CONNECTIONS_TABLE,
+    Item: {
+      connectionId,
+      userId,
+      cells: [],
+      connectedAt: new Date().toISOString(),
+      ttl: connectionTtl(),
+    },
+  }).promise();
+};
+
+const getConnection = async (connectionId) => {
+  const result = await dynamoDB.get({
+    TableName: CONNECTIONS_TABLE,
+    Key: { connectionId },
+  }).promise();
+  return result.Item || null;
+};
+
+// Replaces the connection's subscribed cells with `cells`
+const setSubscriptions = async (connection, cells) => {
+  const next = new Set(cells);
+  const previous = new Set(connection.cells || []);
+  const ttl = connectionTtl();
+
+  await batchWrite([
+    ...[...previous].filter((cell) => !next.has(cell)).map((cell) => ({
+      DeleteRequest: { Key: { cell, connectionId: connection.connectionId } },
+    })),
+    ...[...next].map((cell) => ({
+      PutRequest: {
+        Item: {
+          cell,
+          connectionId: connection.connectionId,
+          userId: connection.userId,
+          ttl,
+        },
+      },
+    })),
+  ]);
+
+  await dynamoDB.update({
+    TableName: CONNECTIONS_TABLE,
+    Key: { connectionId: connection.connectionId },
+    UpdateExpression: 'SET cells = :cells, #ttl = :ttl',
+    ExpressionAttributeNames: {
+      '#ttl': 'ttl',
+    },
+    ExpressionAttributeValues: {
+      ':cells': [...next],
+      ':ttl': ttl,
+    },
+  }).promise();
+};
+
+const removeConnection = async (connectionId) => {
+  const connection = await getConnection(connectionId);
+  if (!connection) {
+    return;
+  }
+
+  await batchWrite((connection.cells || []).map((cell) => ({
+    DeleteRequest: { Key: { cell, connectionId } },
+  })));
+
+  await dynamoDB.delete({
+    TableName: CONNECTIONS_TABLE,
+    Key: { connectionId },
+  }).promise();
+};
+
+// Subscription items ({ cell, connectionId, userId }) for every connection
+// following any of `cells`
+const subscribersOf = async (cells) => {
+  const results = await Promise.all(cells.map(async (cell) => {
+    const params = {
+      TableName: SUBSCRIPTIONS_TABLE,
+      KeyConditionExpression: 'cell = :cell',
+      ExpressionAttributeValues: {
+        ':cell': cell,
+      },
+    };
+
+    const items = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      items.push(...result.Items);
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+    return items;
+  }));
+
+  return results.flat();
+};
+
+module.exports = {
+  SUBSCRIPTION_PRECISION,
+  cellFor,
+  putConnection,
+  getConnection,
+  setSubscriptions,
+  removeConnection,
+  subscribersOf,
+};
@@ -0,0 +1,108 @@
+// Calendar bucketing for earnings statistics.
+// Timestamps are converted to wall-clock time in the requested IANA time zone
+// and bucketed there, so "day" means the user's local day rather than UTC.
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const formatters = {};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns the wall-clock time in timeZone as a "naive" Date whose UTC fields
+// hold the local values; all calendar arithmetic below happens in that space.
+const toLocal = (date, timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+    });
+  }
+
+  const parts = {};
+  formatters[timeZone].formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const startOfBucket = (local, granularity) => {
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  const day = local.getUTCDate();
+
+  switch (granularity) {
+    case 'hour':
+      return new Date(Date.UTC(year, month, day, local.getUTCHours()));
+    case 'day':
+      return new Date(Date.UTC(year, month, day));
+    case 'week': {
+      // ISO weeks start on Monday
+      const offset = (local.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(year, month, day) - offset * DAY_MS);
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    default:
+      throw new Error(`Unsupported granularity: ${granularity}`);
+  }
+};
+
+const nextBucket = (start, granularity) => {
+  switch (granularity) {
+    case 'hour':
+      return new Date(start.getTime() + HOUR_MS);
+    case 'day':
+      return new Date(start.getTime() + DAY_MS);
+    case 'week':
+      return new Date(start.getTime() + 7 * DAY_MS);
+    case 'month':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    default:
+      throw new Error(`Unsupported granularity: ${granularity}`);
+  }
+};
+
+const bucketKey = (start, granularity) => {
+  const date = `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}-${pad(start.getUTCDate())}`;
+  if (granularity === 'hour') return `${date}T${pad(start.getUTCHours())}`;
+  if (granularity === 'month') return date.slice(0, 7);
+  return date;
+};
+
+const keyFor = (timestamp, granularity, timeZone) => bucketKey(
+  startOfBucket(toLocal(new Date(timestamp), timeZone), granularity),
+  granularity,
+);
+
+// Every bucket key between from and to (inclusive), in order.
+const bucketRange = (from, to, granularity, timeZone) => {
+  const keys = [];
+  const end = startOfBucket(toLocal(to, timeZone), granularity);
+  for (let cursor = startOfBucket(toLocal(from, timeZone), granularity); cursor <= end; cursor = nextBucket(cursor, granularity)) {
+    keys.push(bucketKey(cursor, granularity));
+  }
+  return keys;
+};
+
+module.exports = {
+  GRANULARITIES,
+  isValidTimeZone,
+  keyFor,
+  bucketRange,
+};
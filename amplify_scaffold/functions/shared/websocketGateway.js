@@ -0,0 +1,80 @@
+// Delivery of messages to WebSocket clients. A gateway exposes
+// `send(connectionId, message)`, resolving to true when the message was
+// handed over and false when the connection no longer exists.
+// WEBSOCKET_GATEWAY picks the implementation; `apigateway` is the default.
+
+const AWS = require('aws-sdk');
+
+// Posts through the API Gateway management API of the WebSocket stage named
+// by WEBSOCKET_ENDPOINT (https://{api-id}.execute-api.{region}.amazonaws.com/{stage})
+const createApiGatewayConnections = () => {
+  const api = new AWS.ApiGatewayManagementApi({ endpoint: process.env.WEBSOCKET_ENDPOINT });
+
+  return {
+    name: 'apigateway',
+    send: async (connectionId, message) => {
+      try {
+        await api.postToConnection({
+          ConnectionId: connectionId,
+          Data: JSON.stringify(message),
+        }).promise();
+        return true;
+      } catch (error) {
+        if (error.statusCode === 410 || error.code === 'GoneException') {
+          return false;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+// WEBSOCKET_GATEWAY=local: keeps every message in `messages`, per connection,
+// instead of delivering it. `disconnect` makes later sends report the
+// connection as gone, the way API Gateway answers 410.
+const createLocalConnections = () => {
+  const messages = new Map();
+  const gone = new Set();
+
+  return {
+    name: 'local',
+    messages,
+    disconnect: (connectionId) => {
+      gone.add(connectionId);
+    },
+    send: async (connectionId, message) => {
+      if (gone.has(connectionId)) {
+        return false;
+      }
+      if (!messages.has(connectionId)) {
+        messages.set(connectionId, []);
+      }
+      messages.get(connectionId).push(message);
+      return true;
+    },
+  };
+};
+
+const gateways = {
+  apigateway: createApiGatewayConnections,
+  local: createLocalConnections,
+};
+
+const registerWebSocketGateway = (name, factory) => {
+  gateways[name] = factory;
+};
+
+const createWebSocketGateway = (name = process.env.WEBSOCKET_GATEWAY || 'apigateway') => {
+  const factory = gateways[name];
+  if (!factory) {
+    throw new Error(`Unknown WebSocket gateway: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createApiGatewayConnections,
+  createLocalConnections,
+  registerWebSocketGateway,
+  createWebSocketGateway,
+};
@@ -0,0 +1,575 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const geohash = require('../shared/geohash');
+const { getCaller } = require('../shared/auth');
+const { requireAnchorAccess } = require('../shared/sharing');
+const {
+  DEFAULT_LIFETIME_SECONDS,
+  isExpired,
+  expiryFor,
+  LIFETIME_SCHEMA,
+  ANCHOR_FIELD_SCHEMAS,
+} = require('../shared/anchors');
+const { createAssetStorage } = require('../shared/assetStorage');
+const { enqueueReview } = require('../shared/abuse');
+const { buildRevision, getRevision, listRevisions } = require('../shared/revisions');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { validate, assertValid, parseJson, parseQuery } = require('../shared/schema');
+const { validationError, fieldError, errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+// sharedWith is managed through the anchorSharing endpoints
+const UPDATABLE_FIELDS = ['position', 'rotation', 'metadata', 'qualityScore', 'location', 'isPersistent'];
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+let assetStorage = createAssetStorage();
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+// Each route's body; version is the anchor version the client last read
+const VERSION_SCHEMA = { type: 'integer', minimum: 1 };
+
+const UPDATE_SCHEMA = {
+  type: 'object',
+  required: ['version'],
+  properties: {
+    ...ANCHOR_FIELD_SCHEMAS,
+    version: VERSION_SCHEMA,
+  },
+};
+
+const REVERT_SCHEMA = {
+  type: 'object',
+  required: ['toVersion'],
+  properties: {
+    toVersion: VERSION_SCHEMA,
+    version: VERSION_SCHEMA,
+  },
+};
+
+const RENEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    lifetimeSeconds: LIFETIME_SCHEMA,
+  },
+};
+
+const FLAG_SCHEMA = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: { type: 'string', minLength: 1, maxLength: MAX_REASON_LENGTH },
+  },
+};
+
+const DELETE_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: VERSION_SCHEMA,
+  },
+};
+
+const HISTORY_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_HISTORY_LIMIT },
+    nextToken: { type: 'string' },
+  },
+};
+
+const validateUpdate = (data) => {
+  const errors = validate(UPDATE_SCHEMA, data);
+  // Like the schema, a null field counts as absent
+  const fields = Object.keys(data || {}).filter((key) => UPDATABLE_FIELDS.includes(key) && data[key] !== null);
+  if (fields.length === 0) {
+    errors.push({ field: '(body)', reason: `must include at least one of ${UPDATABLE_FIELDS.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return fields;
+};
+
+const getActiveAnchor = async (anchorId) => {
+  const result = await dynamoDB.get({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+  }).promise();
+
+  if (!result.Item || result.Item.status !== 'active' || isExpired(result.Item)) {
+    return null;
+  }
+
+  return result.Item;
+};
+
+const notFound = (anchorId) => createResponse(404, {
+  status: 'error',
+  message: `Anchor ${anchorId} not found`,
+  code: 'ANCHOR_NOT_FOUND',
+});
+
+const versionConflict = (currentVersion) => createResponse(409, {
+  status: 'error',
+  message: 'Anchor has been modified since it was read',
+  code: 'VERSION_CONFLICT',
+  currentVersion,
+});
+
+const getAnchor = async (event, anchorId) => {
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  const { role } = await requireAnchorAccess(event, anchor, 'view');
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      ...anchor,
+      accessRole: role,
+    },
+  });
+};
+
+// The update that writes `values` for `fields` as the anchor's next version,
+// and the anchor as it will be afterwards. Fields in `removed` are dropped.
+const planContentUpdate = (anchor, data, fields, removed = []) => {
+  const values = { ...data };
+  const removeFields = [...removed];
+  if (values.location) {
+    values.location = { latitude: values.location.latitude, longitude: values.location.longitude };
+    values.geohash = geohash.encode(values.location.latitude, values.location.longitude);
+    fields.push('geohash');
+  } else if (removeFields.includes('location')) {
+    removeFields.push('geohash');
+  }
+
+  // Switching persistence starts or clears the expiry clock
+  if (values.isPersistent === false && anchor.isPersistent !== false) {
+    values.lifetimeSeconds = anchor.lifetimeSeconds || DEFAULT_LIFETIME_SECONDS;
+    Object.assign(values, expiryFor(values.lifetimeSeconds));
+    fields.push('lifetimeSeconds', 'ttl', 'expiresAt');
+  } else if (values.isPersistent === true) {
+    removeFields.push('ttl', 'expiresAt', 'lifetimeSeconds');
+  }
+
+  const now = new Date().toISOString();
+  const setClauses = fields.map((field) => `#${field} = :${field}`);
+  const update = {
+    TableName: TABLE_NAME,
+    Key: { anchorId: anchor.anchorId },
+    UpdateExpression: `SET ${[...setClauses, 'updatedAt = :now', '#version = :nextVersion'].join(', ')}`
+      + (removeFields.length > 0 ? ` REMOVE ${removeFields.map((field) => `#${field}`).join(', ')}` : ''),
+    ConditionExpression: '#version = :version AND #status = :active',
+    ExpressionAttributeNames: {
+      '#version': 'version',
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':version': anchor.version,
+      ':nextVersion': anchor.version + 1,
+      ':active': 'active',
+      ':now': now,
+    },
+  };
+
+  const after = { ...anchor, updatedAt: now, version: anchor.version + 1 };
+  fields.forEach((field) => {
+    update.ExpressionAttributeNames[`#${field}`] = field;
+    update.ExpressionAttributeValues[`:${field}`] = values[field];
+    after[field] = values[field];
+  });
+  removeFields.forEach((field) => {
+    update.ExpressionAttributeNames[`#${field}`] = field;
+    delete after[field];
+  });
+
+  return { update, after };
+};
+
+// Writes an anchor update together with the revision it creates. Returns
+// null if another writer got there first.
+const commitRevision = async (update, revision) => {
+  try {
+    await dynamoDB.transactWrite({
+      TransactItems: [{ Update: update }, revision.transactItem],
+    }).promise();
+    return revision.revision;
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Lost a race with another writer between the read and the write
+const raceResponse = async (anchorId) => {
+  const current = await getActiveAnchor(anchorId);
+  return current ? versionConflict(current.version) : notFound(anchorId);
+};
+
+const updateAnchor = async (event, anchorId, data) => {
+  const fields = validateUpdate(data);
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  const { caller } = await requireAnchorAccess(event, anchor, 'edit');
+
+  if (anchor.version !== data.version) {
+    return versionConflict(anchor.version);
+  }
+
+  const { update, after } = planContentUpdate(anchor, data, fields);
+  const revision = buildRevision({ before: anchor, after, author: caller.userId, action: 'update' });
+  if (!(await commitRevision(update, revision))) {
+    return raceResponse(anchorId);
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Spatial anchor updated successfully',
+    data: after,
+  });
+};
+
+// Restores the content of an earlier version as a new version, so the
+// reverted edits stay in the history
+const revertAnchor = async (event, anchorId, data) => {
+  assertValid(REVERT_SCHEMA, data);
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  const { caller } = await requireAnchorAccess(event, anchor, 'edit');
+
+  if ((data.version ?? anchor.version) !== anchor.version) {
+    return versionConflict(anchor.version);
+  }
+
+  if (data.toVersion >= anchor.version) {
+    throw fieldError('toVersion', `must be earlier than the current version ${anchor.version}`);
+  }
+
+  const target = await getRevision(anchorId, data.toVersion);
+  if (!target) {
+    return createResponse(404, {
+      status: 'error',
+      message: `Anchor ${anchorId} has no revision ${data.toVersion}`,
+      code: 'REVISION_NOT_FOUND',
+    });
+  }
+
+  const fields = UPDATABLE_FIELDS.filter((field) => target.state[field] !== undefined);
+  const removed = UPDATABLE_FIELDS.filter((field) => target.state[field] === undefined && anchor[field] !== undefined);
+  const { update, after } = planContentUpdate(anchor, target.state, fields, removed);
+  const revision = buildRevision({
+    before: anchor,
+    after,
+    author: caller.userId,
+    action: 'revert',
+    revertedTo: data.toVersion,
+  });
+  if (!(await commitRevision(update, revision))) {
+    return raceResponse(anchorId);
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: `Spatial anchor reverted to version ${data.toVersion}`,
+    data: after,
+  });
+};
+
+// GET /spatial/anchor/{anchorId}/history, newest first
+const getHistory = async (event, anchorId) => {
+  const queryParams = parseQuery(HISTORY_QUERY_SCHEMA, event.queryStringParameters);
+  const limit = queryParams.limit ?? DEFAULT_HISTORY_LIMIT;
+  // Scoped to the anchor: access is checked again on every page
+  const scope = scopeOf('spatialAnchor/history', anchorId, queryParams);
+  const exclusiveStartKey = queryParams.nextToken ? decodeCursor(queryParams.nextToken, scope) : undefined;
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  await requireAnchorAccess(event, anchor, 'view');
+
+  const { revisions, lastEvaluatedKey } = await listRevisions(anchorId, { limit, exclusiveStartKey });
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      anchorId,
+      currentVersion: anchor.version,
+      revisions,
+      nextToken: encodeCursor(lastEvaluatedKey, scope),
+    },
+  });
+};
+
+// Pushes an ephemeral anchor's expiry out to now + lifetimeSeconds (default:
+// the lifetime it was created with)
+const renewAnchor = async (event, anchorId, data) => {
+  assertValid(RENEW_SCHEMA, data);
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  await requireAnchorAccess(event, anchor, 'edit');
+
+  if (anchor.isPersistent !== false) {
+    return createResponse(400, {
+      status: 'error',
+      message: 'Only anchors with isPersistent: false expire and can be renewed',
+      code: 'ANCHOR_IS_PERSISTENT',
+    });
+  }
+
+  const lifetimeSeconds = data.lifetimeSeconds || anchor.lifetimeSeconds || DEFAULT_LIFETIME_SECONDS;
+  const { ttl, expiresAt } = expiryFor(lifetimeSeconds);
+  const now = new Date();
+  try {
+    await dynamoDB.update({
+      TableName: TABLE_NAME,
+      Key: { anchorId },
+      UpdateExpression: 'SET #ttl = :ttl, expiresAt = :expiresAt, lifetimeSeconds = :lifetimeSeconds, updatedAt = :now',
+      ConditionExpression: '#status = :active AND isPersistent = :false AND #ttl > :nowSeconds',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#ttl': 'ttl',
+      },
+      ExpressionAttributeValues: {
+        ':ttl': ttl,
+        ':expiresAt': expiresAt,
+        ':lifetimeSeconds': lifetimeSeconds,
+        ':now': now.toISOString(),
+        ':active': 'active',
+        ':false': false,
+        ':nowSeconds': Math.floor(now.getTime() / 1000),
+      },
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      // Expired, deleted or made persistent since it was read
+      return notFound(anchorId);
+    }
+    throw error;
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Spatial anchor renewed successfully',
+    data: {
+      anchorId,
+      lifetimeSeconds,
+      expiresAt,
+    },
+  });
+};
+
+// Reports an anchor to the moderators. Each user can report an anchor once;
+// reports only go to the review queue and never change the anchor itself.
+const flagAnchor = async (event, anchorId, data) => {
+  const { reason } = assertValid(FLAG_SCHEMA, data);
+  if (reason.trim().length === 0) {
+    throw fieldError('reason', 'must not be blank');
+  }
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  const { caller } = await requireAnchorAccess(event, anchor, 'view');
+
+  const review = await enqueueReview({
+    reviewId: `report#${anchorId}#${caller.userId}`,
+    userId: anchor.userId,
+    subjectType: 'anchor',
+    subjectId: anchorId,
+    reasons: [reason.trim()],
+    details: { reportedBy: caller.userId },
+  });
+
+  return createResponse(review ? 201 : 200, {
+    status: 'success',
+    message: review ? 'Anchor reported for review' : 'Anchor was already reported',
+    data: {
+      anchorId,
+      alreadyReported: !review,
+    },
+  });
+};
+
+const deleteAnchor = async (event, anchorId, data) => {
+  assertValid(DELETE_SCHEMA, data);
+
+  const anchor = await getActiveAnchor(anchorId);
+  if (!anchor) {
+    return notFound(anchorId);
+  }
+
+  // Only the owner (or an admin) may delete; editors can't
+  const { caller } = await requireAnchorAccess(event, anchor, 'owner');
+
+  const expectedVersion = data.version ?? anchor.version;
+  if (anchor.version !== expectedVersion) {
+    return versionConflict(anchor.version);
+  }
+
+  // Soft delete: getSpatial only returns anchors whose status is active.
+  // The asset list is dropped with it and the objects are removed below.
+  const now = new Date().toISOString();
+  const revision = buildRevision({
+    before: anchor,
+    after: {
+      ...anchor,
+      status: 'deleted',
+      deletedAt: now,
+      updatedAt: now,
+      version: expectedVersion + 1,
+    },
+    author: caller.userId,
+    action: 'delete',
+  });
+  const deleted = await commitRevision({
+    TableName: TABLE_NAME,
+    Key: { anchorId },
+    UpdateExpression: 'SET #status = :deleted, deletedAt = :now, updatedAt = :now, #version = :nextVersion REMOVE assets',
+    ConditionExpression: '#version = :version AND #status = :active',
+    ExpressionAttributeNames: {
+      '#version': 'version',
+      '#status': 'status',
+    },
+    ExpressionAttributeValues: {
+      ':version': expectedVersion,
+      ':nextVersion': expectedVersion + 1,
+      ':active': 'active',
+      ':deleted': 'deleted',
+      ':now': now,
+    },
+  }, revision);
+  if (!deleted) {
+    return raceResponse(anchorId);
+  }
+
+  // The anchor is already deleted, so a storage failure only leaves orphaned
+  // objects; log their keys rather than failing the request
+  const assetKeys = (anchor.assets || []).map((asset) => asset.key);
+  let assetsDeleted = 0;
+  if (assetKeys.length > 0) {
+    try {
+      await assetStorage.deleteObjects(assetKeys);
+      assetsDeleted = assetKeys.length;
+    } catch (error) {
+      console.error('Failed to delete anchor assets:', JSON.stringify({ anchorId, assetKeys }), error);
+    }
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: 'Spatial anchor deleted successfully',
+    data: {
+      anchorId,
+      deletedAt: now,
+      version: expectedVersion + 1,
+      assetsDeleted,
+    },
+  });
+};
+
+exports.handler = withMetrics('spatialAnchor', async (event, metrics) => {
+  console.log('spatialAnchor invoked with event:', JSON.stringify(event));
+
+  try {
+    const anchorId = event.pathParameters?.anchorId;
+    if (!anchorId) {
+      return createResponse(400, {
+        status: 'error',
+        message: 'anchorId is required',
+        code: 'MISSING_ANCHOR_ID',
+      });
+    }
+
+    getCaller(event);
+    const body = parseJson(event.body);
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return event.pathParameters?.action === 'history'
+          ? await getHistory(event, anchorId)
+          : await getAnchor(event, anchorId);
+      case 'PATCH':
+        return await updateAnchor(event, anchorId, body);
+      // POST /spatial/anchor/{anchorId}/{action}
+      case 'POST':
+        switch (event.pathParameters?.action) {
+          case 'renew':
+            return await renewAnchor(event, anchorId, body);
+          case 'flag':
+            return await flagAnchor(event, anchorId, body);
+          case 'revert':
+            return await revertAnchor(event, anchorId, body);
+          default:
+            return createResponse(404, {
+              status: 'error',
+              message: `Unknown anchor action: ${event.pathParameters?.action}`,
+              code: 'UNKNOWN_ACTION',
+            });
+        }
+      case 'DELETE':
+        return await deleteAnchor(event, anchorId, body);
+      default:
+        return createResponse(405, {
+          status: 'error',
+          message: `Method ${event.httpMethod} not allowed`,
+          code: 'METHOD_NOT_ALLOWED',
+        });
+    }
+
+  } catch (error) {
+    console.error('Error handling spatial anchor request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'SpatialAnchorError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
+
+// Lets tests and local runs swap in a storage adapter without touching ASSET_STORAGE
+exports.setAssetStorage = (storage) => {
+  assetStorage = storage;
+};
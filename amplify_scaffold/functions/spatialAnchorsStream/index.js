@@ -0,0 +1,48 @@
+// The only Lambda subscribed to the SpatialAnchors stream. DynamoDB Streams
+// throttles when more than two readers poll a shard, so instead of one
+// trigger per consumer, each batch is handed to every consumer here.
+//
+// Consumers report the first record they failed on. The earliest of those
+// is reported back, so Lambda retries the batch from there for every
+// consumer; they all tolerate seeing a record again (leaderboard markers,
+// re-read anchors, versioned broadcasts, conditional tombstones).
+
+const anchorExpiry = require('../anchorExpiry');
+const updateLeaderboards = require('../updateLeaderboards');
+const anchorBroadcaster = require('../anchorBroadcaster');
+const anchorConsensus = require('../anchorConsensus');
+
+const CONSUMERS = {
+  anchorExpiry,
+  updateLeaderboards,
+  anchorBroadcaster,
+  anchorConsensus,
+};
+
+// The sequence number a consumer failed on, or null. A consumer that throws
+// instead of reporting is retried from the start of the batch.
+const runConsumer = async (name, consumer, event) => {
+  try {
+    const { batchItemFailures } = await consumer.handler(event);
+    return batchItemFailures.length > 0 ? batchItemFailures[0].itemIdentifier : null;
+  } catch (error) {
+    console.error(`Stream consumer ${name} failed:`, error);
+    return event.Records[0].dynamodb.SequenceNumber;
+  }
+};
+
+exports.handler = async (event) => {
+  console.log('spatialAnchorsStream invoked with records:', event.Records.length);
+
+  const failures = await Promise.all(Object.entries(CONSUMERS)
+    .map(([name, consumer]) => runConsumer(name, consumer, event)));
+
+  const order = event.Records.map((record) => record.dynamodb.SequenceNumber);
+  const earliest = failures
+    .filter((sequenceNumber) => sequenceNumber !== null)
+    .sort((a, b) => order.indexOf(a) - order.indexOf(b))[0];
+
+  return {
+    batchItemFailures: earliest ? [{ itemIdentifier: earliest }] : [],
+  };
+};
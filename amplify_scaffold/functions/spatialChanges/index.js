@@ -0,0 +1,142 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { authorizeUser } = require('../shared/auth');
+const { isExpired } = require('../shared/anchors');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { withMetrics } = require('../shared/metrics');
+const { parseQuery } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+
+const TABLE_NAME = process.env.SPATIAL_TABLE_NAME;
+const MAX_ITEMS = 100;
+// The feed stops this far short of "now" so the cursor never moves past a
+// write that hasn't reached the index yet. updatedAt is stamped before the
+// write commits and GSI reads are eventually consistent, so this has to stay
+// above the longest timeout of any function that writes anchors plus the
+// index lag; a write that lands later than that behind its updatedAt is missed.
+const SETTLE_WINDOW_MS = parseInt(process.env.CHANGES_SETTLE_SECONDS || '60', 10) * 1000;
+// A sync cursor is kept between app sessions, so it outlives page tokens
+const CURSOR_TTL_SECONDS = parseInt(process.env.CHANGES_CURSOR_TTL_SECONDS || '2592000', 10);
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+const EPOCH = new Date(0).toISOString();
+
+const QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    since: { type: 'string' },
+  },
+};
+
+// Cursor position: u = updatedAt of the last change delivered, k = the
+// ExclusiveStartKey of an unfinished page. Everything up to u is settled, so
+// the next read starts strictly after it.
+const START = { u: null, k: null };
+
+// Expired anchors are reported as deleted even before TTL removes them, and
+// anchors hidden by a moderator until they are restored
+const toChange = (anchor) => {
+  if (anchor.status !== 'active' || isExpired(anchor)) {
+    return {
+      anchorId: anchor.anchorId,
+      deleted: true,
+      deletedAt: anchor.deletedAt || anchor.hiddenAt || anchor.expiresAt || anchor.updatedAt,
+      updatedAt: anchor.updatedAt,
+      version: anchor.version,
+    };
+  }
+
+  return { ...anchor, deleted: false };
+};
+
+exports.handler = withMetrics('spatialChanges', async (event, metrics) => {
+  console.log('spatialChanges invoked with event:', JSON.stringify(event));
+
+  try {
+    const userId = event.pathParameters?.userId;
+    if (!userId) {
+      return createResponse(400, {
+        status: 'error',
+        message: 'userId is required',
+        code: 'MISSING_USER_ID',
+      });
+    }
+
+    authorizeUser(event, userId);
+
+    const queryParams = parseQuery(QUERY_SCHEMA, event.queryStringParameters);
+    const scope = scopeOf('spatialChanges', userId, queryParams, ['since']);
+    const cursor = queryParams.since ? decodeCursor(queryParams.since, scope, 'since') : START;
+    const settledUntil = new Date(Date.now() - SETTLE_WINDOW_MS).toISOString();
+
+    // A resumed page may still hold anchors at exactly u, after k
+    let since = EPOCH;
+    if (cursor.k) {
+      since = cursor.u || EPOCH;
+    } else if (cursor.u) {
+      since = new Date(Date.parse(cursor.u) + 1).toISOString();
+    }
+
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'UserUpdatedIndex',
+      KeyConditionExpression: 'userId = :userId AND updatedAt BETWEEN :since AND :until',
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':since': since,
+        ':until': settledUntil,
+      },
+      Limit: MAX_ITEMS,
+    };
+
+    if (cursor.k) {
+      params.ExclusiveStartKey = cursor.k;
+    }
+
+    const result = await dynamoDB.query(params).promise();
+    const items = result.Items;
+
+    // The index returns anchors in updatedAt order, so the last item is the
+    // new watermark; k resumes a page that was cut short by Limit
+    const nextCursor = {
+      u: items.length > 0 ? items[items.length - 1].updatedAt : cursor.u,
+      k: result.LastEvaluatedKey || null,
+    };
+
+    return createResponse(200, {
+      status: 'success',
+      data: {
+        changes: items.map(toChange),
+        count: items.length,
+        cursor: encodeCursor(nextCursor, scope, CURSOR_TTL_SECONDS),
+        hasMore: Boolean(result.LastEvaluatedKey),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error reading spatial anchor changes:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'SpatialChangesError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TEST_JWT_SECRET,
+  bearerEvent,
+  stubDocumentClient,
+  transactionCanceled,
+} = require('./helpers');
+
+process.env.COUNTERS_TABLE_NAME = 'UsageCounters';
+process.env.REVIEW_QUEUE_TABLE_NAME = 'ReviewQueue';
+process.env.SPATIAL_TABLE_NAME = 'SpatialAnchors';
+process.env.TRANSACTIONS_TABLE_NAME = 'Transactions';
+process.env.EARNINGS_TABLE_NAME = 'Earnings';
+process.env.LOCAL_JWT_SECRET = TEST_JWT_SECRET;
+
+const { enforceRateLimit, checkEarningsVelocity, findDuplicatePositions } = require('../shared/abuse');
+const { setMetricsWriter } = require('../shared/metrics');
+const putEarnings = require('../putEarnings');
+
+setMetricsWriter(() => {});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+test('enforceRateLimit increments every window in one conditional transaction', async (t) => {
+  const db = stubDocumentClient({ transactWrite: async () => ({}) });
+  t.after(db.restore);
+
+  await enforceRateLimit('user-1', 'anchorCreate', 3);
+
+  const [{ TransactItems: items }] = db.callsTo('transactWrite');
+  assert.equal(items.length, 2);
+  assert.match(items[0].Update.Key.counterKey, /^user-1#anchorCreate#minute#\d+$/);
+  assert.match(items[1].Update.Key.counterKey, /^user-1#anchorCreate#day#\d+$/);
+  // Only a call that stays within the limit is counted
+  assert.equal(items[0].Update.ConditionExpression, 'attribute_not_exists(#count) OR #count <= :ceiling');
+  assert.equal(items[0].Update.ExpressionAttributeValues[':ceiling'], 30 - 3);
+  assert.equal(items[1].Update.ExpressionAttributeValues[':ceiling'], 1000 - 3);
+});
+
+test('enforceRateLimit throws a RateLimitError for the window that is full', async (t) => {
+  const db = stubDocumentClient({
+    transactWrite: async () => { throw transactionCanceled(['None', 'ConditionalCheckFailed']); },
+  });
+  t.after(db.restore);
+
+  await assert.rejects(enforceRateLimit('user-1', 'earningsRecord'), (error) => {
+    assert.equal(error.name, 'RateLimitError');
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+    return true;
+  });
+});
+
+test('enforceRateLimit rejects a request larger than a limit without counting it', async (t) => {
+  const db = stubDocumentClient();
+  t.after(db.restore);
+
+  await assert.rejects(enforceRateLimit('user-1', 'anchorCreate', 31), { name: 'RateLimitError' });
+  assert.equal(db.calls.length, 0);
+});
+
+test('enforceRateLimit retries a transaction conflict on the counters', async (t) => {
+  let attempts = 0;
+  const db = stubDocumentClient({
+    transactWrite: async () => {
+      attempts += 1;
+      if (attempts === 1) throw transactionCanceled(['TransactionConflict', 'None']);
+      return {};
+    },
+  });
+  t.after(db.restore);
+
+  await enforceRateLimit('user-1', 'anchorCreate');
+  assert.equal(attempts, 2);
+});
+
+test('checkEarningsVelocity returns a hold reason for each window over its limit', async (t) => {
+  // Minor units credited so far: over the hourly limit of 20, under the daily 100
+  const totals = { hour: 2500, day: 2500 };
+  const db = stubDocumentClient({
+    update: async (params) => ({ Attributes: { count: totals[params.Key.counterKey.split('#')[2]] } }),
+  });
+  t.after(db.restore);
+
+  assert.deepEqual(await checkEarningsVelocity('user-1', 500), ['earnings velocity above 20 per hour']);
+  assert.equal(db.callsTo('update')[0].ExpressionAttributeValues[':amount'], 500);
+});
+
+test('checkEarningsVelocity returns no reasons under the limits', async (t) => {
+  const db = stubDocumentClient({ update: async () => ({ Attributes: { count: 500 } }) });
+  t.after(db.restore);
+
+  assert.deepEqual(await checkEarningsVelocity('user-1', 500), []);
+});
+
+test('findDuplicatePositions matches anchors within the radius and the time window', async (t) => {
+  const location = { latitude: 52.52, longitude: 13.405 };
+  const existing = [
+    // About 1 m away, 5 minutes ago: a duplicate
+    { anchorId: 'near', userId: 'user-1', location: { latitude: 52.52001, longitude: 13.405 }, createdAt: minutesAgo(5) },
+    // About 11 m away: outside the 2 m radius
+    { anchorId: 'far', userId: 'user-1', location: { latitude: 52.5201, longitude: 13.405 }, createdAt: minutesAgo(5) },
+    // Same spot, 30 minutes ago: outside the 10 minute window
+    { anchorId: 'old', userId: 'user-1', location, createdAt: minutesAgo(30) },
+  ];
+  const db = stubDocumentClient({ query: async () => ({ Items: existing }) });
+  t.after(db.restore);
+
+  const now = new Date().toISOString();
+  const duplicates = await findDuplicatePositions([
+    { anchorId: 'new-1', userId: 'user-1', location, createdAt: now },
+    { anchorId: 'new-2', userId: 'user-1', location, createdAt: now },
+    { anchorId: 'unlocated', userId: 'user-1', createdAt: now },
+  ]);
+
+  assert.deepEqual(duplicates.get('new-1'), ['near']);
+  // Earlier anchors in the same batch count too
+  assert.deepEqual(duplicates.get('new-2'), ['near', 'new-1']);
+  assert.deepEqual(duplicates.get('unlocated'), []);
+  assert.ok(db.callsTo('query').every((params) => params.ExpressionAttributeValues[':userId'] === 'user-1'));
+});
+
+test('putEarnings records a credit over the velocity limit as held and queues a review', async (t) => {
+  const anchor = {
+    anchorId: 'anchor-1',
+    userId: 'user-1',
+    status: 'active',
+    qualityScore: 1,
+    createdAt: minutesAgo(60),
+    updatedAt: minutesAgo(60),
+  };
+  const db = stubDocumentClient({
+    get: async (params) => ({
+      SpatialAnchors: { Item: anchor },
+      Transactions: {},
+      Earnings: { Item: { userId: 'user-1', currency: 'USD', totalEarnings: 0, pendingEarnings: 0, heldEarnings: 15 } },
+    })[params.TableName],
+    transactWrite: async () => ({}),
+    update: async () => ({ Attributes: { count: 1000000 } }),
+    put: async () => ({}),
+  });
+  t.after(db.restore);
+
+  const response = await putEarnings.handler(bearerEvent({ sub: 'user-1' }, {
+    body: JSON.stringify({ userId: 'user-1', type: 'anchor', contributionId: 'anchor-1' }),
+  }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(JSON.parse(response.body).data.transactionStatus, 'held');
+
+  const ledgerWrite = db.callsTo('transactWrite')
+    .find((params) => params.TransactItems.some((item) => item.Put?.TableName === 'Transactions'));
+  const transaction = ledgerWrite.TransactItems[1].Put.Item;
+  assert.equal(transaction.status, 'held');
+  assert.equal(transaction.userId, 'user-1');
+  assert.match(ledgerWrite.TransactItems[0].Update.UpdateExpression, /heldEarnings/);
+
+  const [review] = db.callsTo('put').filter((params) => params.TableName === 'ReviewQueue');
+  assert.equal(review.Item.subjectId, transaction.transactionId);
+  assert.deepEqual(review.Item.reasons, ['earnings velocity above 20 per hour', 'earnings velocity above 100 per day']);
+});
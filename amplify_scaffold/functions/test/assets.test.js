@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_JWT_SECRET, bearerEvent, stubDocumentClient, conditionalCheckFailed } = require('./helpers');
+
+process.env.SPATIAL_TABLE_NAME = 'SpatialAnchors';
+process.env.SHARES_TABLE_NAME = 'AnchorShares';
+process.env.ASSET_STORAGE = 'memory';
+process.env.LOCAL_JWT_SECRET = TEST_JWT_SECRET;
+
+const { createMemoryAssetStorage } = require('../shared/assetStorage');
+const { setMetricsWriter } = require('../shared/metrics');
+const anchorAssets = require('../anchorAssets');
+
+setMetricsWriter(() => {});
+
+const anchorWith = (assets) => ({ anchorId: 'anchor-1', userId: 'user-1', status: 'active', assets });
+
+// A fresh storage per test, plus a DocumentClient stub that serves `anchor`
+const setUp = (t, anchor, handlers = {}) => {
+  const storage = createMemoryAssetStorage();
+  anchorAssets.setAssetStorage(storage);
+  const db = stubDocumentClient({
+    get: async () => ({ Item: anchor }),
+    update: async () => ({}),
+    ...handlers,
+  });
+  t.after(db.restore);
+  return { storage, db };
+};
+
+const request = (claims, method, pathParameters, body) => anchorAssets.handler(bearerEvent(claims, {
+  httpMethod: method,
+  pathParameters: { anchorId: 'anchor-1', ...pathParameters },
+  ...(body && { body: JSON.stringify(body) }),
+}));
+
+const pendingAsset = {
+  assetId: 'asset-1',
+  key: 'ar-models/user-1/anchor-1/asset-1/chair.glb',
+  fileName: 'chair.glb',
+  contentType: 'model/gltf-binary',
+  size: 1024,
+  status: 'pending',
+};
+
+test('creating an upload adds a pending asset and returns a presigned POST for its key', async (t) => {
+  const { db } = setUp(t, anchorWith(undefined));
+
+  const response = await request({ sub: 'user-1' }, 'POST', {}, {
+    fileName: 'my chair.glb',
+    contentType: 'model/gltf-binary',
+    size: 1024,
+  });
+
+  assert.equal(response.statusCode, 201);
+  const { asset, upload } = JSON.parse(response.body).data;
+  assert.equal(asset.status, 'pending');
+  assert.equal(asset.fileName, 'my_chair.glb');
+  assert.match(asset.key, /^ar-models\/user-1\/anchor-1\/[0-9a-f-]+\/my_chair\.glb$/);
+  assert.deepEqual(upload.fields, { key: asset.key, 'Content-Type': 'model/gltf-binary' });
+  assert.equal(upload.expiresIn, 15 * 60);
+
+  const [update] = db.callsTo('update');
+  assert.deepEqual(update.ExpressionAttributeValues[':asset'], [asset]);
+  assert.equal(update.ExpressionAttributeValues[':maxAssets'], 10);
+});
+
+test('creating an upload rejects content types that are not AR models', async (t) => {
+  const { db } = setUp(t, anchorWith([]));
+
+  const response = await request({ sub: 'user-1' }, 'POST', {}, {
+    fileName: 'notes.txt',
+    contentType: 'text/plain',
+    size: 10,
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(db.callsTo('update').length, 0);
+});
+
+test('an anchor at its asset limit returns 409 TOO_MANY_ASSETS', async (t) => {
+  setUp(t, anchorWith([]), { update: async () => { throw conditionalCheckFailed(); } });
+
+  const response = await request({ sub: 'user-1' }, 'POST', {}, {
+    fileName: 'chair.glb',
+    contentType: 'model/gltf-binary',
+    size: 1024,
+  });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(JSON.parse(response.body).code, 'TOO_MANY_ASSETS');
+});
+
+test('completing before the upload returns 409 ASSET_NOT_UPLOADED', async (t) => {
+  const { db } = setUp(t, anchorWith([pendingAsset]));
+
+  const response = await request({ sub: 'user-1' }, 'POST', { assetId: 'asset-1' });
+
+  assert.equal(response.statusCode, 409);
+  assert.equal(JSON.parse(response.body).code, 'ASSET_NOT_UPLOADED');
+  assert.equal(db.callsTo('update').length, 0);
+});
+
+test('completing an uploaded asset marks it ready and returns a download URL', async (t) => {
+  const { storage, db } = setUp(t, anchorWith([pendingAsset]));
+  storage.putObject(pendingAsset.key, Buffer.alloc(512), 'model/gltf-binary');
+
+  const response = await request({ sub: 'user-1' }, 'POST', { assetId: 'asset-1' });
+
+  assert.equal(response.statusCode, 200);
+  const asset = JSON.parse(response.body).data;
+  assert.equal(asset.status, 'ready');
+  assert.equal(asset.size, 512);
+  assert.equal(asset.downloadUrl, `memory://assets/${encodeURIComponent(pendingAsset.key)}`);
+
+  const [update] = db.callsTo('update');
+  // Conditioned on the list index still holding this asset
+  assert.match(update.ConditionExpression, /assets\[0\]\.assetId = :assetId/);
+  assert.equal(update.ExpressionAttributeValues[':size'], 512);
+});
+
+test('an upload that does not match the request is deleted and rejected', async (t) => {
+  const { storage } = setUp(t, anchorWith([pendingAsset]));
+  storage.putObject(pendingAsset.key, '{}', 'model/gltf+json');
+
+  const response = await request({ sub: 'user-1' }, 'POST', { assetId: 'asset-1' });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse(response.body).code, 'INVALID_ASSET');
+  assert.equal(storage.objects.has(pendingAsset.key), false);
+});
+
+test('deleting an asset removes it from the anchor and from storage', async (t) => {
+  const { storage, db } = setUp(t, anchorWith([{ ...pendingAsset, status: 'ready' }]));
+  storage.putObject(pendingAsset.key, Buffer.alloc(512), 'model/gltf-binary');
+
+  const response = await request({ sub: 'user-1' }, 'DELETE', { assetId: 'asset-1' });
+
+  assert.equal(response.statusCode, 200);
+  assert.match(db.callsTo('update')[0].UpdateExpression, /^REMOVE assets\[0\]/);
+  assert.equal(storage.objects.has(pendingAsset.key), false);
+});
+
+test('users without access to the anchor cannot upload to it', async (t) => {
+  setUp(t, anchorWith([]), { get: async (params) => (params.TableName === 'AnchorShares' ? {} : { Item: anchorWith([]) }) });
+
+  const response = await request({ sub: 'user-2' }, 'POST', {}, {
+    fileName: 'chair.glb',
+    contentType: 'model/gltf-binary',
+    size: 1024,
+  });
+
+  assert.equal(response.statusCode, 403);
+});
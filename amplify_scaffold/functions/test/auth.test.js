@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_JWT_SECRET, signToken, bearerEvent } = require('./helpers');
+const { getCaller, authorizeUser, requireAdmin } = require('../shared/auth');
+
+const withSecret = (secret, fn) => () => {
+  const previous = process.env.LOCAL_JWT_SECRET;
+  if (secret === undefined) {
+    delete process.env.LOCAL_JWT_SECRET;
+  } else {
+    process.env.LOCAL_JWT_SECRET = secret;
+  }
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.LOCAL_JWT_SECRET;
+    } else {
+      process.env.LOCAL_JWT_SECRET = previous;
+    }
+  }
+};
+
+const cognitoEvent = (claims) => ({ requestContext: { authorizer: { claims } } });
+
+const assertAuthError = (fn, statusCode, code) => assert.throws(fn, (error) => {
+  assert.equal(error.name, 'AuthError');
+  assert.equal(error.statusCode, statusCode);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('getCaller reads the claims the Cognito authorizer verified', withSecret(undefined, () => {
+  const caller = getCaller(cognitoEvent({ sub: 'user-1', 'cognito:groups': '[admins editors]' }));
+  assert.deepEqual(caller, { userId: 'user-1', groups: ['admins', 'editors'], isAdmin: true });
+}));
+
+test('getCaller falls back to an HS256 token when LOCAL_JWT_SECRET is set', withSecret(TEST_JWT_SECRET, () => {
+  const caller = getCaller(bearerEvent({ sub: 'user-1' }));
+  assert.deepEqual(caller, { userId: 'user-1', groups: [], isAdmin: false });
+}));
+
+test('getCaller accepts a local token in the token query parameter', withSecret(TEST_JWT_SECRET, () => {
+  const caller = getCaller({ queryStringParameters: { token: signToken({ sub: 'user-1' }) } });
+  assert.equal(caller.userId, 'user-1');
+}));
+
+test('getCaller ignores bearer tokens when LOCAL_JWT_SECRET is unset', withSecret(undefined, () => {
+  assertAuthError(() => getCaller(bearerEvent({ sub: 'user-1' })), 401, 'UNAUTHORIZED');
+}));
+
+test('getCaller rejects a token signed with another secret', withSecret(TEST_JWT_SECRET, () => {
+  const event = { headers: { Authorization: `Bearer ${signToken({ sub: 'user-1' }, { secret: 'other' })}` } };
+  assertAuthError(() => getCaller(event), 401, 'INVALID_TOKEN');
+}));
+
+test('getCaller rejects algorithms other than HS256', withSecret(TEST_JWT_SECRET, () => {
+  const event = { headers: { Authorization: `Bearer ${signToken({ sub: 'user-1' }, { alg: 'none' })}` } };
+  assertAuthError(() => getCaller(event), 401, 'INVALID_TOKEN');
+}));
+
+test('getCaller rejects expired and malformed tokens', withSecret(TEST_JWT_SECRET, () => {
+  const expired = bearerEvent({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 60 });
+  assertAuthError(() => getCaller(expired), 401, 'TOKEN_EXPIRED');
+  assertAuthError(() => getCaller({ headers: { authorization: 'Bearer not-a-jwt' } }), 401, 'INVALID_TOKEN');
+}));
+
+test('authorizeUser returns the caller for their own data', withSecret(TEST_JWT_SECRET, () => {
+  assert.equal(authorizeUser(bearerEvent({ sub: 'user-1' }), 'user-1').userId, 'user-1');
+}));
+
+test('authorizeUser throws a 403 when the caller and userId differ', withSecret(TEST_JWT_SECRET, () => {
+  assertAuthError(() => authorizeUser(bearerEvent({ sub: 'user-1' }), 'user-2'), 403, 'FORBIDDEN');
+}));
+
+test('authorizeUser lets members of the admin group act on any user', withSecret(TEST_JWT_SECRET, () => {
+  const caller = authorizeUser(bearerEvent({ sub: 'admin-1', 'cognito:groups': ['admins'] }), 'user-2');
+  assert.equal(caller.userId, 'admin-1');
+  assert.equal(caller.isAdmin, true);
+
+  // The flattened string API Gateway passes through works the same way
+  assert.equal(authorizeUser(cognitoEvent({ sub: 'admin-1', 'cognito:groups': 'editors,admins' }), 'user-2').isAdmin, true);
+}));
+
+test('requireAdmin only admits the admin group', withSecret(TEST_JWT_SECRET, () => {
+  assertAuthError(() => requireAdmin(bearerEvent({ sub: 'user-1', 'cognito:groups': ['editors'] })), 403, 'FORBIDDEN');
+  assert.equal(requireAdmin(bearerEvent({ sub: 'admin-1', 'cognito:groups': ['admins'] })).userId, 'admin-1');
+}));
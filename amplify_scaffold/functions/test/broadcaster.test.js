@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { stubDocumentClient } = require('./helpers');
+
+process.env.CONNECTIONS_TABLE_NAME = 'WebSocketConnections';
+process.env.SUBSCRIPTIONS_TABLE_NAME = 'AreaSubscriptions';
+process.env.WEBSOCKET_GATEWAY = 'local';
+
+const { createLocalConnections, createWebSocketGateway } = require('../shared/websocketGateway');
+const anchorBroadcaster = require('../anchorBroadcaster');
+
+const { marshall } = AWS.DynamoDB.Converter;
+
+const anchor = (changes = {}) => ({
+  anchorId: 'anchor-1',
+  userId: 'owner',
+  status: 'active',
+  geohash: 'u33dc0cpke',
+  sharedWith: ['friend'],
+  version: 1,
+  ...changes,
+});
+
+const streamEvent = (oldImage, newImage) => ({
+  Records: [{
+    eventID: 'event-1',
+    eventName: oldImage && newImage ? 'MODIFY' : (newImage ? 'INSERT' : 'REMOVE'),
+    dynamodb: {
+      SequenceNumber: '1',
+      ...(oldImage && { OldImage: marshall(oldImage) }),
+      ...(newImage && { NewImage: marshall(newImage) }),
+    },
+  }],
+});
+
+// A local gateway and a Subscriptions table holding `subscribers`
+// ({ cell, connectionId, userId }), queried by cell
+const setUp = (t, subscribers) => {
+  const gateway = createLocalConnections();
+  anchorBroadcaster.setWebSocketGateway(gateway);
+  const db = stubDocumentClient({
+    query: async (params) => ({
+      Items: subscribers.filter((subscriber) => subscriber.cell === params.ExpressionAttributeValues[':cell']),
+    }),
+    get: async () => ({}),
+  });
+  t.after(db.restore);
+  t.mock.method(console, 'log', () => {});
+  return { gateway, db };
+};
+
+test('the local gateway collects messages until a connection is disconnected', async () => {
+  const gateway = createWebSocketGateway();
+  assert.equal(gateway.name, 'local');
+
+  assert.equal(await gateway.send('conn-1', { type: 'ping' }), true);
+  assert.equal(await gateway.send('conn-1', { type: 'pong' }), true);
+  gateway.disconnect('conn-1');
+  assert.equal(await gateway.send('conn-1', { type: 'ping' }), false);
+
+  assert.deepEqual(gateway.messages.get('conn-1'), [{ type: 'ping' }, { type: 'pong' }]);
+});
+
+test('subscribers who can see a new anchor get anchor.created, others nothing', async (t) => {
+  const { gateway } = setUp(t, [
+    { cell: 'u33dc', connectionId: 'owner-conn', userId: 'owner' },
+    { cell: 'u33dc', connectionId: 'friend-conn', userId: 'friend' },
+    { cell: 'u33dc', connectionId: 'stranger-conn', userId: 'stranger' },
+  ]);
+
+  await anchorBroadcaster.handler(streamEvent(null, anchor()));
+
+  assert.equal(gateway.messages.get('owner-conn')[0].type, 'anchor.created');
+  assert.equal(gateway.messages.get('friend-conn')[0].anchor.anchorId, 'anchor-1');
+  assert.equal(gateway.messages.has('stranger-conn'), false);
+});
+
+test('a user removed from sharedWith gets anchor.deleted while the owner gets the update', async (t) => {
+  const { gateway } = setUp(t, [
+    { cell: 'u33dc', connectionId: 'owner-conn', userId: 'owner' },
+    { cell: 'u33dc', connectionId: 'friend-conn', userId: 'friend' },
+  ]);
+
+  await anchorBroadcaster.handler(streamEvent(anchor(), anchor({ sharedWith: [], version: 2 })));
+
+  assert.deepEqual(gateway.messages.get('friend-conn'), [{ type: 'anchor.deleted', anchorId: 'anchor-1', version: 2 }]);
+  assert.equal(gateway.messages.get('owner-conn')[0].type, 'anchor.updated');
+});
+
+test('a moved anchor is announced to subscribers of both its old and new cell', async (t) => {
+  const { gateway, db } = setUp(t, [
+    { cell: 'u33dc', connectionId: 'old-area', userId: 'friend' },
+    { cell: 'u33dd', connectionId: 'new-area', userId: 'owner' },
+  ]);
+
+  await anchorBroadcaster.handler(streamEvent(anchor(), anchor({ geohash: 'u33ddbcdef', version: 2 })));
+
+  assert.deepEqual(db.callsTo('query').map((params) => params.ExpressionAttributeValues[':cell']).sort(), ['u33dc', 'u33dd']);
+  assert.equal(gateway.messages.get('old-area')[0].type, 'anchor.updated');
+  assert.equal(gateway.messages.get('new-area')[0].type, 'anchor.updated');
+});
+
+test('a connection that is gone is removed', async (t) => {
+  const { gateway, db } = setUp(t, [{ cell: 'u33dc', connectionId: 'gone-conn', userId: 'owner' }]);
+  gateway.disconnect('gone-conn');
+
+  const result = await anchorBroadcaster.handler(streamEvent(null, anchor()));
+
+  assert.deepEqual(result, { batchItemFailures: [] });
+  assert.deepEqual(db.callsTo('get')[0].Key, { connectionId: 'gone-conn' });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { stubDocumentClient } = require('./helpers');
+
+process.env.SPATIAL_TABLE_NAME = 'SpatialAnchors';
+process.env.CANONICAL_ANCHORS_TABLE_NAME = 'CanonicalAnchors';
+process.env.CANONICAL_MEMBERS_TABLE_NAME = 'CanonicalMembers';
+
+const { MAX_CANONICAL_MEMBERS, memberOf, summarize, shareOf } = require('../shared/consensus');
+const anchorConsensus = require('../anchorConsensus');
+
+const { marshall } = AWS.DynamoDB.Converter;
+
+const location = { latitude: 52.52, longitude: 13.405 };
+const rates = { founderShare: 0.5, confirmationShare: 0.1, maxConfirmations: 5 };
+
+const anchor = (anchorId, userId = anchorId) => ({
+  anchorId,
+  userId,
+  status: 'active',
+  location,
+  geohash: 'u33dc0cpke',
+  qualityScore: 0.8,
+});
+
+const canonicalWith = (count) => {
+  const members = Object.fromEntries(Array.from({ length: count }, (_, rank) => [
+    `anchor-${rank}`, { ...memberOf(anchor(`anchor-${rank}`)), rank },
+  ]));
+  return { canonicalId: 'canon_1', ...summarize(members), members, nextRank: count, version: 3 };
+};
+
+// A SpatialAnchors table holding `newAnchor`, the given membership, and
+// `canonical` as the only canonical anchor nearby
+const setUp = (t, newAnchor, canonical, membership = null) => {
+  const db = stubDocumentClient({
+    get: async (params) => {
+      if (params.TableName === 'SpatialAnchors') {
+        return { Item: newAnchor };
+      }
+      if (params.TableName === 'CanonicalMembers') {
+        return membership ? { Item: membership } : {};
+      }
+      return { Item: canonical };
+    },
+    query: async () => ({ Items: [canonical] }),
+    transactWrite: async () => ({}),
+  });
+  t.after(db.restore);
+  t.mock.method(console, 'log', () => {});
+  return db;
+};
+
+const inserted = (newAnchor) => ({
+  Records: [{ eventName: 'INSERT', dynamodb: { SequenceNumber: '1', NewImage: marshall(newAnchor) } }],
+});
+
+test('an anchor matching a canonical anchor with room joins it with the next rank', async (t) => {
+  const db = setUp(t, anchor('new-anchor'), canonicalWith(2));
+
+  await anchorConsensus.handler(inserted(anchor('new-anchor')));
+
+  const [{ TransactItems: [canonicalPut, membershipPut] }] = db.callsTo('transactWrite');
+  assert.equal(canonicalPut.Put.Item.members['new-anchor'].rank, 2);
+  assert.equal(canonicalPut.Put.Item.nextRank, 3);
+  assert.deepEqual(canonicalPut.Put.ExpressionAttributeValues, { ':version': 3 });
+  assert.equal(membershipPut.Put.Item.overflow, undefined);
+});
+
+test('an anchor matching a full canonical anchor is linked as overflow without rewriting it', async (t) => {
+  const db = setUp(t, anchor('new-anchor'), canonicalWith(MAX_CANONICAL_MEMBERS));
+
+  await anchorConsensus.handler(inserted(anchor('new-anchor')));
+
+  const [{ TransactItems }] = db.callsTo('transactWrite');
+  assert.equal(TransactItems.length, 1);
+  const { TableName, Item } = TransactItems[0].Put;
+  assert.equal(TableName, 'CanonicalMembers');
+  assert.equal(Item.canonicalId, 'canon_1');
+  assert.equal(Item.overflow, true);
+});
+
+test('an overflow anchor already linked to the full canonical anchor is left alone', async (t) => {
+  const db = setUp(t, anchor('new-anchor'), canonicalWith(MAX_CANONICAL_MEMBERS),
+    { anchorId: 'new-anchor', canonicalId: 'canon_1', overflow: true });
+
+  await anchorConsensus.handler(inserted(anchor('new-anchor')));
+
+  assert.equal(db.callsTo('transactWrite').length, 0);
+});
+
+test('overflow anchors get no share of the reward', () => {
+  const canonical = canonicalWith(MAX_CANONICAL_MEMBERS);
+
+  assert.deepEqual(shareOf(canonical, 'anchor-0', rates), { share: 0.5, rank: 0 });
+  assert.equal(shareOf(canonical, 'anchor-1', rates).share, 0.1);
+  assert.deepEqual(shareOf(canonical, 'new-anchor', rates), {
+    share: 0,
+    rank: undefined,
+    reason: 'this spot already has all the confirmations it pays for',
+  });
+});
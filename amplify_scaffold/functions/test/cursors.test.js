@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_JWT_SECRET, bearerEvent, stubDocumentClient } = require('./helpers');
+
+process.env.EARNINGS_TABLE_NAME = 'Earnings';
+process.env.TRANSACTIONS_TABLE_NAME = 'Transactions';
+process.env.LOCAL_JWT_SECRET = TEST_JWT_SECRET;
+process.env.CURSOR_SIGNING_SECRET = 'test-cursor-secret';
+
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { setMetricsWriter } = require('../shared/metrics');
+const getEarnings = require('../getEarnings');
+
+setMetricsWriter(() => {});
+
+const position = { transactionId: 'tx_1', userId: 'user-1' };
+const scope = scopeOf('getEarnings', 'user-1', { granularity: 'day' });
+
+// decodeCursor throws a 400 INVALID_PARAMETERS ValidationError on nextToken
+const rejected = (reason) => (error) => error.name === 'ValidationError'
+  && error.code === 'INVALID_PARAMETERS'
+  && error.errors[0].field === 'nextToken'
+  && reason.test(error.errors[0].reason);
+
+test('a cursor decodes to its position in the scope it was issued for', () => {
+  assert.deepEqual(decodeCursor(encodeCursor(position, scope), scope), position);
+  assert.equal(encodeCursor(null, scope), null);
+});
+
+test('an expired cursor is rejected', (t) => {
+  const token = encodeCursor(position, scope, 60);
+  const issuedAt = Date.now();
+  t.mock.method(Date, 'now', () => issuedAt + 61 * 1000);
+
+  assert.throws(() => decodeCursor(token, scope), rejected(/has expired/));
+});
+
+test('a cursor for another scope is rejected', () => {
+  const token = encodeCursor(position, scopeOf('getEarnings', 'user-2', { granularity: 'day' }));
+
+  assert.throws(() => decodeCursor(token, scope), rejected(/is not valid/));
+  assert.throws(() => decodeCursor(token, scopeOf('getEarnings', 'user-1', { granularity: 'week' })), rejected(/is not valid/));
+});
+
+test('a tampered cursor is rejected', () => {
+  const [, signature] = encodeCursor(position, scope).split('.');
+  const body = Buffer.from(JSON.stringify({ p: { ...position, userId: 'user-2' }, e: 9999999999 })).toString('base64url');
+
+  assert.throws(() => decodeCursor(`${body}.${signature}`, scope), rejected(/is not valid/));
+  assert.throws(() => decodeCursor('not-a-cursor', scope), rejected(/is not valid/));
+});
+
+test('cursors are not signed without CURSOR_SIGNING_SECRET', (t) => {
+  const previous = process.env.CURSOR_SIGNING_SECRET;
+  delete process.env.CURSOR_SIGNING_SECRET;
+  t.after(() => { process.env.CURSOR_SIGNING_SECRET = previous; });
+
+  assert.throws(() => encodeCursor(position, scope), /CURSOR_SIGNING_SECRET is not set/);
+});
+
+test('list handlers answer a cursor from another query with 400 before reading anything', async (t) => {
+  const db = stubDocumentClient();
+  t.after(db.restore);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const otherUsersToken = encodeCursor(position, scopeOf('getEarnings', 'user-2', {}));
+
+  const response = await getEarnings.handler(bearerEvent({ sub: 'user-1' }, {
+    pathParameters: { userId: 'user-1' },
+    queryStringParameters: { nextToken: otherUsersToken },
+  }));
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse(response.body).code, 'INVALID_PARAMETERS');
+  assert.equal(db.calls.length, 0);
+});
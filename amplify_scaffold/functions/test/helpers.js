@@ -0,0 +1,81 @@
+// Fixtures shared by the tests. Tokens are HS256-signed with the same
+// secret the handlers verify against when LOCAL_JWT_SECRET is set, and
+// DynamoDB calls go to stubs instead of AWS.
+
+process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
+
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+
+const TEST_JWT_SECRET = 'test-secret';
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+const signToken = (claims, { secret = TEST_JWT_SECRET, alg = 'HS256' } = {}) => {
+  const header = base64Url(JSON.stringify({ alg, typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const bearerEvent = (claims, event = {}) => ({
+  ...event,
+  headers: { ...(event.headers || {}), Authorization: `Bearer ${signToken(claims)}` },
+});
+
+const DOCUMENT_CLIENT_METHODS = [
+  'get', 'put', 'update', 'delete', 'query', 'scan',
+  'batchGet', 'batchWrite', 'transactGet', 'transactWrite',
+];
+
+// Replaces every DocumentClient method: those in `handlers` resolve to
+// `handler(params)`, the rest fail so a test never reaches AWS. Each call is
+// recorded in `calls` as { method, params }. Call restore() when done.
+const stubDocumentClient = (handlers = {}) => {
+  const prototype = AWS.DynamoDB.DocumentClient.prototype;
+  const originals = Object.fromEntries(DOCUMENT_CLIENT_METHODS.map((method) => [method, prototype[method]]));
+  const calls = [];
+
+  DOCUMENT_CLIENT_METHODS.forEach((method) => {
+    prototype[method] = (params) => {
+      calls.push({ method, params });
+      return {
+        promise: async () => {
+          if (!handlers[method]) {
+            throw new Error(`Unexpected DocumentClient.${method} on ${params.TableName || 'a transaction'}`);
+          }
+          return handlers[method](params);
+        },
+      };
+    };
+  });
+
+  return {
+    calls,
+    callsTo: (method) => calls.filter((call) => call.method === method).map((call) => call.params),
+    restore: () => Object.assign(prototype, originals),
+  };
+};
+
+// The error aws-sdk v2 raises for a cancelled transaction; `reasons` lists
+// one code per TransactItems element, e.g. ['None', 'ConditionalCheckFailed']
+const transactionCanceled = (reasons) => {
+  const error = new Error(`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`);
+  error.code = 'TransactionCanceledException';
+  return error;
+};
+
+const conditionalCheckFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.code = 'ConditionalCheckFailedException';
+  return error;
+};
+
+module.exports = {
+  TEST_JWT_SECRET,
+  signToken,
+  bearerEvent,
+  stubDocumentClient,
+  transactionCanceled,
+  conditionalCheckFailed,
+};
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDocumentClient, transactionCanceled } = require('./helpers');
+
+process.env.EARNINGS_TABLE_NAME = 'Earnings';
+process.env.TRANSACTIONS_TABLE_NAME = 'Transactions';
+
+const {
+  cancellationReasons,
+  idempotencyKeyFor,
+  transactionIdFor,
+  recordEarning,
+} = require('../shared/ledger');
+
+const earning = (changes = {}) => ({
+  userId: 'user-1',
+  amount: 125,
+  type: 'anchor',
+  contributionId: 'anchor-1',
+  ...changes,
+});
+
+const balances = { userId: 'user-1', totalEarnings: 125, pendingEarnings: 125, currency: 'USD' };
+
+// A ledger where `stored` is already recorded: the transaction Put is
+// cancelled on its condition and the stored item is read back instead
+const alreadyRecorded = (t, stored) => {
+  const db = stubDocumentClient({
+    transactWrite: async () => { throw transactionCanceled(['None', 'ConditionalCheckFailed']); },
+    get: async (params) => ({ Item: params.TableName === 'Transactions' ? stored : balances }),
+  });
+  t.after(db.restore);
+  return db;
+};
+
+test('recordEarning credits the balance and writes the transaction in one transaction', async (t) => {
+  const db = stubDocumentClient({ transactWrite: async () => ({}), get: async () => ({ Item: balances }) });
+  t.after(db.restore);
+
+  const result = await recordEarning(earning());
+
+  assert.equal(result.replayed, false);
+  assert.equal(result.transaction.transactionId, transactionIdFor(idempotencyKeyFor('user-1', 'anchor-1')));
+  assert.equal(result.transaction.currency, 'USD');
+  const [{ TransactItems: [balanceUpdate, transactionPut] }] = db.callsTo('transactWrite');
+  assert.equal(balanceUpdate.Update.ExpressionAttributeValues[':amount'], 125);
+  assert.equal(transactionPut.Put.ConditionExpression, 'attribute_not_exists(transactionId)');
+});
+
+test('replaying an earning returns the stored transaction without crediting again', async (t) => {
+  const stored = { ...earning(), transactionId: transactionIdFor('user-1#anchor-1'), timestamp: '2026-10-19T10:00:00.000Z' };
+  const db = alreadyRecorded(t, stored);
+
+  // The server may price a retry differently; only the identity must match
+  const result = await recordEarning(earning({ amount: 130 }));
+
+  assert.equal(result.replayed, true);
+  assert.deepEqual(result.transaction, stored);
+  assert.deepEqual(result.balances, balances);
+  // The only write was the cancelled one, so the balance was not touched
+  assert.equal(db.callsTo('transactWrite').length, 1);
+});
+
+test('replaying with a caller-supplied idempotency key reuses its transaction', async (t) => {
+  const stored = { ...earning({ type: 'mesh' }), transactionId: transactionIdFor('session-1#user-1') };
+  const db = alreadyRecorded(t, stored);
+
+  const result = await recordEarning(earning({ type: 'mesh', idempotencyKey: 'session-1#user-1' }));
+
+  assert.equal(result.replayed, true);
+  assert.deepEqual(db.callsTo('get')[0].Key, { transactionId: transactionIdFor('session-1#user-1') });
+});
+
+test('an earning that reuses a contribution with a different type is a conflict', async (t) => {
+  alreadyRecorded(t, { ...earning({ type: 'mesh' }), transactionId: transactionIdFor('user-1#anchor-1') });
+
+  await assert.rejects(recordEarning(earning()), { name: 'IdempotencyConflictError' });
+});
+
+test('a balance that was not converted to minor units is refused', async (t) => {
+  const db = stubDocumentClient({
+    transactWrite: async () => { throw transactionCanceled(['ConditionalCheckFailed', 'None']); },
+  });
+  t.after(db.restore);
+
+  await assert.rejects(recordEarning(earning()), { name: 'LegacyBalanceError' });
+});
+
+test('amounts that are not integer minor units are refused before writing', async (t) => {
+  const db = stubDocumentClient();
+  t.after(db.restore);
+
+  await assert.rejects(recordEarning(earning({ amount: 1.25 })), { name: 'InvalidAmountError' });
+  assert.equal(db.calls.length, 0);
+});
+
+test('cancellationReasons reads the codes from the error or its message', () => {
+  assert.deepEqual(cancellationReasons(transactionCanceled(['None', 'ConditionalCheckFailed'])), ['None', 'ConditionalCheckFailed']);
+  assert.deepEqual(cancellationReasons({ CancellationReasons: [{ Code: 'None' }, { Code: 'TransactionConflict' }] }),
+    ['None', 'TransactionConflict']);
+  assert.deepEqual(cancellationReasons(new Error('Throttled')), []);
+});
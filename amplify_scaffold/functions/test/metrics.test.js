@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_JWT_SECRET, bearerEvent, stubDocumentClient } = require('./helpers');
+
+process.env.SPATIAL_TABLE_NAME = 'SpatialAnchors';
+process.env.LOCAL_JWT_SECRET = TEST_JWT_SECRET;
+
+const { qualityBucket, withMetrics, setMetricsWriter } = require('../shared/metrics');
+const getSpatial = require('../getSpatial');
+
+// Collects the EMF records written while a test runs
+const captureMetrics = (t) => {
+  const records = [];
+  setMetricsWriter((line) => records.push(JSON.parse(line)));
+  t.after(() => setMetricsWriter(() => {}));
+  return records;
+};
+
+test('withMetrics writes one EMF record per namespace with the latency and outcome', async (t) => {
+  const records = captureMetrics(t);
+  const handler = withMetrics('testRoute', async (event, metrics) => {
+    metrics.putMetric('SpatialMesh/Anchors', 'AnchorCreated', 1);
+    metrics.putMetric('SpatialMesh/Anchors', 'AnchorCreated', 2);
+    metrics.addDimensions({ QualityBucket: qualityBucket(0.5) });
+    return { statusCode: 201 };
+  });
+
+  await handler({ requestContext: { requestId: 'req-1' } });
+
+  assert.equal(records.length, 2);
+  const anchors = records.find((record) => record._aws.CloudWatchMetrics[0].Namespace === 'SpatialMesh/Anchors');
+  assert.deepEqual(anchors._aws.CloudWatchMetrics[0].Dimensions, [['Route', 'QualityBucket', 'Outcome']]);
+  assert.deepEqual(anchors._aws.CloudWatchMetrics[0].Metrics, [{ Name: 'AnchorCreated', Unit: 'Count' }]);
+  assert.equal(anchors.AnchorCreated, 3);
+  assert.equal(anchors.Route, 'testRoute');
+  assert.equal(anchors.QualityBucket, 'medium');
+  assert.equal(anchors.Outcome, 'success');
+  // High-cardinality values are properties, not dimensions
+  assert.equal(anchors.requestId, 'req-1');
+
+  const latency = records.find((record) => record._aws.CloudWatchMetrics[0].Namespace === 'SpatialMesh/Api');
+  assert.deepEqual(latency._aws.CloudWatchMetrics[0].Metrics, [{ Name: 'Latency', Unit: 'Milliseconds' }]);
+  assert.equal(typeof latency.Latency, 'number');
+  assert.equal(typeof latency._aws.Timestamp, 'number');
+});
+
+test('withMetrics records the outcome of error responses and thrown errors', async (t) => {
+  const records = captureMetrics(t);
+
+  await withMetrics('testRoute', async () => ({ statusCode: 404 }))({});
+  await assert.rejects(withMetrics('testRoute', async () => { throw new Error('boom'); })({}), /boom/);
+
+  assert.deepEqual(records.map((record) => record.Outcome), ['client_error', 'server_error']);
+});
+
+test('a writer failure never replaces the response', async (t) => {
+  setMetricsWriter(() => { throw new Error('log stream closed'); });
+  t.after(() => setMetricsWriter(() => {}));
+  t.mock.method(console, 'error', () => {});
+
+  const response = await withMetrics('testRoute', async () => ({ statusCode: 200 }))({});
+  assert.equal(response.statusCode, 200);
+});
+
+test('qualityBucket maps scores to a fixed set of values', () => {
+  assert.deepEqual([0, 0.29, 0.3, 0.69, 0.7, 1, undefined].map(qualityBucket),
+    ['low', 'low', 'medium', 'medium', 'high', 'high', 'unknown']);
+});
+
+test('handler metrics keep user IDs out of their dimensions', async (t) => {
+  const records = captureMetrics(t);
+  const db = stubDocumentClient({ query: async () => ({ Items: [] }) });
+  t.after(db.restore);
+
+  const response = await getSpatial.handler(bearerEvent({ sub: 'user-1' }, { pathParameters: { userId: 'user-1' } }));
+  assert.equal(response.statusCode, 200);
+
+  for (const record of records) {
+    const [dimensions] = record._aws.CloudWatchMetrics[0].Dimensions;
+    assert.ok(dimensions.every((name) => ['Route', 'Outcome', 'QueryType'].includes(name)), dimensions.join());
+    assert.ok(dimensions.every((name) => record[name] !== 'user-1'));
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDocumentClient } = require('./helpers');
+
+const TABLE_NAMES = {
+  TRANSACTIONS_TABLE_NAME: 'Transactions',
+  WITHDRAWALS_TABLE_NAME: 'Withdrawals',
+  RECONCILIATION_TABLE_NAME: 'Reconciliation',
+  REVIEW_QUEUE_TABLE_NAME: 'ReviewQueue',
+  MESH_SESSIONS_TABLE_NAME: 'MeshSessions',
+  EARNINGS_TABLE_NAME: 'Earnings',
+  LEADERBOARDS_TABLE_NAME: 'Leaderboards',
+};
+Object.assign(process.env, TABLE_NAMES);
+
+const { TABLES, countRounded } = require('../../scripts/minor_unit_converters');
+const { enqueueReview } = require('../shared/abuse');
+
+const tableNamed = (name) => TABLES.find((table) => table.name === name);
+const convert = (name, item) => tableNamed(name).convert(item);
+
+test('every table the migration converts has a name and a key', () => {
+  assert.deepEqual(TABLES.map((table) => table.name), Object.values(TABLE_NAMES));
+  assert.ok(TABLES.every((table) => table.key.length > 0));
+});
+
+test('transactions convert the amount and the reward breakdown, but not its shares', () => {
+  const changes = convert('Transactions', {
+    amount: 1.25,
+    metadata: { rewardBreakdown: { quality: 0.75, metadata: 0.3, novelty: 0.2, share: 0.5 }, ruleVersion: 'v1' },
+  });
+
+  assert.deepEqual(changes, {
+    amount: 125,
+    metadata: { rewardBreakdown: { quality: 75, metadata: 30, novelty: 20, share: 0.5 }, ruleVersion: 'v1' },
+  });
+});
+
+test('balances convert every amount and each earnings type', () => {
+  const changes = convert('Earnings', {
+    userId: 'user-1',
+    totalEarnings: 12.5,
+    pendingEarnings: 2.005,
+    earningsByType: { anchor: 10, mesh: 2.5 },
+  });
+
+  assert.deepEqual(changes, {
+    totalEarnings: 1250,
+    // Half to even
+    pendingEarnings: 200,
+    heldEarnings: 0,
+    totalPaid: 0,
+    earningsByType: { anchor: 1000, mesh: 250 },
+  });
+});
+
+test('mesh sessions convert the total and each reward', () => {
+  assert.deepEqual(convert('MeshSessions', { totalEarnings: 0.3, rewards: [{ userId: 'user-1', amount: 0.3 }] }), {
+    totalEarnings: 30,
+    rewards: [{ userId: 'user-1', amount: 30 }],
+  });
+});
+
+test('items without amounts are left alone', () => {
+  assert.equal(convert('ReviewQueue', { reviewId: 'r1', details: { reportedBy: 'user-2' } }), null);
+  assert.equal(convert('Leaderboards', { boardKey: 'anchors#all', userId: 'user-1', anchors: 4 }), null);
+});
+
+test('legacy review amounts are converted', () => {
+  assert.deepEqual(convert('ReviewQueue', { reviewId: 'r1', details: { amount: 0.5, contributionId: 'c1' } }), {
+    details: { amount: 50, contributionId: 'c1' },
+  });
+});
+
+test('new reviews with an amount carry the currency, so the migration skips them', async (t) => {
+  const db = stubDocumentClient({ put: async () => ({}) });
+  t.after(db.restore);
+
+  const withAmount = await enqueueReview({ userId: 'user-1', subjectType: 'transaction', subjectId: 'tx_1', reasons: [], details: { amount: 500 } });
+  const withoutAmount = await enqueueReview({ userId: 'user-1', subjectType: 'anchor', subjectId: 'a1', reasons: [] });
+
+  assert.equal(withAmount.currency, 'USD');
+  assert.equal(withoutAmount.currency, undefined);
+});
+
+test('countRounded counts amounts that lost precision', () => {
+  const item = { amount: 1.005, metadata: { rewardBreakdown: { quality: 0.5, share: 0.25 } } };
+  const changes = convert('Transactions', item);
+
+  assert.equal(countRounded(item, changes), 1);
+  assert.equal(countRounded({ amount: 1.5 }, convert('Withdrawals', { amount: 1.5 })), 0);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toMinorUnits, parseDecimal, formatMinorUnits, toSatoshis } = require('../shared/money');
+
+test('toMinorUnits drops float noise and rounds half to even', () => {
+  assert.equal(toMinorUnits(12.5), 1250);
+  assert.equal(toMinorUnits(0.1 + 0.2), 30);
+  // 1.005 * 100 is 100.49999999999999 in floating point
+  assert.equal(toMinorUnits(1.005), 100);
+  assert.equal(toMinorUnits(1.015), 102);
+  assert.equal(toMinorUnits(2.675), 268);
+  assert.equal(toMinorUnits(0.004), 0);
+});
+
+test('toMinorUnits rounds negative amounts half to even and never returns -0', () => {
+  assert.equal(toMinorUnits(-12.5), -1250);
+  assert.equal(toMinorUnits(-1.005), -100);
+  assert.equal(toMinorUnits(-1.015), -102);
+  assert.equal(toMinorUnits(-0.005), 0);
+});
+
+test('toMinorUnits refuses currencies it has no definition for', () => {
+  assert.throws(() => toMinorUnits(1, 'XYZ'), /Unsupported currency: XYZ/);
+});
+
+test('parseDecimal converts decimal strings exactly, rounding half to even', () => {
+  assert.equal(parseDecimal('65000'), 6500000);
+  assert.equal(parseDecimal(' 65000.1 '), 6500010);
+  assert.equal(parseDecimal('65000.125'), 6500012);
+  assert.equal(parseDecimal('65000.135'), 6500014);
+  assert.equal(parseDecimal('65000.1251'), 6500013);
+  assert.equal(parseDecimal('0.004999'), 0);
+  // Beyond what a double can hold exactly
+  assert.equal(parseDecimal('90071992547409.915'), 9007199254740992);
+});
+
+test('parseDecimal handles negative amounts and never returns -0', () => {
+  assert.equal(parseDecimal('-12.50'), -1250);
+  assert.equal(parseDecimal('-0.125'), -12);
+  assert.equal(parseDecimal('-0.135'), -14);
+  assert.equal(parseDecimal('-0.001'), 0);
+});
+
+test('parseDecimal rejects anything that is not a plain decimal', () => {
+  ['', '1e3', '1,50', '.5', '12.', 'abc', '--1'].forEach((text) => {
+    assert.throws(() => parseDecimal(text), /Not a decimal amount/);
+  });
+});
+
+test('formatMinorUnits writes signed decimals', () => {
+  assert.equal(formatMinorUnits(123), '1.23');
+  assert.equal(formatMinorUnits(5), '0.05');
+  assert.equal(formatMinorUnits(-1250), '-12.50');
+  assert.equal(formatMinorUnits(0), '0.00');
+});
+
+test('toSatoshis rounds down and refuses amounts that are not non-negative minor units', () => {
+  const rate = { btcPriceMinor: 6500000 };
+
+  // 12345 * 100000000 / 6500000 = 189923.07...
+  assert.equal(toSatoshis(12345, rate), 189923);
+  assert.equal(toSatoshis(6500000, rate), 100000000);
+  assert.equal(toSatoshis(0, rate), 0);
+  assert.throws(() => toSatoshis(-100, rate), /Not a non-negative minor-unit amount/);
+  assert.throws(() => toSatoshis(12.5, rate), /Not a non-negative minor-unit amount/);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDocumentClient, transactionCanceled } = require('./helpers');
+
+process.env.EARNINGS_TABLE_NAME = 'Earnings';
+process.env.WITHDRAWALS_TABLE_NAME = 'Withdrawals';
+process.env.PAYOUT_PROVIDER = 'local';
+process.env.ALLOW_LOCAL_PAYOUTS = 'true';
+
+const {
+  createLocalPayoutProvider,
+  registerPayoutProvider,
+  createPayoutProvider,
+} = require('../shared/payoutProviders');
+const withdrawalSweep = require('../withdrawalSweep');
+
+// Sets environment variables for one test; undefined removes them
+const withEnv = (t, values) => {
+  const saved = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  const apply = (entries) => Object.entries(entries).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+  apply(values);
+  t.after(() => apply(saved));
+};
+
+const payout = (changes = {}) => ({
+  withdrawalId: 'wd_1',
+  userId: 'user-1',
+  amount: 2500,
+  currency: 'USD',
+  method: 'bank',
+  destination: 'DE89370400440532013000',
+  ...changes,
+});
+
+test('createPayoutProvider requires PAYOUT_PROVIDER and refuses unknown providers', (t) => {
+  withEnv(t, { PAYOUT_PROVIDER: undefined });
+
+  assert.throws(() => createPayoutProvider(), /PAYOUT_PROVIDER is not set/);
+  assert.throws(() => createPayoutProvider('paypal'), /Unknown payout provider: paypal/);
+});
+
+test('the local provider is only available with ALLOW_LOCAL_PAYOUTS=true', (t) => {
+  withEnv(t, { ALLOW_LOCAL_PAYOUTS: undefined });
+
+  assert.throws(() => createPayoutProvider('local'), /ALLOW_LOCAL_PAYOUTS=true/);
+});
+
+test('registered providers are created by name', () => {
+  const provider = { name: 'test' };
+  registerPayoutProvider('test', () => provider);
+
+  assert.equal(createPayoutProvider('test'), provider);
+});
+
+test('the local provider pays each withdrawal once and reports its status', async () => {
+  const provider = createLocalPayoutProvider();
+
+  assert.deepEqual(await provider.status('wd_1'), { status: 'not_found' });
+  assert.deepEqual(await provider.send(payout()), { status: 'paid', reference: 'local_wd_1' });
+  // Sends are idempotent on withdrawalId
+  assert.deepEqual(await provider.send(payout()), { status: 'paid', reference: 'local_wd_1' });
+
+  assert.equal(provider.payouts.length, 1);
+  assert.deepEqual(await provider.status('wd_1'), { status: 'paid', reference: 'local_wd_1' });
+});
+
+test('the local provider rejects destinations starting with "fail"', async () => {
+  const provider = createLocalPayoutProvider();
+
+  assert.equal((await provider.send(payout({ destination: 'fail-account' }))).status, 'failed');
+  assert.equal(provider.payouts.length, 0);
+  assert.deepEqual(await provider.status('wd_1'), { status: 'not_found' });
+});
+
+test('the sweep resends a processing withdrawal the provider never received and settles it', async (t) => {
+  const provider = createLocalPayoutProvider();
+  withdrawalSweep.setPayoutProvider(provider);
+  t.mock.method(console, 'log', () => {});
+  const stale = payout({ status: 'processing' });
+  const db = stubDocumentClient({
+    query: async (params) => ({ Items: params.ExpressionAttributeValues[':status'] === 'processing' ? [stale] : [] }),
+    transactWrite: async () => ({}),
+  });
+  t.after(db.restore);
+
+  const report = await withdrawalSweep.handler({});
+
+  assert.equal(report.stale, 1);
+  assert.equal(report.paid, 1);
+  assert.equal(provider.payouts.length, 1);
+  const [{ TransactItems: [withdrawalUpdate, balanceUpdate] }] = db.callsTo('transactWrite');
+  assert.equal(withdrawalUpdate.Update.ConditionExpression, '#status = :from');
+  assert.equal(withdrawalUpdate.Update.ExpressionAttributeValues[':to'], 'paid');
+  assert.match(balanceUpdate.Update.UpdateExpression, /totalPaid/);
+});
+
+test('the sweep skips withdrawals the API settled in the meantime', async (t) => {
+  withdrawalSweep.setPayoutProvider(createLocalPayoutProvider());
+  t.mock.method(console, 'log', () => {});
+  const db = stubDocumentClient({
+    query: async (params) => ({
+      Items: params.ExpressionAttributeValues[':status'] === 'processing' ? [payout({ status: 'processing' })] : [],
+    }),
+    transactWrite: async () => { throw transactionCanceled(['ConditionalCheckFailed', 'None']); },
+  });
+  t.after(db.restore);
+
+  const report = await withdrawalSweep.handler({});
+
+  assert.equal(report.stale, 1);
+  assert.equal(report.paid, 0);
+  assert.deepEqual(report.errors, []);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDocumentClient } = require('./helpers');
+
+process.env.RECONCILIATION_TABLE_NAME = 'Reconciliation';
+process.env.TRANSACTIONS_TABLE_NAME = 'Transactions';
+process.env.EARNINGS_TABLE_NAME = 'Earnings';
+process.env.REVIEW_QUEUE_TABLE_NAME = 'ReviewQueue';
+process.env.RECONCILIATION_AUTO_FIX_LIMIT = '100';
+delete process.env.SNS_TOPIC_ARN;
+
+const reconcileTransactions = require('../reconcileTransactions');
+
+const entry = (changes = {}) => ({
+  transactionId: 'tx_1',
+  userId: 'user-1',
+  amount: 500,
+  type: 'anchor',
+  contributionId: 'anchor-1',
+  status: 'unresolved',
+  ...changes,
+});
+
+const balances = (totalEarnings) => ({
+  userId: 'user-1',
+  totalEarnings,
+  pendingEarnings: totalEarnings,
+  currency: 'USD',
+  lastUpdated: '2026-10-19T10:00:00.000Z',
+});
+
+// A reconciliation table holding `entries`, a ledger holding `transactions`
+// (all completed, for user-1) and the user's `balance`
+const setUp = (t, { entries, transactions, balance }) => {
+  const db = stubDocumentClient({
+    scan: async () => ({ Items: entries }),
+    get: async (params) => (params.TableName === 'Transactions'
+      ? { Item: transactions.find((tx) => tx.transactionId === params.Key.transactionId) }
+      : { Item: balance }),
+    query: async () => ({ Items: transactions }),
+    transactWrite: async () => ({}),
+    update: async () => ({}),
+    put: async () => ({}),
+  });
+  t.after(db.restore);
+  t.mock.method(console, 'log', () => {});
+  return db;
+};
+
+const updatesTo = (db, tableName) => db.callsTo('update').filter((params) => params.TableName === tableName);
+
+const markedAs = (db) => updatesTo(db, 'Reconciliation').map((params) => ({
+  status: params.ExpressionAttributeValues[':status'],
+  resolution: params.ExpressionAttributeValues[':resolution'],
+}));
+
+test('a missing transaction is replayed through the ledger and the entry resolved', async (t) => {
+  const db = setUp(t, { entries: [entry()], transactions: [], balance: balances(0) });
+
+  const report = await reconcileTransactions.handler({});
+
+  const [{ TransactItems: [balanceUpdate, transactionPut] }] = db.callsTo('transactWrite');
+  assert.equal(balanceUpdate.Update.ExpressionAttributeValues[':amount'], 500);
+  assert.equal(transactionPut.Put.Item.contributionId, 'anchor-1');
+  assert.deepEqual(transactionPut.Put.Item.metadata, { reconciledFrom: 'tx_1' });
+  assert.deepEqual(markedAs(db), [{ status: 'resolved', resolution: 'replayed' }]);
+  assert.equal(report.byResolution.replayed, 1);
+});
+
+test('an entry with a legacy decimal amount is sent to review instead of replayed', async (t) => {
+  const db = setUp(t, { entries: [entry({ amount: 5.25 })], transactions: [], balance: balances(0) });
+
+  const report = await reconcileTransactions.handler({});
+
+  assert.equal(db.callsTo('transactWrite').length, 0);
+  const [review] = db.callsTo('put');
+  assert.equal(review.Item.reviewId, 'reconcile#tx_1');
+  assert.equal(review.Item.details.legacyAmount, 5.25);
+  assert.deepEqual(markedAs(db), [{ status: 'escalated', resolution: 'legacy_amount' }]);
+  assert.equal(report.escalated, 1);
+});
+
+test('drift within the auto-fix limit is compensated on the balance', async (t) => {
+  const db = setUp(t, {
+    entries: [entry()],
+    transactions: [entry({ status: 'completed' }), entry({ transactionId: 'tx_2', amount: 250, status: 'completed' })],
+    balance: balances(500),
+  });
+
+  const report = await reconcileTransactions.handler({});
+
+  const [compensation] = updatesTo(db, 'Earnings');
+  assert.equal(compensation.ExpressionAttributeValues[':delta'], 250);
+  // A write that landed after the balances were read cancels the correction
+  assert.equal(compensation.ConditionExpression, 'lastUpdated = :lastUpdated');
+  assert.deepEqual(markedAs(db), [{ status: 'resolved', resolution: 'compensated' }]);
+  assert.equal(report.byResolution.compensated, 1);
+});
+
+test('drift above the auto-fix limit is escalated and left alone', async (t) => {
+  const db = setUp(t, {
+    entries: [entry()],
+    transactions: [entry({ status: 'completed' }), entry({ transactionId: 'tx_2', amount: 20000, status: 'completed' })],
+    balance: balances(500),
+  });
+
+  const report = await reconcileTransactions.handler({});
+
+  assert.equal(updatesTo(db, 'Earnings').length, 0);
+  assert.deepEqual(markedAs(db), [{ status: 'escalated', resolution: 'balance_mismatch' }]);
+  assert.deepEqual(report.escalations[0].details, { delta: 20000 });
+});
+
+test('balances not yet converted to minor units are escalated', async (t) => {
+  const db = setUp(t, {
+    entries: [entry()],
+    transactions: [entry({ status: 'completed' })],
+    balance: { ...balances(5), currency: undefined },
+  });
+
+  await reconcileTransactions.handler({});
+
+  assert.equal(db.callsTo('query').length, 0);
+  assert.deepEqual(markedAs(db), [{ status: 'escalated', resolution: 'balance_mismatch' }]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDocumentClient } = require('./helpers');
+
+process.env.SPATIAL_TABLE_NAME = 'SpatialAnchors';
+process.env.REWARD_RULES_VERSION = '2026-10-01';
+
+const geohash = require('../shared/geohash');
+const { calculateAnchorReward } = require('../shared/rewards');
+
+const location = { latitude: 52.52, longitude: 13.405 };
+
+const anchor = {
+  anchorId: 'anchor-1',
+  userId: 'user-1',
+  status: 'active',
+  location,
+  qualityScore: 0.8,
+  createdAt: '2026-10-19T10:00:00.000Z',
+};
+
+test('novelty counts earlier neighbors on every page of each cell', async (t) => {
+  // Each cell returns an empty first page (everything filtered out) and one
+  // neighbor on the second
+  const db = stubDocumentClient({
+    get: async () => ({ Item: anchor }),
+    query: async (params) => (params.ExclusiveStartKey
+      ? { Items: [{ anchorId: `neighbor-${params.ExpressionAttributeValues[':geohash']}`, location }] }
+      : { Items: [], LastEvaluatedKey: { anchorId: 'last' } }),
+  });
+  t.after(db.restore);
+  const cells = geohash.coveringCells(location, 25);
+
+  const { breakdown } = await calculateAnchorReward('user-1', 'anchor-1');
+
+  assert.equal(breakdown.nearbyAnchors, cells.length);
+  assert.equal(db.callsTo('query').length, cells.length * 2);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_JWT_SECRET, bearerEvent, stubDocumentClient } = require('./helpers');
+
+process.env.TRANSACTIONS_TABLE_NAME = 'Transactions';
+process.env.WITHDRAWALS_TABLE_NAME = 'Withdrawals';
+process.env.LOCAL_JWT_SECRET = TEST_JWT_SECRET;
+
+const { setMetricsWriter } = require('../shared/metrics');
+const earningsStatement = require('../earningsStatement');
+
+setMetricsWriter(() => {});
+
+const csvStatement = async (t, transactions, withdrawals) => {
+  const db = stubDocumentClient({
+    query: async (params) => ({ Items: params.TableName === 'Transactions' ? transactions : withdrawals }),
+  });
+  t.after(db.restore);
+  t.mock.method(console, 'log', () => {});
+
+  const response = await earningsStatement.handler(bearerEvent({ sub: 'user-1' }, {
+    pathParameters: { userId: 'user-1' },
+    queryStringParameters: { from: '2026-10-01T00:00:00.000Z', to: '2026-10-31T00:00:00.000Z', format: 'csv' },
+  }));
+  assert.equal(response.statusCode, 200);
+  return response.body.split('\r\n');
+};
+
+test('CSV text cells that could start a formula are prefixed so they stay text', async (t) => {
+  const lines = await csvStatement(t, [{
+    transactionId: 'tx_1',
+    timestamp: '2026-10-02T10:00:00.000Z',
+    type: 'anchor',
+    contributionId: '=HYPERLINK("https://example.com","claim")',
+    amount: 125,
+    status: 'completed',
+  }], [{
+    withdrawalId: 'wd_1',
+    requestedAt: '2026-10-03T10:00:00.000Z',
+    method: 'bank',
+    amount: 2500,
+    status: 'paid',
+    payoutReference: '@SUM(A1:A9)',
+  }]);
+
+  assert.ok(lines.includes(`tx_1,2026-10-02T10:00:00.000Z,anchor,"'=HYPERLINK(""https://example.com"",""claim"")",1.25,completed`));
+  assert.ok(lines.includes("wd_1,2026-10-03T10:00:00.000Z,bank,25.00,paid,'@SUM(A1:A9)"));
+});
+
+test('negative amounts and totals are written as numbers', async (t) => {
+  const lines = await csvStatement(t, [{
+    transactionId: 'tx_2',
+    timestamp: '2026-10-02T10:00:00.000Z',
+    type: 'adjustment',
+    contributionId: 'adj_1',
+    amount: -1250,
+    status: 'completed',
+  }], []);
+
+  assert.ok(lines.includes('tx_2,2026-10-02T10:00:00.000Z,adjustment,adj_1,-12.50,completed'));
+  assert.ok(lines.includes('adjustment,-12.50'));
+  assert.ok(lines.includes('2026-10,-12.50'));
+});
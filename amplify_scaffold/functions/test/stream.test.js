@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEBSOCKET_GATEWAY = 'local';
+process.env.ASSET_STORAGE = 'memory';
+
+const spatialAnchorsStream = require('../spatialAnchorsStream');
+const consumers = {
+  anchorExpiry: require('../anchorExpiry'),
+  updateLeaderboards: require('../updateLeaderboards'),
+  anchorBroadcaster: require('../anchorBroadcaster'),
+  anchorConsensus: require('../anchorConsensus'),
+};
+
+const event = { Records: ['100', '200', '300'].map((SequenceNumber) => ({ dynamodb: { SequenceNumber } })) };
+
+// Replaces every consumer's handler; `results` maps a consumer to what it does
+const stubConsumers = (t, results = {}) => {
+  const calls = [];
+  Object.entries(consumers).forEach(([name, consumer]) => {
+    t.mock.method(consumer, 'handler', async (received) => {
+      calls.push([name, received]);
+      return results[name] ? results[name]() : { batchItemFailures: [] };
+    });
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return calls;
+};
+
+const failedAt = (itemIdentifier) => () => ({ batchItemFailures: [{ itemIdentifier }] });
+
+test('every consumer gets the whole batch', async (t) => {
+  const calls = stubConsumers(t);
+
+  assert.deepEqual(await spatialAnchorsStream.handler(event), { batchItemFailures: [] });
+  assert.deepEqual(calls.map(([name]) => name).sort(), Object.keys(consumers).sort());
+  assert.ok(calls.every(([, received]) => received === event));
+});
+
+test('the batch is retried from the earliest record any consumer failed on', async (t) => {
+  stubConsumers(t, { anchorConsensus: failedAt('300'), updateLeaderboards: failedAt('200') });
+
+  assert.deepEqual(await spatialAnchorsStream.handler(event), { batchItemFailures: [{ itemIdentifier: '200' }] });
+});
+
+test('a consumer that throws retries the batch from its first record', async (t) => {
+  stubConsumers(t, {
+    anchorBroadcaster: () => { throw new Error('boom'); },
+    anchorExpiry: failedAt('300'),
+  });
+
+  assert.deepEqual(await spatialAnchorsStream.handler(event), { batchItemFailures: [{ itemIdentifier: '100' }] });
+});
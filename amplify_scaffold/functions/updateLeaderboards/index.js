@@ -0,0 +1,152 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const { cancellationReasons } = require('../shared/ledger');
+const { boardKeysFor } = require('../shared/leaderboards');
+const { LEDGER_CURRENCY, toMinorUnits } = require('../shared/money');
+
+const LEADERBOARDS_TABLE = process.env.LEADERBOARDS_TABLE_NAME;
+// Markers only need to outlive the stream's 24 hour retention
+const MARKER_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+const { unmarshall } = AWS.DynamoDB.Converter;
+
+const imagesOf = (record) => ({
+  oldImage: record.dynamodb.OldImage ? unmarshall(record.dynamodb.OldImage) : null,
+  newImage: record.dynamodb.NewImage ? unmarshall(record.dynamodb.NewImage) : null,
+});
+
+// Adds `amount` of `metric` to every board in boardKeys
+const addToBoards = (deltas, boardKeys, metric, amount) => {
+  boardKeys.forEach((key) => {
+    const delta = deltas.get(key) || { earnings: 0, anchors: 0, quality: 0 };
+    delta[metric] += amount;
+    deltas.set(key, delta);
+  });
+};
+
+// What an anchor image contributes to the boards: only active anchors count,
+// on the boards for the period they were created in
+const addAnchor = (deltas, anchor, sign) => {
+  if (!anchor || anchor.status !== 'active') {
+    return;
+  }
+  const boardKeys = boardKeysFor(anchor.createdAt, anchor.geohash);
+  addToBoards(deltas, boardKeys, 'anchors', sign);
+  addToBoards(deltas, boardKeys, 'quality', sign * (anchor.qualityScore || 0));
+};
+
+// Balances written before the move to minor units have no `currency` and
+// hold major units; converting them here makes the migration's own rewrite of
+// a balance net to zero
+const earningsOf = (balance) => {
+  if (!balance) {
+    return 0;
+  }
+  return balance.currency ? balance.totalEarnings || 0 : toMinorUnits(balance.totalEarnings || 0);
+};
+
+// Every change is applied as "remove the old image, add the new one", so
+// creates, soft deletes, TTL expiry and edits to location or quality all net
+// out correctly. Returns { userId, deltas } or null for unrelated changes.
+const deltasForRecord = (record) => {
+  const { oldImage, newImage } = imagesOf(record);
+  const image = newImage || oldImage;
+  const deltas = new Map();
+
+  if (record.dynamodb.Keys.anchorId) {
+    addAnchor(deltas, oldImage, -1);
+    addAnchor(deltas, newImage, 1);
+  } else {
+    // UserEarnings balances; only growth in totalEarnings is ranked (held
+    // credits and withdrawals leave it unchanged)
+    if (!newImage) {
+      return null;
+    }
+    const earned = earningsOf(newImage) - earningsOf(oldImage);
+    if (earned !== 0) {
+      addToBoards(deltas, boardKeysFor(record.dynamodb.ApproximateCreationDateTime * 1000), 'earnings', earned);
+    }
+  }
+
+  // Rounded so float noise (0.9 - 0.8) doesn't leak into the stored totals
+  const changed = [...deltas]
+    .map(([key, delta]) => [key, Object.fromEntries(Object.entries(delta)
+      .map(([metric, value]) => [metric, Number(value.toFixed(6))]))])
+    .filter(([, delta]) => Object.values(delta).some((value) => value !== 0));
+  return changed.length > 0 ? { userId: image.userId, deltas: changed } : null;
+};
+
+// Applies one record's deltas together with a marker for its eventID, so a
+// retried batch can never count the same record twice
+const applyRecord = async (record, userId, deltas) => {
+  const now = new Date().toISOString();
+  const updates = deltas.map(([boardKey, delta]) => {
+    const metrics = Object.keys(delta).filter((metric) => delta[metric] !== 0);
+    // Earnings scores are minor units of the ledger currency
+    const currency = metrics.includes('earnings');
+    return {
+      Update: {
+        TableName: LEADERBOARDS_TABLE,
+        Key: { boardKey, userId },
+        UpdateExpression: `ADD ${metrics.map((metric) => `#${metric} :${metric}`).join(', ')} SET updatedAt = :now${currency ? ', currency = :currency' : ''}`,
+        ExpressionAttributeNames: Object.fromEntries(metrics.map((metric) => [`#${metric}`, metric])),
+        ExpressionAttributeValues: {
+          ...Object.fromEntries(metrics.map((metric) => [`:${metric}`, delta[metric]])),
+          ':now': now,
+          ...(currency && { ':currency': LEDGER_CURRENCY }),
+        },
+      },
+    };
+  });
+
+  try {
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        ...updates,
+        {
+          Put: {
+            TableName: LEADERBOARDS_TABLE,
+            Item: {
+              boardKey: `event#${record.eventID}`,
+              userId,
+              ttl: Math.floor(Date.now() / 1000) + MARKER_TTL_SECONDS,
+            },
+            ConditionExpression: 'attribute_not_exists(boardKey)',
+          },
+        },
+      ],
+    }).promise();
+  } catch (error) {
+    // The marker is the last item; if it already exists this record was applied
+    const reasons = cancellationReasons(error);
+    if (error.code === 'TransactionCanceledException' && reasons[reasons.length - 1] === 'ConditionalCheckFailed') {
+      console.log('Skipping already applied stream record:', record.eventID);
+      return;
+    }
+    throw error;
+  }
+};
+
+// Subscribed to the UserEarnings stream, and runs on SpatialAnchors stream
+// batches through spatialAnchorsStream. Records are applied in order; on a
+// failure the rest of the batch is reported back so Lambda retries from that
+// record.
+exports.handler = async (event) => {
+  console.log('updateLeaderboards invoked with records:', event.Records.length);
+
+  for (const record of event.Records) {
+    try {
+      const change = deltasForRecord(record);
+      if (change) {
+        await applyRecord(record, change.userId, change.deltas);
+      }
+    } catch (error) {
+      console.error('Failed to apply stream record:', record.eventID, error);
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }],
+      };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
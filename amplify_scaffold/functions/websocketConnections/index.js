@@ -0,0 +1,132 @@
+const geohash = require('../shared/geohash');
+const { getCaller } = require('../shared/auth');
+const {
+  SUBSCRIPTION_PRECISION,
+  putConnection,
+  getConnection,
+  setSubscriptions,
+  removeConnection,
+} = require('../shared/subscriptions');
+const { createWebSocketGateway } = require('../shared/websocketGateway');
+const { withMetrics } = require('../shared/metrics');
+const { parseJson, assertValid } = require('../shared/schema');
+const { errorResponse } = require('../shared/errors');
+
+const MAX_RADIUS_METERS = 5000; // Keeps a subscription to a few dozen cells
+
+let gateway = createWebSocketGateway();
+
+// API Gateway WebSocket routes only look at the status code
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  body: JSON.stringify(body),
+});
+
+const SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  required: ['latitude', 'longitude', 'radiusMeters'],
+  properties: {
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    radiusMeters: { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS_METERS },
+  },
+};
+
+const validateSubscription = (data) => {
+  const { latitude, longitude, radiusMeters } = assertValid(SUBSCRIPTION_SCHEMA, data);
+  return { latitude, longitude, radiusMeters };
+};
+
+// { action: 'subscribe', latitude, longitude, radiusMeters } replaces the
+// connection's area; { action: 'unsubscribe' } clears it
+const updateSubscription = async (connectionId, routeKey, body) => {
+  const connection = await getConnection(connectionId);
+  if (!connection) {
+    return createResponse(410, {
+      status: 'error',
+      message: 'Connection is not registered; reconnect',
+      code: 'CONNECTION_GONE',
+    });
+  }
+
+  let cells = [];
+  if (routeKey === 'subscribe') {
+    const area = validateSubscription(body);
+    cells = geohash.coveringCells(area, area.radiusMeters, SUBSCRIPTION_PRECISION);
+  }
+
+  await setSubscriptions(connection, cells);
+  await gateway.send(connectionId, {
+    type: routeKey === 'subscribe' ? 'subscribed' : 'unsubscribed',
+    cells,
+  });
+
+  return createResponse(200, {
+    status: 'success',
+    data: { cells },
+  });
+};
+
+exports.handler = withMetrics('websocketConnections', async (event, metrics) => {
+  const { routeKey, connectionId } = event.requestContext;
+  console.log('websocketConnections invoked for route:', routeKey, connectionId);
+
+  try {
+    switch (routeKey) {
+      case '$connect': {
+        const caller = getCaller(event);
+        await putConnection(connectionId, caller.userId);
+        return createResponse(200, { status: 'success' });
+      }
+      case '$disconnect':
+        await removeConnection(connectionId);
+        return createResponse(200, { status: 'success' });
+      case 'subscribe':
+      case 'unsubscribe':
+        return await updateSubscription(connectionId, routeKey, parseJson(event.body));
+      default:
+        await gateway.send(connectionId, {
+          type: 'error',
+          message: `Unknown action ${routeKey}`,
+          code: 'UNKNOWN_ACTION',
+        });
+        return createResponse(400, {
+          status: 'error',
+          message: `Unknown action ${routeKey}`,
+          code: 'UNKNOWN_ACTION',
+        });
+    }
+
+  } catch (error) {
+    console.error('Error handling WebSocket request:', error);
+
+    if (error.name === 'ValidationError') {
+      await gateway.send(connectionId, {
+        type: 'error',
+        message: error.message,
+        code: error.code,
+        errors: error.errors,
+      });
+    }
+
+    // An AuthError rejects the $connect handshake
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'WebSocketConnectionsError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
+
+// Lets tests and local runs swap in a gateway without touching WEBSOCKET_GATEWAY
+exports.setWebSocketGateway = (value) => {
+  gateway = value;
+};
@@ -0,0 +1,57 @@
+const { createPayoutProvider } = require('../shared/payoutProviders');
+const { findStaleWithdrawals, resolveStaleWithdrawal } = require('../shared/payouts');
+
+// Withdrawals untouched for this long are assumed to have lost their Lambda.
+// Keep it well above the withdrawals function timeout so a payout that is
+// still running is never picked up.
+const STALE_AFTER_MS = parseInt(process.env.WITHDRAWAL_STALE_SECONDS || '900', 10) * 1000;
+
+// Fails the cold start, like the withdrawals function, when PAYOUT_PROVIDER
+// is missing or disallowed
+let payoutProvider = createPayoutProvider();
+
+exports.handler = async (event) => {
+  console.log('withdrawalSweep invoked with event:', JSON.stringify(event));
+
+  const startedAt = new Date().toISOString();
+  const before = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+  const stale = [
+    ...await findStaleWithdrawals('requested', before),
+    ...await findStaleWithdrawals('processing', before),
+  ];
+  const results = [];
+  const errors = [];
+
+  for (const withdrawal of stale) {
+    try {
+      results.push(await resolveStaleWithdrawal(withdrawal, payoutProvider));
+    } catch (error) {
+      // A failed status condition means the API finished it in the meantime
+      if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') {
+        continue;
+      }
+      console.error(`Failed to resolve withdrawal ${withdrawal.withdrawalId}:`, error);
+      errors.push({ withdrawalId: withdrawal.withdrawalId, error: error.message });
+    }
+  }
+
+  const countBy = (status) => results.filter((result) => result.status === status).length;
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    stale: stale.length,
+    paid: countBy('paid'),
+    failed: countBy('failed'),
+    stillProcessing: countBy('processing'),
+    errors,
+  };
+
+  console.log('Withdrawal sweep report:', JSON.stringify(report));
+
+  return report;
+};
+
+// Lets tests and local runs swap in a provider without touching PAYOUT_PROVIDER
+exports.setPayoutProvider = (provider) => {
+  payoutProvider = provider;
+};
@@ -0,0 +1,323 @@
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const crypto = require('crypto');
+const { authorizeUser } = require('../shared/auth');
+const { createPayoutProvider } = require('../shared/payoutProviders');
+const { processWithdrawal } = require('../shared/payouts');
+const { createRateSource } = require('../shared/btcRates');
+const { encodeCursor, decodeCursor, scopeOf } = require('../shared/cursors');
+const { cancellationReasons, getBalances } = require('../shared/ledger');
+const { LEDGER_CURRENCY, toMinorUnits, toSatoshis } = require('../shared/money');
+const { withMetrics } = require('../shared/metrics');
+const { parseBody } = require('../shared/schema');
+const { fieldError, errorResponse } = require('../shared/errors');
+
+const EARNINGS_TABLE = process.env.EARNINGS_TABLE_NAME;
+const WITHDRAWALS_TABLE = process.env.WITHDRAWALS_TABLE_NAME;
+// Configured in major units, compared in minor units
+const MIN_WITHDRAWAL_AMOUNT = toMinorUnits(parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT || '10'));
+const MAX_ITEMS = 50;
+const PAYOUT_METHODS = ['lightning', 'blockchain', 'bank'];
+
+// Created at cold start so a missing or disallowed PAYOUT_PROVIDER fails the
+// deployment instead of the first withdrawal
+let payoutProvider = createPayoutProvider();
+let rateSource = null;
+
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+// amount is in LEDGER_CURRENCY minor units
+const WITHDRAWAL_SCHEMA = {
+  type: 'object',
+  required: ['amount', 'method', 'destination'],
+  properties: {
+    amount: { type: 'integer', minimum: MIN_WITHDRAWAL_AMOUNT, maximum: Number.MAX_SAFE_INTEGER },
+    method: { enum: PAYOUT_METHODS },
+    destination: { type: 'string', minLength: 1 },
+    // Client-chosen idempotency key; the Idempotency-Key header works too
+    withdrawalId: { type: 'string', minLength: 1, maxLength: 128 },
+  },
+};
+
+// Like ledger transaction IDs, withdrawal IDs are derived from the client's
+// idempotency key, so a retried request finds the withdrawal it already made
+// instead of reserving the funds a second time
+const withdrawalIdFor = (userId, idempotencyKey) => `wd_${crypto.createHash('sha256')
+  .update(`${userId}#withdrawal#${idempotencyKey}`)
+  .digest('hex')
+  .slice(0, 32)}`;
+
+const idempotencyKeyOf = (headers, data) => {
+  const header = headers?.['Idempotency-Key'] || headers?.['idempotency-key'];
+  if (header && data.withdrawalId && header !== data.withdrawalId) {
+    throw fieldError('withdrawalId', 'does not match the Idempotency-Key header');
+  }
+  const key = data.withdrawalId || header;
+  if (!key) {
+    throw fieldError('withdrawalId', 'or an Idempotency-Key header is required');
+  }
+  return key;
+};
+
+// Lightning pays out in satoshis. The amount is converted once, before any
+// funds are reserved, and the quote is stored with the withdrawal so the
+// provider and any retry pay exactly the same number of satoshis.
+const quoteSatoshis = async (amount) => {
+  const rate = await rateSource.getRate(LEDGER_CURRENCY);
+  const amountSats = toSatoshis(amount, rate);
+  if (amountSats < 1) {
+    throw fieldError('amount', 'is worth less than one satoshi');
+  }
+
+  return {
+    amountSats,
+    btcRate: {
+      btcPriceMinor: rate.btcPriceMinor,
+      source: rate.source,
+      asOf: rate.asOf,
+    },
+  };
+};
+
+const requestWithdrawal = async (userId, withdrawalId, data, quote) => {
+  const now = new Date().toISOString();
+  const withdrawal = {
+    withdrawalId,
+    userId,
+    amount: data.amount,
+    currency: LEDGER_CURRENCY,
+    ...quote,
+    method: data.method,
+    destination: data.destination,
+    status: 'requested',
+    requestedAt: now,
+    updatedAt: now,
+  };
+
+  // Reserve the funds and record the request together
+  await dynamoDB.transactWrite({
+    TransactItems: [
+      {
+        Update: {
+          TableName: EARNINGS_TABLE,
+          Key: { userId },
+          UpdateExpression: 'SET pendingEarnings = pendingEarnings - :amount, lastUpdated = :now',
+          // Legacy (pre minor-unit) balances have no currency and can't be debited
+          ConditionExpression: 'pendingEarnings >= :amount AND currency = :currency',
+          ExpressionAttributeValues: {
+            ':amount': data.amount,
+            ':currency': LEDGER_CURRENCY,
+            ':now': now,
+          },
+        },
+      },
+      // Second item: a failed condition here means the key was already used
+      {
+        Put: {
+          TableName: WITHDRAWALS_TABLE,
+          Item: withdrawal,
+          ConditionExpression: 'attribute_not_exists(withdrawalId)',
+        },
+      },
+    ],
+  }).promise();
+
+  return withdrawal;
+};
+
+const findWithdrawal = async (withdrawalId) => {
+  const result = await dynamoDB.get({
+    TableName: WITHDRAWALS_TABLE,
+    Key: { withdrawalId },
+  }).promise();
+  return result.Item || null;
+};
+
+// A retry returns the stored withdrawal in whatever state it has reached; the
+// same key with a different request is a conflict rather than a replay
+const replayResponse = (existing, userId, data) => {
+  if (existing.userId !== userId
+    || existing.amount !== data.amount
+    || existing.method !== data.method
+    || existing.destination !== data.destination) {
+    return createResponse(409, {
+      status: 'error',
+      message: 'This idempotency key was already used for a different withdrawal',
+      code: 'IDEMPOTENCY_CONFLICT',
+    });
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    message: `Withdrawal already ${existing.status}`,
+    data: { ...existing, replayed: true },
+  });
+};
+
+const createWithdrawal = async (userId, event) => {
+  const data = parseBody(WITHDRAWAL_SCHEMA, event.body);
+  const withdrawalId = withdrawalIdFor(userId, idempotencyKeyOf(event.headers, data));
+
+  const existing = await findWithdrawal(withdrawalId);
+  if (existing) {
+    return replayResponse(existing, userId, data);
+  }
+
+  // A RateUnavailableError becomes a 503 RATE_UNAVAILABLE
+  const quote = data.method === 'lightning' ? await quoteSatoshis(data.amount) : {};
+
+  let withdrawal;
+  try {
+    withdrawal = await requestWithdrawal(userId, withdrawalId, data, quote);
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      // A concurrent retry with the same key won the race
+      if (cancellationReasons(error)[1] === 'ConditionalCheckFailed') {
+        const winner = await findWithdrawal(withdrawalId);
+        if (winner) {
+          return replayResponse(winner, userId, data);
+        }
+      }
+      if (!(await getBalances(userId)).currency) {
+        return createResponse(409, {
+          status: 'error',
+          message: `Balances for ${userId} are not in minor units yet; run the minor-unit migration`,
+          code: 'LEGACY_BALANCE',
+        });
+      }
+      return createResponse(400, {
+        status: 'error',
+        message: 'Insufficient pending earnings for this withdrawal',
+        code: 'INSUFFICIENT_BALANCE',
+      });
+    }
+    throw error;
+  }
+
+  const result = await processWithdrawal(withdrawal, payoutProvider);
+
+  if (result.status === 'paid') {
+    return createResponse(201, {
+      status: 'success',
+      message: 'Withdrawal paid successfully',
+      data: result,
+    });
+  }
+
+  return createResponse(502, {
+    status: 'error',
+    message: 'Payout failed; funds returned to pending earnings',
+    code: 'PAYOUT_FAILED',
+    data: result,
+  });
+};
+
+const listWithdrawals = async (userId, queryParams) => {
+  const params = {
+    TableName: WITHDRAWALS_TABLE,
+    IndexName: 'UserWithdrawalsIndex',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+    },
+    Limit: MAX_ITEMS,
+    ScanIndexForward: false, // Newest first
+  };
+
+  const scope = scopeOf('withdrawals', userId, queryParams);
+  if (queryParams.nextToken) {
+    params.ExclusiveStartKey = decodeCursor(queryParams.nextToken, scope);
+  }
+
+  const result = await dynamoDB.query(params).promise();
+
+  return createResponse(200, {
+    status: 'success',
+    data: {
+      withdrawals: result.Items,
+      count: result.Items.length,
+      nextToken: encodeCursor(result.LastEvaluatedKey, scope),
+    },
+  });
+};
+
+const getWithdrawal = async (userId, withdrawalId) => {
+  const withdrawal = await findWithdrawal(withdrawalId);
+
+  if (!withdrawal || withdrawal.userId !== userId) {
+    return createResponse(404, {
+      status: 'error',
+      message: `Withdrawal ${withdrawalId} not found`,
+      code: 'WITHDRAWAL_NOT_FOUND',
+    });
+  }
+
+  return createResponse(200, {
+    status: 'success',
+    data: withdrawal,
+  });
+};
+
+exports.handler = withMetrics('withdrawals', async (event, metrics) => {
+  console.log('withdrawals invoked with event:', JSON.stringify(event));
+
+  try {
+    const userId = event.pathParameters?.userId;
+    if (!userId) {
+      return createResponse(400, {
+        status: 'error',
+        message: 'userId is required',
+        code: 'MISSING_USER_ID',
+      });
+    }
+
+    authorizeUser(event, userId);
+
+    if (event.httpMethod === 'POST') {
+      rateSource = rateSource || createRateSource();
+      return await createWithdrawal(userId, event);
+    }
+
+    const withdrawalId = event.pathParameters?.withdrawalId;
+    if (withdrawalId) {
+      return await getWithdrawal(userId, withdrawalId);
+    }
+
+    return await listWithdrawals(userId, event.queryStringParameters || {});
+
+  } catch (error) {
+    console.error('Error handling withdrawal request:', error);
+
+    const response = errorResponse(error, createResponse);
+    if (response) {
+      return response;
+    }
+
+    metrics.putMetric('SpatialMesh/Errors', 'WithdrawalError', 1);
+
+    return createResponse(500, {
+      status: 'error',
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: event.requestContext?.requestId,
+    });
+  }
+});
+
+// Lets tests and local runs swap in a provider without touching PAYOUT_PROVIDER
+exports.setPayoutProvider = (provider) => {
+  payoutProvider = provider;
+};
+
+// Same, for the BTC rate source behind BTC_RATE_SOURCE
+exports.setRateSource = (source) => {
+  rateSource = source;
+};
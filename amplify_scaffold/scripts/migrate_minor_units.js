@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// One-off migration of stored money amounts from decimal major units to
+// integer minor units of LEDGER_CURRENCY (see functions/shared/money.js).
+//
+// Usage: node scripts/migrate_minor_units.js [--dry-run]
+//
+// Reads the same *_TABLE_NAME variables as the functions. Only items without
+// a `currency` are touched, and each write is conditioned on the item being
+// unchanged since it was read, so the script can be stopped and re-run.
+// Tables are migrated in order: transactions before balances, so
+// reconciliation never compares converted balances with unconverted ledgers.
+
+const AWS = require('aws-sdk');
+const { LEDGER_CURRENCY } = require('../functions/shared/money');
+const { TABLES, countRounded } = require('./minor_unit_converters');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const DRY_RUN = process.argv.includes('--dry-run');
+const MAX_ATTEMPTS = 3;
+const SAMPLE_SIZE = 5;
+
+const keyOf = (table, item) => Object.fromEntries(table.key.map((name) => [name, item[name]]));
+
+// Sets the converted attributes and `currency`, provided the item still has
+// no currency and none of the rewritten attributes changed since it was read
+const writeItem = (table, item, changes) => {
+  const names = Object.keys(changes);
+  const values = {};
+  const sets = ['currency = :currency'];
+  const conditions = ['attribute_not_exists(currency)'];
+  const attributeNames = {};
+
+  names.forEach((name, index) => {
+    attributeNames[`#a${index}`] = name;
+    values[`:new${index}`] = changes[name];
+    sets.push(`#a${index} = :new${index}`);
+    if (item[name] === undefined) {
+      conditions.push(`attribute_not_exists(#a${index})`);
+    } else {
+      values[`:old${index}`] = item[name];
+      conditions.push(`#a${index} = :old${index}`);
+    }
+  });
+
+  return dynamoDB.update({
+    TableName: table.name,
+    Key: keyOf(table, item),
+    UpdateExpression: `SET ${sets.join(', ')}`,
+    ConditionExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: attributeNames,
+    ExpressionAttributeValues: { ...values, ':currency': LEDGER_CURRENCY },
+  }).promise();
+};
+
+const migrateItem = async (table, scanned, report) => {
+  let item = scanned;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    const changes = table.convert(item);
+    if (!changes) {
+      return;
+    }
+
+    try {
+      if (!DRY_RUN) {
+        await writeItem(table, item, changes);
+      }
+      report.converted += 1;
+      report.rounded += countRounded(item, changes);
+      if (report.samples.length < SAMPLE_SIZE) {
+        report.samples.push({ key: keyOf(table, item), changes });
+      }
+      return;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      // Written to since the scan; re-read and convert the current values
+      const result = await dynamoDB.get({ TableName: table.name, Key: keyOf(table, item) }).promise();
+      item = result.Item;
+      if (!item || item.currency) {
+        report.skipped += 1;
+        return;
+      }
+    }
+  }
+
+  report.failed.push(keyOf(table, scanned));
+};
+
+const migrateTable = async (table) => {
+  const report = {
+    table: table.name,
+    scanned: 0,
+    converted: 0,
+    rounded: 0,
+    skipped: 0,
+    failed: [],
+    samples: [],
+  };
+  const params = {
+    TableName: table.name,
+    FilterExpression: 'attribute_not_exists(currency)',
+  };
+
+  do {
+    const result = await dynamoDB.scan(params).promise();
+    report.scanned += result.ScannedCount;
+    for (const item of result.Items) {
+      await migrateItem(table, item, report);
+    }
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+
+  return report;
+};
+
+const main = async () => {
+  const missing = TABLES.filter((table) => !table.name);
+  if (missing.length > 0) {
+    throw new Error(`Set every *_TABLE_NAME variable; missing tables keyed by: ${missing.map((table) => table.key.join(',')).join('; ')}`);
+  }
+
+  console.log(`Converting amounts to ${LEDGER_CURRENCY} minor units${DRY_RUN ? ' (dry run, nothing is written)' : ''}`);
+
+  let failed = 0;
+  for (const table of TABLES) {
+    const report = await migrateTable(table);
+    failed += report.failed.length;
+    console.log(JSON.stringify(report, null, 2));
+  }
+
+  if (failed > 0) {
+    console.error(`${failed} item(s) kept changing and were not converted; run the script again`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+// How scripts/migrate_minor_units.js converts each table's items from
+// decimal major units to integer minor units of LEDGER_CURRENCY. Kept apart
+// from the script so the conversions can be tested without DynamoDB.
+
+const { toMinorUnits, formatMinorUnits } = require('../functions/shared/money');
+
+// Converts the listed amount fields of `map`, or every value when none are listed
+const convertMap = (map, fields = Object.keys(map)) => ({
+  ...map,
+  ...Object.fromEntries(fields
+    .filter((field) => typeof map[field] === 'number')
+    .map((field) => [field, toMinorUnits(map[field])])),
+});
+
+// `convert` returns the top-level attributes to rewrite, or null when the
+// item holds no amounts. Tables are listed in migration order.
+const TABLES = [
+  {
+    name: process.env.TRANSACTIONS_TABLE_NAME,
+    key: ['transactionId'],
+    convert: (item) => ({
+      amount: toMinorUnits(item.amount),
+      ...(item.metadata?.rewardBreakdown && {
+        metadata: {
+          ...item.metadata,
+          rewardBreakdown: convertMap(item.metadata.rewardBreakdown, ['quality', 'metadata', 'novelty']),
+        },
+      }),
+    }),
+  },
+  {
+    name: process.env.WITHDRAWALS_TABLE_NAME,
+    key: ['withdrawalId'],
+    convert: (item) => ({ amount: toMinorUnits(item.amount) }),
+  },
+  {
+    name: process.env.RECONCILIATION_TABLE_NAME,
+    key: ['transactionId'],
+    convert: (item) => ({ amount: toMinorUnits(item.amount) }),
+  },
+  {
+    name: process.env.REVIEW_QUEUE_TABLE_NAME,
+    key: ['reviewId'],
+    // Reviews written since the move to minor units carry a currency when
+    // they hold an amount, so the scan never reaches them
+    convert: (item) => (typeof item.details?.amount === 'number'
+      ? { details: { ...item.details, amount: toMinorUnits(item.details.amount) } }
+      : null),
+  },
+  {
+    name: process.env.MESH_SESSIONS_TABLE_NAME,
+    key: ['sessionId'],
+    convert: (item) => ({
+      totalEarnings: toMinorUnits(item.totalEarnings || 0),
+      ...(item.rewards && {
+        rewards: item.rewards.map((reward) => ({ ...reward, amount: toMinorUnits(reward.amount) })),
+      }),
+    }),
+  },
+  {
+    name: process.env.EARNINGS_TABLE_NAME,
+    key: ['userId'],
+    convert: (item) => ({
+      totalEarnings: toMinorUnits(item.totalEarnings || 0),
+      pendingEarnings: toMinorUnits(item.pendingEarnings || 0),
+      heldEarnings: toMinorUnits(item.heldEarnings || 0),
+      totalPaid: toMinorUnits(item.totalPaid || 0),
+      ...(item.earningsByType && { earningsByType: convertMap(item.earningsByType) }),
+    }),
+  },
+  {
+    name: process.env.LEADERBOARDS_TABLE_NAME,
+    key: ['boardKey', 'userId'],
+    convert: (item) => (typeof item.earnings === 'number'
+      ? { earnings: toMinorUnits(item.earnings) }
+      : null),
+  },
+];
+
+// Amounts that had more precision than a minor unit and were rounded;
+// unconverted values (counts, shares) compare equal and are ignored
+const countRounded = (before, after) => {
+  if (before === after) {
+    return 0;
+  }
+  if (typeof before === 'number' && typeof after === 'number') {
+    return Number(formatMinorUnits(after)) === before ? 0 : 1;
+  }
+  if (before && after && typeof before === 'object') {
+    return Object.keys(after).reduce((sum, key) => sum + countRounded(before[key], after[key]), 0);
+  }
+  return 0;
+};
+
+module.exports = {
+  TABLES,
+  countRounded,
+};